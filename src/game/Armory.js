@@ -0,0 +1,222 @@
+import shopData from '../data/shop.json';
+import { weapons } from './WeaponDefinitions.js';
+import { WeaponModifier } from './Weapon.js';
+
+/**
+ * Armory - The shop between levels
+ *
+ * Stock and prices come from src/data/shop.json: one-off items (weapons,
+ * ammo, armor, grenades) and per-weapon upgrades with a price and value
+ * per level. The score earned in a level is paid out as cash when the
+ * armory opens. Purchases change the live WeaponInventory, GrenadeSystem
+ * and Player, so they carry into the next level; a new game resets them.
+ */
+
+export const ShopItemType = {
+  WEAPON: 'weapon',
+  AMMO: 'ammo',
+  ARMOR: 'armor',
+  GRENADES: 'grenades'
+};
+
+const ITEM_TYPES = Object.values(ShopItemType);
+const UPGRADE_STATS = Object.values(WeaponModifier);
+
+function isPrice(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check a shop definition - throws on the first problem
+ * @param {object} data - Parsed shop.json
+ * @returns {object} The same data
+ */
+export function validateShop(data) {
+  const fail = (message) => {
+    throw new Error(`Shop data: ${message}`);
+  };
+  
+  if (typeof data.payoutPerScore !== 'number' || data.payoutPerScore < 0) {
+    fail('payoutPerScore must be a number >= 0');
+  }
+  if (!Array.isArray(data.items) || !Array.isArray(data.upgrades)) {
+    fail('items and upgrades must be arrays');
+  }
+  
+  const ids = new Set();
+  data.items.forEach((item, i) => {
+    const path = `items[${i}]`;
+    if (typeof item.id !== 'string' || ids.has(item.id)) fail(`${path}.id must be a unique string`);
+    ids.add(item.id);
+    if (!ITEM_TYPES.includes(item.type)) fail(`${path}.type must be one of ${ITEM_TYPES.join(', ')}`);
+    if (!isPrice(item.price)) fail(`${path}.price must be a positive whole number`);
+    if (item.type === ShopItemType.WEAPON && !weapons.has(item.weapon)) {
+      fail(`${path}.weapon "${item.weapon}" is not a registered weapon`);
+    }
+    if ((item.type === ShopItemType.ARMOR || item.type === ShopItemType.GRENADES) &&
+      !(Number.isInteger(item.amount) && item.amount > 0)) {
+      fail(`${path}.amount must be a positive whole number`);
+    }
+  });
+  
+  data.upgrades.forEach((upgrade, i) => {
+    const path = `upgrades[${i}]`;
+    if (!UPGRADE_STATS.includes(upgrade.stat)) fail(`${path}.stat must be one of ${UPGRADE_STATS.join(', ')}`);
+    if (!Array.isArray(upgrade.levels) || upgrade.levels.length === 0) fail(`${path}.levels must be a non-empty array`);
+    upgrade.levels.forEach((level, j) => {
+      if (!isPrice(level.price) || typeof level.value !== 'number' || level.value <= 0) {
+        fail(`${path}.levels[${j}] needs a positive whole price and a positive value`);
+      }
+    });
+  });
+  
+  return data;
+}
+
+export class Armory {
+  /**
+   * @param {object} options
+   * @param {WeaponInventory} options.inventory - Weapons to give and upgrade
+   * @param {GrenadeSystem} options.grenades
+   * @param {Player} options.player - Armor goes here
+   * @param {Function} options.getCash - () => cash available
+   * @param {Function} options.spend - (amount) => void
+   * @param {object} [options.catalog] - Shop data (defaults to shop.json)
+   */
+  constructor({ inventory, grenades, player, getCash, spend, catalog = shopData }) {
+    this.inventory = inventory;
+    this.grenades = grenades;
+    this.player = player;
+    this.getCash = getCash;
+    this.spend = spend;
+    this.catalog = validateShop(catalog);
+    
+    // "weaponType:stat" -> levels bought
+    this.upgradeLevels = new Map();
+  }
+  
+  /**
+   * Cash paid out for the score earned in a level
+   * @param {number} score
+   * @returns {number}
+   */
+  getPayout(score) {
+    return Math.floor(Math.max(0, score) * this.catalog.payoutPerScore);
+  }
+  
+  /**
+   * Everything on sale right now, in display order
+   * @returns {object[]} [{ id, name, description, price, status, canBuy }] - price is null when sold out
+   */
+  getOffers() {
+    const cash = this.getCash();
+    const offers = this.catalog.items.map(item => {
+      const blocked = this.getItemBlock(item);
+      const owned = item.type === ShopItemType.WEAPON && Boolean(blocked);
+      return {
+        id: item.id,
+        name: item.name,
+        description: item.description || '',
+        price: owned ? null : item.price,
+        status: blocked || '',
+        canBuy: !blocked && cash >= item.price
+      };
+    });
+    
+    // One row per owned weapon and upgrade
+    this.inventory.getSlotNumbers().forEach(slot => {
+      const weapon = this.inventory.slots.get(slot);
+      this.catalog.upgrades.forEach(upgrade => {
+        const level = this.getUpgradeLevel(weapon.type, upgrade.stat);
+        const next = upgrade.levels[level];
+        offers.push({
+          id: `${weapon.type}:${upgrade.stat}`,
+          name: `${weapon.name} - ${upgrade.name}`,
+          description: upgrade.description || '',
+          price: next ? next.price : null,
+          status: next ? `Lv ${level}/${upgrade.levels.length}` : 'Maxed',
+          canBuy: Boolean(next) && cash >= next.price
+        });
+      });
+    });
+    
+    return offers;
+  }
+  
+  /**
+   * Why an item can't be bought right now
+   * @returns {string|null} Short reason for the shop row, null if it can
+   */
+  getItemBlock(item) {
+    switch (item.type) {
+      case ShopItemType.WEAPON:
+        return this.inventory.has(item.weapon) ? 'Owned' : null;
+      case ShopItemType.AMMO:
+        return this.inventory.needsAmmo() ? null : 'Full';
+      case ShopItemType.ARMOR:
+        return this.player.armor < this.player.maxArmor ? null : 'Full';
+      case ShopItemType.GRENADES:
+        return this.grenades.count < this.grenades.config.maxCount ? null : 'Full';
+      default:
+        return null;
+    }
+  }
+  
+  getUpgradeLevel(weaponType, stat) {
+    return this.upgradeLevels.get(`${weaponType}:${stat}`) || 0;
+  }
+  
+  /**
+   * Buy an offer by id (see getOffers)
+   * @param {string} id
+   * @returns {boolean} Whether the purchase went through
+   */
+  buy(id) {
+    const offer = this.getOffers().find(candidate => candidate.id === id);
+    if (!offer || !offer.canBuy) return false;
+    
+    const item = this.catalog.items.find(candidate => candidate.id === id);
+    if (item) {
+      this.applyItem(item);
+    } else {
+      const [weaponType, stat] = id.split(':');
+      const upgrade = this.catalog.upgrades.find(candidate => candidate.stat === stat);
+      const level = this.getUpgradeLevel(weaponType, stat);
+      this.upgradeLevels.set(id, level + 1);
+      this.getWeapon(weaponType).setModifier(stat, upgrade.levels[level].value);
+    }
+    
+    this.spend(offer.price);
+    return true;
+  }
+  
+  applyItem(item) {
+    switch (item.type) {
+      case ShopItemType.WEAPON:
+        this.inventory.give(item.weapon);
+        break;
+      case ShopItemType.AMMO:
+        this.inventory.slots.forEach(weapon => weapon.addAmmo(weapon.maxReserveAmmo));
+        this.inventory.active.updateAmmoDisplay();
+        break;
+      case ShopItemType.ARMOR:
+        this.player.addArmor(item.amount);
+        break;
+      case ShopItemType.GRENADES:
+        this.grenades.add(item.amount);
+        break;
+    }
+  }
+  
+  getWeapon(type) {
+    return [...this.inventory.slots.values()].find(weapon => weapon.type === type);
+  }
+  
+  /**
+   * New game - forget bought upgrades (the inventory resets its weapons)
+   */
+  reset() {
+    this.upgradeLevels.clear();
+  }
+}
+
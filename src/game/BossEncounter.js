@@ -0,0 +1,369 @@
+import * as THREE from 'three';
+import { GameEvents } from './EventSystem.js';
+import { ParticleEffect } from './ParticleSystem.js';
+import { chaseBehavior } from './EnemyArchetypes.js';
+import { DamageType } from './Player.js';
+
+/**
+ * BossEncounter - Multi-phase boss fight
+ * Reference: GAME_DEV_CONTEXT.md - State Machine Pattern
+ *
+ * The boss climbs out of the crashed plane, then changes phase as its
+ * health drops: charges, ground slams with area damage, and finally
+ * summoning grunts. Between special attacks it fights like a normal
+ * melee enemy.
+ */
+
+export const BossPhase = {
+  DORMANT: 'DORMANT',
+  EMERGING: 'EMERGING',
+  CHARGE: 'CHARGE',
+  SLAM: 'SLAM',
+  SUMMON: 'SUMMON',
+  DEFEATED: 'DEFEATED'
+};
+
+// Health fraction at or below which each combat phase begins (lowest first)
+const PHASE_THRESHOLDS = [
+  { phase: BossPhase.SUMMON, health: 0.33 },
+  { phase: BossPhase.SLAM, health: 0.66 },
+  { phase: BossPhase.CHARGE, health: 1 }
+];
+
+// Special attacks each phase cycles through
+const PHASE_ATTACKS = {
+  [BossPhase.CHARGE]: ['charge'],
+  [BossPhase.SLAM]: ['slam', 'charge'],
+  [BossPhase.SUMMON]: ['summon', 'slam']
+};
+
+const BOSS_CONFIG = {
+  name: 'Wreck Warden',
+  emergeTime: 3,      // seconds to climb out of the wreck
+  emergeDepth: 5,     // how far below ground it starts
+  phaseCooldown: 1.5, // breather after a phase change
+  charge: { cooldown: 4, windup: 0.8, duration: 1.2, speedMultiplier: 4, damage: 35 },
+  slam: { cooldown: 5, range: 8, windup: 0.7, recovery: 0.5, radius: 7, damage: 40, height: 1.5 },
+  summon: { cooldown: 8, windup: 1, count: 2, maxMinions: 4, type: 'grunt' }
+};
+
+export class BossEncounter {
+  /**
+   * @param {object} options
+   * @param {ParticleSystem} options.particles - Slam and summon shockwaves
+   * @param {EventSystem} options.events - Game event bus
+   * @param {World} options.world - Provides the spawn point in the wreck
+   * @param {Function} options.spawnEnemy - (type, position) => Enemy
+   * @param {Function} options.damagePlayer - (amount, source, DamageType) => void
+   */
+  constructor({ particles, events, world, spawnEnemy, damagePlayer }) {
+    this.particles = particles;
+    this.events = events;
+    this.world = world;
+    this.spawnEnemy = spawnEnemy;
+    this.damagePlayer = damagePlayer;
+    this.config = BOSS_CONFIG;
+    
+    this.reset();
+    
+    this.events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => this.onEnemyKilled(enemy));
+  }
+  
+  reset() {
+    this.boss = null;
+    this.phase = BossPhase.DORMANT;
+    this.minions = [];
+    this.attack = null;
+    this.attackCursor = 0;
+    this.cooldown = 0;
+    this.emergeTimer = 0;
+  }
+  
+  /**
+   * Spawn the boss inside the wreck and start the fight
+   */
+  start() {
+    const boss = this.spawnEnemy('boss', this.world.getBossSpawnPosition());
+    
+    boss.controller = this;
+    boss.isInvulnerable = true;
+    
+    // The HUD shows a dedicated bar instead of the floating one
+    boss.healthBg.visible = false;
+    boss.healthBar.visible = false;
+    
+    this.boss = boss;
+    this.emergeTimer = 0;
+    this.setPhase(BossPhase.EMERGING);
+  }
+  
+  hasStarted() {
+    return this.phase !== BossPhase.DORMANT;
+  }
+  
+  isActive() {
+    return this.boss !== null && this.phase !== BossPhase.DEFEATED;
+  }
+  
+  isDefeated() {
+    return this.phase === BossPhase.DEFEATED;
+  }
+  
+  setPhase(phase) {
+    const previousPhase = this.phase;
+    this.phase = phase;
+    this.attack = null;
+    this.attackCursor = 0;
+    this.cooldown = this.config.phaseCooldown;
+    
+    if (this.boss && this.boss.mesh) {
+      this.boss.mesh.scale.setScalar(1);
+    }
+    
+    this.events.emit(GameEvents.BOSS_PHASE_CHANGED, { boss: this.boss, phase, previousPhase });
+  }
+  
+  getPhaseForHealth() {
+    const ratio = this.boss.health / this.boss.maxHealth;
+    const match = PHASE_THRESHOLDS.find(entry => ratio <= entry.health);
+    return match ? match.phase : BossPhase.CHARGE;
+  }
+  
+  /**
+   * Boss AI - called through the boss archetype's behavior
+   * @param {number} deltaTime - Frame time in seconds
+   * @param {THREE.Vector3} playerPosition - Player position
+   */
+  updateBoss(deltaTime, playerPosition) {
+    const boss = this.boss;
+    
+    if (this.phase === BossPhase.EMERGING) {
+      this.updateEmerging(deltaTime, playerPosition);
+      return;
+    }
+    
+    // Phase changes at health thresholds
+    const nextPhase = this.getPhaseForHealth();
+    if (nextPhase !== this.phase) {
+      this.setPhase(nextPhase);
+    }
+    
+    if (this.attack) {
+      boss.isAttacking = false;
+      this.updateAttack(deltaTime, playerPosition);
+      return;
+    }
+    
+    // Regular melee chase between special attacks
+    chaseBehavior(boss, deltaTime, playerPosition);
+    
+    this.cooldown -= deltaTime;
+    if (this.cooldown <= 0) {
+      this.startAttack(playerPosition);
+    }
+  }
+  
+  updateEmerging(deltaTime, playerPosition) {
+    const boss = this.boss;
+    this.emergeTimer += deltaTime;
+    
+    const progress = Math.min(this.emergeTimer / this.config.emergeTime, 1);
+    const eased = 1 - Math.pow(1 - progress, 3);
+    
+    boss.isAttacking = false;
+    boss.lift = (eased - 1) * this.config.emergeDepth;
+    this.facePlayer(playerPosition);
+    
+    // Claw out of the wreckage
+    if (boss.leftArm && boss.rightArm) {
+      boss.leftArm.rotation.x = -2.5 + Math.sin(boss.animTime) * 0.4;
+      boss.rightArm.rotation.x = -2.5 + Math.sin(boss.animTime + Math.PI) * 0.4;
+    }
+    
+    if (progress >= 1) {
+      boss.lift = 0;
+      boss.isInvulnerable = false;
+      this.setPhase(this.getPhaseForHealth());
+    }
+  }
+  
+  startAttack(playerPosition) {
+    const attacks = PHASE_ATTACKS[this.phase];
+    const distance = this.distanceTo(playerPosition);
+    
+    for (let i = 0; i < attacks.length; i++) {
+      const type = attacks[(this.attackCursor + i) % attacks.length];
+      
+      if (type === 'slam' && distance > this.config.slam.range) continue;
+      if (type === 'summon' && this.minions.length >= this.config.summon.maxMinions) continue;
+      
+      this.attackCursor = (this.attackCursor + i + 1) % attacks.length;
+      this.attack = { type, timer: 0, direction: new THREE.Vector3(), hit: false, struck: false };
+      return;
+    }
+    
+    // Nothing usable right now - try again shortly
+    this.cooldown = 0.5;
+  }
+  
+  finishAttack(cooldown) {
+    this.attack = null;
+    this.cooldown = cooldown;
+    this.boss.mesh.scale.setScalar(1);
+    this.boss.lift = 0;
+  }
+  
+  updateAttack(deltaTime, playerPosition) {
+    const attack = this.attack;
+    attack.timer += deltaTime;
+    
+    switch (attack.type) {
+      case 'charge':
+        this.updateCharge(attack, deltaTime, playerPosition);
+        break;
+      case 'slam':
+        this.updateSlam(attack, playerPosition);
+        break;
+      case 'summon':
+        this.updateSummon(attack);
+        break;
+    }
+  }
+  
+  updateCharge(attack, deltaTime, playerPosition) {
+    const boss = this.boss;
+    const config = this.config.charge;
+    
+    if (attack.timer < config.windup) {
+      // Telegraph: track the player and swell up
+      this.facePlayer(playerPosition);
+      boss.mesh.scale.setScalar(1 + Math.sin(attack.timer * 30) * 0.05);
+      boss.leftArm.rotation.x = -1.5;
+      boss.rightArm.rotation.x = -1.5;
+      
+      attack.direction.subVectors(playerPosition, boss.position);
+      attack.direction.y = 0;
+      attack.direction.normalize();
+      return;
+    }
+    
+    if (attack.timer > config.windup + config.duration) {
+      this.finishAttack(config.cooldown);
+      return;
+    }
+    
+    // Dash along the locked direction
+    boss.mesh.scale.setScalar(1);
+    const speed = boss.speed * config.speedMultiplier;
+    boss.position.x += attack.direction.x * speed * deltaTime;
+    boss.position.z += attack.direction.z * speed * deltaTime;
+    
+    if (!attack.hit && this.distanceTo(playerPosition) <= boss.attackRange) {
+      attack.hit = true;
+      this.damagePlayer(config.damage, boss, DamageType.MELEE);
+    }
+  }
+  
+  updateSlam(attack, playerPosition) {
+    const boss = this.boss;
+    const config = this.config.slam;
+    
+    if (attack.timer < config.windup) {
+      // Leap up with arms raised
+      const progress = attack.timer / config.windup;
+      boss.lift = Math.sin(progress * Math.PI / 2) * config.height;
+      boss.leftArm.rotation.x = -2.8;
+      boss.rightArm.rotation.x = -2.8;
+      this.facePlayer(playerPosition);
+      return;
+    }
+    
+    if (!attack.struck) {
+      attack.struck = true;
+      boss.lift = 0;
+      this.spawnShockwave(boss.position, config.radius);
+      
+      // Damage falls off with distance from the impact
+      const distance = this.distanceTo(playerPosition);
+      if (distance < config.radius) {
+        const falloff = 1 - distance / config.radius;
+        this.damagePlayer(Math.round(config.damage * falloff), boss, DamageType.EXPLOSIVE);
+      }
+    }
+    
+    if (attack.timer >= config.windup + config.recovery) {
+      this.finishAttack(config.cooldown);
+    }
+  }
+  
+  updateSummon(attack) {
+    const boss = this.boss;
+    const config = this.config.summon;
+    
+    if (attack.timer < config.windup) {
+      boss.leftArm.rotation.x = -3 + Math.sin(attack.timer * 20) * 0.2;
+      boss.rightArm.rotation.x = -3 - Math.sin(attack.timer * 20) * 0.2;
+      return;
+    }
+    
+    const count = Math.min(config.count, config.maxMinions - this.minions.length);
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2 + Math.random();
+      const position = boss.position.clone();
+      position.x += Math.cos(angle) * 3;
+      position.z += Math.sin(angle) * 3;
+      
+      const minion = this.spawnEnemy(config.type, position);
+      if (minion) this.minions.push(minion);
+    }
+    
+    this.spawnShockwave(boss.position, 3);
+    this.finishAttack(config.cooldown);
+  }
+  
+  spawnShockwave(position, radius) {
+    this.particles.burst(ParticleEffect.SHOCKWAVE, new THREE.Vector3(position.x, position.y + 0.2, position.z), { scale: radius });
+  }
+  
+  facePlayer(playerPosition) {
+    const boss = this.boss;
+    boss.mesh.rotation.y = Math.atan2(
+      playerPosition.x - boss.position.x,
+      playerPosition.z - boss.position.z
+    );
+  }
+  
+  distanceTo(playerPosition) {
+    const dx = playerPosition.x - this.boss.position.x;
+    const dz = playerPosition.z - this.boss.position.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+  
+  onEnemyKilled(enemy) {
+    if (!this.boss) return;
+    
+    if (enemy === this.boss) {
+      const minions = [...this.minions];
+      const previousPhase = this.phase;
+      
+      this.boss.controller = null;
+      this.phase = BossPhase.DEFEATED;
+      this.attack = null;
+      this.minions = [];
+      
+      this.events.emit(GameEvents.BOSS_PHASE_CHANGED, {
+        boss: enemy,
+        phase: BossPhase.DEFEATED,
+        previousPhase
+      });
+      this.events.emit(GameEvents.BOSS_DEFEATED, { boss: enemy, minions });
+      return;
+    }
+    
+    const index = this.minions.indexOf(enemy);
+    if (index > -1) {
+      this.minions.splice(index, 1);
+    }
+  }
+}
+
@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+
+/**
+ * Collision - Oriented boxes built from World.objects, and a vertical
+ * capsule that is pushed out of them
+ *
+ * Each mesh's geometry bounding box is taken into the mesh's own rotated
+ * and scaled space (the same fit NavGrid.bake uses), so anything the world
+ * build puts in `objects` collides with no extra setup. The capsule is
+ * pushed out along the contact normal, which slides it along walls, and
+ * stands on whatever the support rays find under it.
+ */
+
+const REFINE_STEPS = 4;         // Closest-point passes between the capsule segment and a box
+const WALKABLE_NORMAL_Y = 0.7;  // Contacts flatter than this are floor
+const CEILING_NORMAL_Y = -0.7;  // ...and steeper than this (facing down) are ceiling
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+// Scratch objects, reused every query
+const offset = new THREE.Vector3();
+const size = new THREE.Vector3();
+const segmentPoint = new THREE.Vector3();
+const boxPoint = new THREE.Vector3();
+const normal = new THREE.Vector3();
+const capsuleBounds = new THREE.Box3();
+const rayOrigin = new THREE.Vector3();
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * A mesh's bounding box as an oriented box in world space
+ */
+export class BoxCollider {
+  /**
+   * @param {THREE.Mesh} mesh
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+    this.center = new THREE.Vector3();
+    this.axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    this.halfSize = [0, 0, 0];
+    this.bounds = new THREE.Box3(); // World-space AABB for the broadphase
+    
+    this.update();
+  }
+  
+  /**
+   * Refit to the mesh's current transform
+   */
+  update() {
+    const mesh = this.mesh;
+    mesh.updateWorldMatrix(true, false);
+    if (!mesh.geometry.boundingBox) {
+      mesh.geometry.computeBoundingBox();
+    }
+    
+    const box = mesh.geometry.boundingBox;
+    box.getCenter(this.center).applyMatrix4(mesh.matrixWorld);
+    box.getSize(size);
+    
+    mesh.matrixWorld.extractBasis(this.axes[0], this.axes[1], this.axes[2]);
+    this.axes.forEach((axis, i) => {
+      const scale = axis.length();
+      axis.divideScalar(scale);
+      this.halfSize[i] = size.getComponent(i) * scale / 2;
+    });
+    
+    this.bounds.copy(box).applyMatrix4(mesh.matrixWorld);
+  }
+  
+  /**
+   * Closest point on or inside the box
+   * @param {THREE.Vector3} point
+   * @param {THREE.Vector3} target - Receives the result
+   * @returns {THREE.Vector3} target
+   */
+  closestPoint(point, target) {
+    offset.subVectors(point, this.center);
+    target.copy(this.center);
+    this.axes.forEach((axis, i) => {
+      target.addScaledVector(axis, clamp(offset.dot(axis), -this.halfSize[i], this.halfSize[i]));
+    });
+    return target;
+  }
+  
+  /**
+   * Way out for a point buried inside the box - through the nearest face
+   * @param {THREE.Vector3} point
+   * @param {THREE.Vector3} target - Receives the face normal
+   * @returns {number} Distance to that face
+   */
+  exitNormal(point, target) {
+    offset.subVectors(point, this.center);
+    let best = Infinity;
+    this.axes.forEach((axis, i) => {
+      const along = offset.dot(axis);
+      const depth = this.halfSize[i] - Math.abs(along);
+      if (depth < best) {
+        best = depth;
+        target.copy(axis).multiplyScalar(along < 0 ? -1 : 1);
+      }
+    });
+    return best;
+  }
+}
+
+export class CollisionWorld {
+  constructor() {
+    this.meshes = [];
+    this.colliders = [];
+    this.raycaster = new THREE.Raycaster();
+  }
+  
+  /**
+   * Rebuild the colliders from the world's solid meshes
+   * @param {THREE.Mesh[]} objects - World.objects
+   */
+  build(objects) {
+    this.meshes = objects.filter(object => object.geometry);
+    this.colliders = this.meshes.map(mesh => new BoxCollider(mesh));
+  }
+  
+  /**
+   * How deep a vertical capsule sits in one box
+   * @param {BoxCollider} collider
+   * @param {THREE.Vector3} position - Reference point of the capsule
+   * @param {number} bottom - Y offset from `position` to the lower sphere's center
+   * @param {number} top - Y offset from `position` to the upper sphere's center
+   * @param {number} radius
+   * @param {THREE.Vector3} target - Receives the direction out of the box
+   * @returns {number} Penetration depth, 0 if they don't touch
+   */
+  getPenetration(collider, position, bottom, top, radius, target) {
+    capsuleBounds.min.set(position.x - radius, position.y + bottom - radius, position.z - radius);
+    capsuleBounds.max.set(position.x + radius, position.y + top + radius, position.z + radius);
+    if (!capsuleBounds.intersectsBox(collider.bounds)) return 0;
+    
+    // Alternate closest points until segment and box agree
+    const low = position.y + bottom;
+    const high = position.y + top;
+    segmentPoint.set(position.x, clamp(collider.center.y, low, high), position.z);
+    for (let i = 0; i < REFINE_STEPS; i++) {
+      collider.closestPoint(segmentPoint, boxPoint);
+      segmentPoint.y = clamp(boxPoint.y, low, high);
+    }
+    
+    target.subVectors(segmentPoint, boxPoint);
+    const distance = target.length();
+    if (distance >= radius) return 0;
+    
+    if (distance > 1e-6) {
+      target.divideScalar(distance);
+      return radius - distance;
+    }
+    return collider.exitNormal(segmentPoint, target) + radius;
+  }
+  
+  /**
+   * Whether a vertical capsule would overlap anything (e.g. room to stand up)
+   * @returns {boolean}
+   */
+  overlapsCapsule(position, bottom, top, radius) {
+    return this.colliders.some(collider => this.getPenetration(collider, position, bottom, top, radius, normal) > 0);
+  }
+  
+  /**
+   * Push a vertical capsule out of every box it overlaps
+   * @param {THREE.Vector3} position - Reference point of the capsule, moved in place
+   * @param {number} bottom - Y offset from `position` to the lower sphere's center
+   * @param {number} top - Y offset from `position` to the upper sphere's center
+   * @param {number} radius
+   * @param {THREE.Vector3} velocity - Motion into a surface is removed
+   * @returns {object} { wall, floor, ceiling } - Which kinds of surface were touched
+   */
+  resolveCapsule(position, bottom, top, radius, velocity) {
+    const contact = { wall: false, floor: false, ceiling: false };
+    
+    for (const collider of this.colliders) {
+      const depth = this.getPenetration(collider, position, bottom, top, radius, normal);
+      if (depth === 0) continue;
+      
+      if (normal.y > WALKABLE_NORMAL_Y) {
+        position.addScaledVector(normal, depth);
+        velocity.y = Math.max(0, velocity.y);
+        contact.floor = true;
+      } else if (normal.y < CEILING_NORMAL_Y) {
+        position.addScaledVector(normal, depth);
+        velocity.y = Math.min(0, velocity.y);
+        contact.ceiling = true;
+      } else {
+        // Walls push straight out sideways, so the capsule slides instead of riding up or down
+        const sideways = Math.hypot(normal.x, normal.z);
+        normal.set(normal.x / sideways, 0, normal.z / sideways);
+        position.addScaledVector(normal, depth / sideways);
+        
+        const into = velocity.dot(normal);
+        if (into < 0) {
+          velocity.addScaledVector(normal, -into);
+        }
+        contact.wall = true;
+      }
+    }
+    
+    return contact;
+  }
+  
+  /**
+   * Highest solid surface under a footprint, looking down from a height
+   * @param {number} x
+   * @param {number} z
+   * @param {number} fromY - Only surfaces below this count
+   * @param {number} [radius] - Footprint size - the center and four points around it are probed
+   * @returns {number} Surface height, -Infinity if there is nothing
+   */
+  getSupportHeight(x, z, fromY, radius = 0) {
+    let height = -Infinity;
+    const probes = radius > 0 ? [[0, 0], [radius, 0], [-radius, 0], [0, radius], [0, -radius]] : [[0, 0]];
+    
+    probes.forEach(([dx, dz]) => {
+      this.raycaster.set(rayOrigin.set(x + dx, fromY, z + dz), DOWN);
+      const hits = this.raycaster.intersectObjects(this.meshes, false);
+      if (hits.length > 0) {
+        height = Math.max(height, hits[0].point.y);
+      }
+    });
+    
+    return height;
+  }
+}
+
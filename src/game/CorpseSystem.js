@@ -0,0 +1,405 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { HitZone } from './EnemyArchetypes.js';
+
+/**
+ * CorpseSystem - Physics-driven enemy deaths (cannon-es ragdolls)
+ * Reference: GAME_DEV_CONTEXT.md - Object Pooling Pattern
+ *
+ * A killed enemy's body parts (the meshes tagged with a hit zone) become
+ * rigid bodies: the torso with the head fused on, and limbs pinned to it
+ * at their joints. The killing shot
+ * knocks the ragdoll over; once it settles it fades out and only then is
+ * the enemy handed back to the pool. At most `maxCorpses` ragdolls exist
+ * at once - the oldest one is cleared early to make room.
+ */
+
+const CORPSE_CONFIG = {
+  maxCorpses: 8,
+  lifetime: 4,        // Seconds before fading, even if still moving
+  minLifetime: 1.5,   // Seconds before a ragdoll that fell asleep may fade
+  fadeTime: 1,
+  knockback: 3,       // Speed (units/s) the killing shot adds along its direction
+  shotSpin: 2,        // Extra speed for the part that was hit, applied off-center
+  topple: 6,          // Spin (rad/s) that tips the torso over
+  hop: 1.5,           // Upward speed so it doesn't just fold in place
+  density: 10,        // Mass per unit of bounding box volume
+  detailRadius: 0.1   // Parts smaller than this ride along with the nearest big part
+};
+
+export class CorpseSystem {
+  /**
+   * @param {object} options
+   * @param {Function} options.release - (enemy) => void, returns a finished corpse to the pool
+   * @param {World} [options.terrain] - Bodies land on its dunes (flat ground if omitted)
+   */
+  constructor({ release, terrain = null }) {
+    this.release = release;
+    this.config = CORPSE_CONFIG;
+    this.corpses = [];
+    
+    this.world = new CANNON.World({ gravity: new CANNON.Vec3(0, -25, 0) });
+    this.world.allowSleep = true;
+    
+    this.world.addBody(terrain ? this.createTerrainBody(terrain) : this.createFlatGround());
+    
+    this.obstacles = [];
+  }
+  
+  createFlatGround() {
+    const ground = new CANNON.Body({ type: CANNON.Body.STATIC, shape: new CANNON.Plane() });
+    ground.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    return ground;
+  }
+  
+  /**
+   * Heightfield sampled at the ground mesh's vertices
+   * @param {World} terrain
+   * @returns {CANNON.Body}
+   */
+  createTerrainBody(terrain) {
+    const { size, segments } = terrain.getGroundGrid();
+    const cell = size / segments;
+    const half = size / 2;
+    
+    // Laid flat, the field's first index runs along +X and the second along -Z
+    const data = [];
+    for (let i = 0; i <= segments; i++) {
+      const row = [];
+      for (let j = 0; j <= segments; j++) {
+        row.push(terrain.getHeightAt(-half + i * cell, half - j * cell));
+      }
+      data.push(row);
+    }
+    
+    const ground = new CANNON.Body({
+      type: CANNON.Body.STATIC,
+      shape: new CANNON.Heightfield(data, { elementSize: cell })
+    });
+    ground.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    ground.position.set(-half, 0, half);
+    return ground;
+  }
+  
+  /**
+   * Give World.objects static collision boxes so bodies land on the wreck and rocks
+   * @param {THREE.Object3D[]} objects - World obstacles
+   */
+  setObstacles(objects) {
+    this.obstacles.forEach(body => this.world.removeBody(body));
+    
+    const box = new THREE.Box3();
+    const size = new THREE.Vector3();
+    const center = new THREE.Vector3();
+    
+    this.obstacles = objects.map(object => {
+      object.updateWorldMatrix(true, false);
+      box.setFromObject(object);
+      box.getSize(size);
+      box.getCenter(center);
+      
+      const body = new CANNON.Body({
+        type: CANNON.Body.STATIC,
+        shape: new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2))
+      });
+      body.position.set(center.x, center.y, center.z);
+      this.world.addBody(body);
+      return body;
+    });
+  }
+  
+  /**
+   * Turn a dead enemy into a ragdoll
+   * @param {Enemy} enemy - Enemy that just died (still in the pool)
+   * @param {object} [shot] - The killing shot
+   * @param {THREE.Vector3} [shot.hitPoint] - Where it hit
+   * @param {THREE.Vector3} [shot.direction] - Normalized travel direction
+   */
+  add(enemy, { hitPoint = null, direction = null } = {}) {
+    if (!enemy.mesh) {
+      this.release(enemy);
+      return;
+    }
+    
+    while (this.corpses.length >= this.config.maxCorpses) {
+      this.remove(this.corpses[0]);
+    }
+    
+    const { torso, fused, limbs } = this.flattenParts(enemy.mesh);
+    if (!torso) {
+      enemy.mesh.visible = false;
+      this.release(enemy);
+      return;
+    }
+    
+    const torsoBody = this.createBody(torso, fused, enemy.velocity);
+    const limbBodies = limbs.map(limb => this.createBody(limb, [], enemy.velocity));
+    const corpse = {
+      enemy,
+      parts: [torso, ...limbs],
+      bodies: [torsoBody, ...limbBodies],
+      constraints: limbs.map((limb, i) => this.createJoint(torsoBody, limb, limbBodies[i])),
+      age: 0,
+      fadeStart: null
+    };
+    
+    corpse.bodies.forEach(body => this.world.addBody(body));
+    corpse.constraints.forEach(constraint => this.world.addConstraint(constraint));
+    
+    this.applyShot(corpse, hitPoint, direction);
+    this.corpses.push(corpse);
+  }
+  
+  /**
+   * Move the body parts out of the enemy's group transform into world space
+   * (the group is reset to identity) and sort them by how they move:
+   * - the torso gets a rigid body, the head and other non-limb parts are fused to it
+   * - limbs get their own bodies, jointed to the torso
+   * - tiny details (eyes) ride along with the closest part
+   * Anything that isn't a body part (the health bar) is hidden.
+   * @returns {{ torso: THREE.Mesh|null, fused: THREE.Mesh[], limbs: THREE.Mesh[] }}
+   */
+  flattenParts(root) {
+    root.updateMatrixWorld(true);
+    
+    const parts = [];
+    const details = [];
+    root.children.forEach(child => {
+      if (!child.isMesh || !child.userData.hitZone) {
+        child.visible = false;
+        return;
+      }
+      
+      child.geometry.computeBoundingSphere();
+      const scale = child.getWorldScale(new THREE.Vector3()).x;
+      const list = child.geometry.boundingSphere.radius * scale < this.config.detailRadius ? details : parts;
+      list.push(child);
+    });
+    
+    // Bake world transforms into the parts, then clear the group's transform
+    const matrices = root.children.map(child => child.matrixWorld.clone());
+    root.position.set(0, 0, 0);
+    root.rotation.set(0, 0, 0);
+    root.scale.setScalar(1);
+    root.children.forEach((child, i) => {
+      matrices[i].decompose(child.position, child.quaternion, child.scale);
+    });
+    root.updateMatrixWorld(true);
+    
+    details.forEach(detail => {
+      let closest = parts[0];
+      parts.forEach(part => {
+        if (part.position.distanceToSquared(detail.position) < closest.position.distanceToSquared(detail.position)) {
+          closest = part;
+        }
+      });
+      if (closest) closest.attach(detail);
+    });
+    
+    const torso = parts.find(part => part.userData.hitZone === HitZone.TORSO) || parts[0] || null;
+    const limbs = parts.filter(part => part !== torso && part.userData.hitZone === HitZone.LIMB);
+    const fused = parts.filter(part => part !== torso && part.userData.hitZone !== HitZone.LIMB);
+    fused.forEach(part => torso.attach(part));
+    
+    return { torso, fused, limbs };
+  }
+  
+  /**
+   * Rigid body for a part, with fused parts as extra shapes
+   * @param {THREE.Mesh} part - Mesh in world space
+   * @param {THREE.Mesh[]} fused - Children of `part` that move with it
+   */
+  createBody(part, fused, velocity) {
+    const body = new CANNON.Body({
+      mass: 1,
+      linearDamping: 0.1,
+      angularDamping: 0.2,
+      sleepSpeedLimit: 0.3,
+      sleepTimeLimit: 0.5
+    });
+    
+    let volume = this.addShape(body, part, false);
+    fused.forEach(child => {
+      volume += this.addShape(body, child, true);
+    });
+    body.mass = Math.max(0.5, volume * this.config.density);
+    body.updateMassProperties();
+    
+    body.position.set(part.position.x, part.position.y, part.position.z);
+    body.quaternion.set(part.quaternion.x, part.quaternion.y, part.quaternion.z, part.quaternion.w);
+    body.velocity.set(velocity.x, this.config.hop, velocity.z);
+    return body;
+  }
+  
+  /**
+   * Add a mesh's bounding shape (sphere or box) to a body
+   * @param {boolean} isChild - The mesh is a child of the body's mesh rather than the mesh itself
+   * @returns {number} Bounding box volume
+   */
+  addShape(body, mesh, isChild) {
+    const geometry = mesh.geometry;
+    geometry.computeBoundingBox();
+    const scale = isChild ? mesh.scale : new THREE.Vector3(1, 1, 1);
+    const size = geometry.boundingBox.getSize(new THREE.Vector3()).multiply(scale);
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3()).multiply(scale);
+    
+    const shape = geometry.type === 'SphereGeometry'
+      ? new CANNON.Sphere(size.x / 2)
+      : new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
+    
+    if (isChild) {
+      center.applyQuaternion(mesh.quaternion).add(mesh.position);
+      const { x, y, z, w } = mesh.quaternion;
+      body.addShape(shape, new CANNON.Vec3(center.x, center.y, center.z), new CANNON.Quaternion(x, y, z, w));
+    } else {
+      body.addShape(shape, new CANNON.Vec3(center.x, center.y, center.z));
+    }
+    
+    return size.x * size.y * size.z;
+  }
+  
+  /**
+   * Pin a limb to the torso at its upper end (the shoulder end of an arm)
+   */
+  createJoint(torsoBody, limb, limbBody) {
+    const box = limb.geometry.boundingBox;
+    const center = box.getCenter(new THREE.Vector3());
+    const half = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+    
+    // Longest axis of the limb, in its own space
+    const axis = new THREE.Vector3();
+    if (half.y >= half.x && half.y >= half.z) axis.y = half.y;
+    else if (half.x >= half.z) axis.x = half.x;
+    else axis.z = half.z;
+    
+    const pivot = center.clone().add(axis).applyMatrix4(limb.matrixWorld);
+    const end = center.clone().sub(axis).applyMatrix4(limb.matrixWorld);
+    if (end.y > pivot.y) {
+      pivot.copy(end);
+    }
+    
+    const worldPivot = new CANNON.Vec3(pivot.x, pivot.y, pivot.z);
+    const constraint = new CANNON.PointToPointConstraint(
+      torsoBody,
+      torsoBody.pointToLocalFrame(worldPivot),
+      limbBody,
+      limbBody.pointToLocalFrame(worldPivot)
+    );
+    constraint.collideConnected = false;
+    return constraint;
+  }
+  
+  /**
+   * Knock the ragdoll along the killing shot and tip it over
+   * (a random direction when there was no shot, e.g. minions falling with the boss)
+   */
+  applyShot(corpse, hitPoint, direction) {
+    const { knockback, shotSpin, topple } = this.config;
+    
+    if (!direction) {
+      const angle = Math.random() * Math.PI * 2;
+      direction = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+    } else {
+      corpse.bodies.forEach(body => {
+        body.velocity.x += direction.x * knockback;
+        body.velocity.y += direction.y * knockback;
+        body.velocity.z += direction.z * knockback;
+      });
+    }
+    
+    // Spin the torso so its top falls away from the shooter (up x direction)
+    const torsoBody = corpse.bodies[0];
+    const horizontal = Math.hypot(direction.x, direction.z) || 1;
+    torsoBody.angularVelocity.set(direction.z / horizontal * topple, 0, -direction.x / horizontal * topple);
+    
+    if (!hitPoint) return;
+    
+    // The part that took the shot gets shoved at the impact point
+    let hitBody = torsoBody;
+    let closest = Infinity;
+    corpse.bodies.forEach(body => {
+      const dx = body.position.x - hitPoint.x;
+      const dy = body.position.y - hitPoint.y;
+      const dz = body.position.z - hitPoint.z;
+      const distanceSq = dx * dx + dy * dy + dz * dz;
+      if (distanceSq < closest) {
+        closest = distanceSq;
+        hitBody = body;
+      }
+    });
+    
+    const impulse = new CANNON.Vec3(direction.x, direction.y, direction.z).scale(hitBody.mass * shotSpin);
+    const offset = new CANNON.Vec3(hitPoint.x, hitPoint.y, hitPoint.z).vsub(hitBody.position);
+    hitBody.applyImpulse(impulse, offset);
+  }
+  
+  update(deltaTime) {
+    if (this.corpses.length === 0) return;
+    
+    this.world.step(1 / 60, deltaTime, 3);
+    
+    const { lifetime, minLifetime, fadeTime } = this.config;
+    
+    [...this.corpses].forEach(corpse => {
+      corpse.age += deltaTime;
+      
+      corpse.parts.forEach((part, i) => {
+        part.position.copy(corpse.bodies[i].position);
+        part.quaternion.copy(corpse.bodies[i].quaternion);
+      });
+      
+      // Start fading once it has settled (or it has been around long enough)
+      if (corpse.fadeStart === null) {
+        const settled = corpse.age >= minLifetime &&
+          corpse.bodies.every(body => body.sleepState === CANNON.Body.SLEEPING);
+        if (settled || corpse.age >= lifetime) {
+          corpse.fadeStart = corpse.age;
+        }
+      }
+      
+      if (corpse.fadeStart !== null) {
+        const opacity = 1 - (corpse.age - corpse.fadeStart) / fadeTime;
+        if (opacity <= 0) {
+          this.remove(corpse);
+          return;
+        }
+        this.setOpacity(corpse.enemy.mesh, opacity);
+      }
+    });
+  }
+  
+  setOpacity(root, opacity) {
+    root.traverse(child => {
+      if (child.isMesh && child.material) {
+        child.material.transparent = true;
+        child.material.opacity = opacity;
+      }
+    });
+  }
+  
+  /**
+   * Take a corpse out of the simulation and give the enemy back to the pool
+   */
+  remove(corpse) {
+    const index = this.corpses.indexOf(corpse);
+    if (index > -1) {
+      this.corpses.splice(index, 1);
+    }
+    
+    corpse.constraints.forEach(constraint => this.world.removeConstraint(constraint));
+    corpse.bodies.forEach(body => this.world.removeBody(body));
+    
+    if (corpse.enemy.mesh) {
+      corpse.enemy.mesh.visible = false;
+    }
+    this.release(corpse.enemy);
+  }
+  
+  /**
+   * Remove every ragdoll (level change / restart)
+   */
+  clear() {
+    [...this.corpses].forEach(corpse => this.remove(corpse));
+  }
+}
+
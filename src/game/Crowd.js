@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+import { SpatialHash } from './SpatialHash.js';
+import { EnemyState } from './EnemyStates.js';
+
+/**
+ * Crowd - Keeps enemies from stacking up and spreads attackers around the player
+ * Reference: GAME_DEV_CONTEXT.md - Component Pattern
+ *
+ * Once per frame, before enemies update, the crowd:
+ * - buckets every enemy in a spatial hash for cheap neighbour lookups
+ * - gives each enemy a `separation` push away from overlapping neighbours
+ * - hands engaged enemies a surround slot (an angle around the player)
+ *   and sets their `surroundTarget`; extra enemies hold back on an outer ring
+ */
+
+// States that count as engaging the player
+const ENGAGED_STATES = [EnemyState.CHASE, EnemyState.WINDUP, EnemyState.ATTACK];
+
+// Largest angle (radians) an enemy aims ahead while circling to its slot
+const MAX_ORBIT_STEP = Math.PI / 4;
+
+// Signed shortest turn from angle b to angle a
+function angleDifference(a, b) {
+  return THREE.MathUtils.euclideanModulo(a - b + Math.PI, Math.PI * 2) - Math.PI;
+}
+
+export class Crowd {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.slotCount] - Attackers allowed around the player at once
+   * @param {number} [options.engageRange] - Enemies closer than this take a slot
+   * @param {number} [options.holdBackDistance] - Extra distance for enemies without a slot
+   * @param {number} [options.separationStrength] - Push speed (units/s) at full overlap
+   */
+  constructor({ slotCount = 8, engageRange = 10, holdBackDistance = 3, separationStrength = 4 } = {}) {
+    this.slotCount = slotCount;
+    this.engageRange = engageRange;
+    this.holdBackDistance = holdBackDistance;
+    this.separationStrength = separationStrength;
+    
+    this.hash = new SpatialHash(4);
+    this.slots = new Array(slotCount).fill(null); // slot index -> enemy
+    this.neighbours = []; // Reused query buffer
+  }
+  
+  /**
+   * @param {Enemy[]} enemies - Active enemies from the pool
+   * @param {THREE.Vector3} playerPosition - Player position
+   */
+  update(enemies, playerPosition) {
+    this.hash.clear();
+    enemies.forEach(enemy => {
+      if (!enemy.isDead) this.hash.insert(enemy);
+    });
+    
+    enemies.forEach(enemy => {
+      if (!enemy.isDead) this.updateSeparation(enemy);
+    });
+    
+    this.updateSlots(enemies, playerPosition);
+  }
+  
+  updateSeparation(enemy) {
+    const separation = enemy.separation.set(0, 0, 0);
+    const searchRadius = enemy.radius * 4;
+    const neighbours = this.hash.query(enemy.position.x, enemy.position.z, searchRadius, this.neighbours);
+    
+    for (let i = 0; i < neighbours.length; i++) {
+      const other = neighbours[i];
+      if (other === enemy || other.isDead) continue;
+      
+      const dx = enemy.position.x - other.position.x;
+      const dz = enemy.position.z - other.position.z;
+      const distanceSq = dx * dx + dz * dz;
+      const minDistance = enemy.radius + other.radius;
+      if (distanceSq >= minDistance * minDistance) continue;
+      
+      // Harder push the deeper the overlap; bigger bodies shove harder
+      const distance = Math.sqrt(distanceSq);
+      const overlap = 1 - distance / minDistance;
+      const weight = other.radius / minDistance;
+      
+      if (distance > 0.001) {
+        separation.x += dx / distance * overlap * weight;
+        separation.z += dz / distance * overlap * weight;
+      } else {
+        // Exactly on top of each other - pick any direction
+        const angle = Math.random() * Math.PI * 2;
+        separation.x += Math.cos(angle) * weight;
+        separation.z += Math.sin(angle) * weight;
+      }
+    }
+    
+    separation.multiplyScalar(this.separationStrength);
+  }
+  
+  updateSlots(enemies, playerPosition) {
+    const isEngaged = (enemy) =>
+      !enemy.isDead &&
+      !enemy.controller &&
+      !enemy.archetype.projectile && // Ranged enemies keep their distance
+      enemy.canSeePlayer && // Otherwise it heads for the last known position
+      ENGAGED_STATES.includes(enemy.brain.currentState) &&
+      enemy.position.distanceTo(playerPosition) <= this.engageRange;
+    
+    // Free slots whose owner died, fled or wandered off
+    this.slots.forEach((owner, slot) => {
+      if (owner && (!isEngaged(owner) || owner.surroundSlot !== slot)) {
+        this.slots[slot] = null;
+        if (owner.surroundSlot === slot) owner.surroundSlot = -1;
+      }
+    });
+    
+    // Closest enemies get first pick
+    const engaged = enemies.filter(isEngaged);
+    engaged.sort((a, b) =>
+      a.position.distanceToSquared(playerPosition) - b.position.distanceToSquared(playerPosition)
+    );
+    
+    engaged.forEach(enemy => {
+      if (enemy.surroundSlot === -1) {
+        enemy.surroundSlot = this.findFreeSlot(enemy, playerPosition);
+        if (enemy.surroundSlot !== -1) {
+          this.slots[enemy.surroundSlot] = enemy;
+        }
+      }
+      this.updateSurroundTarget(enemy, playerPosition);
+    });
+    
+    enemies.forEach(enemy => {
+      if (!isEngaged(enemy)) {
+        enemy.surroundSlot = -1;
+        enemy.surroundTarget = null;
+      }
+    });
+  }
+  
+  /**
+   * Free slot closest to the enemy's current bearing from the player
+   * @returns {number} Slot index or -1 when all are taken
+   */
+  findFreeSlot(enemy, playerPosition) {
+    const bearing = this.getBearing(enemy.position, playerPosition);
+    let best = -1;
+    let bestDifference = Infinity;
+    
+    for (let slot = 0; slot < this.slotCount; slot++) {
+      if (this.slots[slot]) continue;
+      
+      const difference = Math.abs(angleDifference(this.getSlotAngle(slot), bearing));
+      
+      if (difference < bestDifference) {
+        best = slot;
+        bestDifference = difference;
+      }
+    }
+    
+    return best;
+  }
+  
+  updateSurroundTarget(enemy, playerPosition) {
+    let angle;
+    let distance;
+    
+    if (enemy.surroundSlot !== -1) {
+      // Just inside attack range on its slot
+      angle = this.getSlotAngle(enemy.surroundSlot);
+      distance = enemy.attackRange * 0.75;
+      
+      // Already close - circle around the player instead of cutting through
+      const bearing = this.getBearing(enemy.position, playerPosition);
+      const offset = angleDifference(angle, bearing);
+      if (enemy.position.distanceTo(playerPosition) < distance * 2 && Math.abs(offset) > MAX_ORBIT_STEP) {
+        angle = bearing + Math.sign(offset) * MAX_ORBIT_STEP;
+      }
+    } else {
+      // No room - wait behind the attackers on its own bearing
+      angle = this.getBearing(enemy.position, playerPosition);
+      distance = enemy.attackRange + this.holdBackDistance;
+    }
+    
+    if (!enemy.surroundTarget) {
+      enemy.surroundTarget = new THREE.Vector3();
+    }
+    enemy.surroundTarget.set(
+      playerPosition.x + Math.cos(angle) * distance,
+      0,
+      playerPosition.z + Math.sin(angle) * distance
+    );
+  }
+  
+  getSlotAngle(slot) {
+    return slot / this.slotCount * Math.PI * 2;
+  }
+  
+  getBearing(position, playerPosition) {
+    return Math.atan2(position.z - playerPosition.z, position.x - playerPosition.x);
+  }
+  
+  reset() {
+    this.slots.fill(null);
+    this.hash.clear();
+  }
+}
+
@@ -1,36 +1,69 @@
 import * as THREE from 'three';
+import { archetypes, HitZone } from './EnemyArchetypes.js';
+import { EnemyState, EnemyStateMachine } from './EnemyStates.js';
+import { PathFollower } from './NavGrid.js';
+import { StatusEffects, StatusEffect } from './StatusEffects.js';
+
+const HIT_FLASH_TIME = 0.1; // Seconds the body shows red after a hit
 
 /**
  * Enemy - Basic hostile that chases and attacks the player
+ * Stats, looks and AI come from its archetype (see EnemyArchetypes.js)
  */
 export class Enemy {
-  constructor(scene, position, type = 'grunt') {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the mesh to
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {string} [type] - Archetype name
+   * @param {EventSystem} [events] - Game event bus for AI state changes
+   * @param {NavGrid} [navGrid] - Walkability grid for pathfinding around obstacles
+   * @param {World} [terrain] - Keeps the feet on the dunes (getHeightAt), flat ground if omitted
+   */
+  constructor(scene, position, type = 'grunt', events = null, navGrid = null, terrain = null) {
     this.scene = scene;
     this.type = type;
+    this.terrain = terrain;
+    
+    // AI state machine (see EnemyStates.js)
+    this.brain = new EnemyStateMachine(this, events);
+    this.pathFollower = navGrid ? new PathFollower(navGrid) : null;
     
     // Stats based on type
-    const stats = this.getStats(type);
-    this.health = stats.health;
-    this.maxHealth = stats.health;
-    this.speed = stats.speed;
-    this.damage = stats.damage;
-    this.attackRange = stats.attackRange;
-    this.attackCooldown = stats.attackCooldown;
-    this.scoreValue = stats.scoreValue;
+    this.applyArchetype(type);
     
     // State
     this.isDead = false;
     this.lastAttackTime = 0;
     this.isAttacking = false;
+    this.isInvulnerable = false;
+    this.flashTimer = 0;
+    this.controller = null; // Optional script driving this enemy (e.g. a boss encounter)
+    this.hasFled = false;
+    
+    // Bleeding, burning, stun and slow - Game deals the tick damage
+    this.effects = new StatusEffects();
+    
+    // Perception (filled in by Perception each frame)
+    this.canSeePlayer = false;
+    this.sightTimer = 0;
+    this.lastKnownPosition = position.clone(); // Where the player was last sensed
+    this.memory = 0; // Seconds left before it gives up on lastKnownPosition
     
     // Physics
     this.position = position.clone();
+    this.home = position.clone(); // Patrol center
+    this.patrolTarget = new THREE.Vector3();
     this.velocity = new THREE.Vector3();
-    this.radius = 0.5;
-    this.height = 1.8;
+    this.lift = 0; // Body height above the feet - hops, bobbing, climbing out of the ground
+    
+    // Crowd steering (filled in by Crowd each frame)
+    this.separation = new THREE.Vector3();
+    this.surroundSlot = -1;
+    this.surroundTarget = null;
     
     // Mesh
     this.mesh = null;
+    this.meshType = null; // Type the current mesh was built for
     this.healthBar = null;
     
     // Animation state
@@ -39,137 +72,37 @@ export class Enemy {
     this.init();
   }
   
-  getStats(type) {
-    switch (type) {
-      case 'grunt':
-        return {
-          health: 50,
-          speed: 4,
-          damage: 10,
-          attackRange: 2,
-          attackCooldown: 1000,
-          scoreValue: 100
-        };
-      case 'runner':
-        return {
-          health: 30,
-          speed: 8,
-          damage: 5,
-          attackRange: 1.5,
-          attackCooldown: 500,
-          scoreValue: 150
-        };
-      case 'tank':
-        return {
-          health: 150,
-          speed: 2,
-          damage: 25,
-          attackRange: 2.5,
-          attackCooldown: 2000,
-          scoreValue: 300
-        };
-      case 'boss':
-        return {
-          health: 500,
-          speed: 3,
-          damage: 40,
-          attackRange: 3,
-          attackCooldown: 1500,
-          scoreValue: 1000
-        };
-      default:
-        return {
-          health: 50,
-          speed: 4,
-          damage: 10,
-          attackRange: 2,
-          attackCooldown: 1000,
-          scoreValue: 100
-        };
-    }
+  /**
+   * Copy stats from the archetype registry
+   * @param {string} type - Enemy type
+   */
+  applyArchetype(type) {
+    const archetype = archetypes.get(type);
+    const stats = archetype.stats;
+    
+    this.archetype = archetype;
+    this.health = stats.health;
+    this.maxHealth = stats.health;
+    this.speed = stats.speed;
+    this.damage = stats.damage;
+    this.attackRange = stats.attackRange;
+    this.attackCooldown = stats.attackCooldown;
+    this.scoreValue = archetype.scoreValue;
+    this.ai = archetype.ai;
+    
+    // Body size follows the archetype's scale
+    this.radius = 0.5 * archetype.appearance.scale;
+    this.height = 1.8 * archetype.appearance.scale;
   }
   
   init() {
-    // Create enemy mesh
-    const group = new THREE.Group();
-    
-    // Body color based on type
-    let bodyColor = 0x884422;
-    let scale = 1;
-    
-    switch (this.type) {
-      case 'grunt':
-        bodyColor = 0x664433;
-        break;
-      case 'runner':
-        bodyColor = 0x886644;
-        scale = 0.8;
-        break;
-      case 'tank':
-        bodyColor = 0x443322;
-        scale = 1.3;
-        break;
-      case 'boss':
-        bodyColor = 0x220000;
-        scale = 2;
-        break;
-    }
+    // Create enemy mesh from the archetype's builder
+    const appearance = this.archetype.appearance;
+    const scale = appearance.scale;
+    const { group, head, leftArm, rightArm } = this.archetype.buildMesh(appearance);
     
-    // Body (cylinder) - LARGER for easier hitting
-    const bodyGeom = new THREE.CylinderGeometry(0.6 * scale, 0.7 * scale, 1.6 * scale, 8);
-    const bodyMat = new THREE.MeshStandardMaterial({
-      color: bodyColor,
-      roughness: 0.8,
-      metalness: 0.1
-    });
-    const body = new THREE.Mesh(bodyGeom, bodyMat);
-    body.position.y = 0.8 * scale;
-    body.castShadow = true;
-    group.add(body);
-    
-    // Head - LARGER for easier hitting
-    const headGeom = new THREE.SphereGeometry(0.4 * scale, 8, 8);
-    const headMat = new THREE.MeshStandardMaterial({
-      color: 0xcc9966,
-      roughness: 0.7
-    });
-    const head = new THREE.Mesh(headGeom, headMat);
-    head.position.y = 1.7 * scale;
-    head.castShadow = true;
-    group.add(head);
     this.head = head;
-    
-    // Eyes (menacing red glow)
-    const eyeGeom = new THREE.SphereGeometry(0.05 * scale, 6, 6);
-    const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    
-    const leftEye = new THREE.Mesh(eyeGeom, eyeMat);
-    leftEye.position.set(-0.1 * scale, 1.58 * scale, 0.2 * scale);
-    group.add(leftEye);
-    
-    const rightEye = new THREE.Mesh(eyeGeom, eyeMat);
-    rightEye.position.set(0.1 * scale, 1.58 * scale, 0.2 * scale);
-    group.add(rightEye);
-    
-    // Arms - BIGGER and better positioned
-    const armGeom = new THREE.CylinderGeometry(0.15 * scale, 0.18 * scale, 1.2 * scale, 6);
-    const armMat = new THREE.MeshStandardMaterial({
-      color: bodyColor,
-      roughness: 0.8
-    });
-    
-    const leftArm = new THREE.Mesh(armGeom, armMat);
-    leftArm.position.set(-0.7 * scale, 1.0 * scale, 0);
-    leftArm.rotation.z = 0.3;
-    leftArm.castShadow = true;
-    group.add(leftArm);
     this.leftArm = leftArm;
-    
-    const rightArm = new THREE.Mesh(armGeom, armMat);
-    rightArm.position.set(0.7 * scale, 1.0 * scale, 0);
-    rightArm.rotation.z = -0.3;
-    rightArm.castShadow = true;
-    group.add(rightArm);
     this.rightArm = rightArm;
     
     // Simple health bar above head
@@ -194,69 +127,79 @@ export class Enemy {
     this.healthBar = healthFg;
     this.healthBarWidth = healthBarWidth * 0.95;
     
+    // Rest pose of every part, restored after a ragdoll death (see CorpseSystem)
+    this.restPose = group.children.map(child => ({
+      object: child,
+      position: child.position.clone(),
+      quaternion: child.quaternion.clone(),
+      scale: child.scale.clone(),
+      visible: child.visible
+    }));
+    
+    // Colors the hit flash returns to
+    this.baseColors = [];
+    group.traverse((child) => {
+      if (child.isMesh && child.material && child.material.color) {
+        this.baseColors.push({ material: child.material, color: child.material.color.getHex() });
+      }
+    });
+    
     // Position the group
     group.position.copy(this.position);
     
     this.mesh = group;
+    this.meshType = this.type;
     this.scene.add(group);
   }
   
-  update(deltaTime, playerPosition) {
-    if (this.isDead) return;
+  /**
+   * Remove the mesh and free its GPU resources
+   */
+  disposeMesh() {
+    if (!this.mesh) return;
     
-    // Calculate direction to player
-    const toPlayer = new THREE.Vector3();
-    toPlayer.subVectors(playerPosition, this.position);
-    toPlayer.y = 0; // Keep on ground plane
+    this.scene.remove(this.mesh);
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
     
-    const distanceToPlayer = toPlayer.length();
+    this.mesh = null;
+    this.meshType = null;
+  }
+  
+  update(deltaTime, playerPosition) {
+    if (this.isDead) return;
     
     // Animation
     this.animTime += deltaTime * 8;
+    this.brain.update(deltaTime);
     
-    // Check if in attack range
-    if (distanceToPlayer <= this.attackRange) {
-      this.isAttacking = true;
-      // Attack animation (arms reach forward)
-      if (this.leftArm) {
-        this.leftArm.rotation.x = Math.sin(this.animTime * 2) * 0.5 - 0.3;
-      }
-      if (this.rightArm) {
-        this.rightArm.rotation.x = Math.sin(this.animTime * 2 + Math.PI) * 0.5 - 0.3;
-      }
-    } else {
-      this.isAttacking = false;
-      
-      // Move toward player
-      if (distanceToPlayer > 0.1) {
-        toPlayer.normalize();
-        
-        this.velocity.x = toPlayer.x * this.speed;
-        this.velocity.z = toPlayer.z * this.speed;
-        
-        // Update position
-        this.position.x += this.velocity.x * deltaTime;
-        this.position.z += this.velocity.z * deltaTime;
-        
-        // Face player
-        const angle = Math.atan2(toPlayer.x, toPlayer.z);
-        this.mesh.rotation.y = angle;
-        
-        // Walking animation
-        if (this.leftArm) {
-          this.leftArm.rotation.x = Math.sin(this.animTime) * 0.5;
-        }
-        if (this.rightArm) {
-          this.rightArm.rotation.x = Math.sin(this.animTime + Math.PI) * 0.5;
-        }
-        
-        // Bob up and down slightly
-        this.mesh.position.y = Math.abs(Math.sin(this.animTime)) * 0.1;
+    if (this.flashTimer > 0) {
+      this.flashTimer -= deltaTime;
+      if (this.flashTimer <= 0) {
+        this.clearFlash();
       }
     }
     
+    // Stuns and slows hold it back
+    this.speed = this.archetype.stats.speed * this.effects.getSpeedMultiplier();
+    
+    // Archetype AI moves the enemy and sets isAttacking - it only acts on
+    // what the enemy perceived, the real position is just for the health bar
+    this.archetype.behavior(this, deltaTime, this.lastKnownPosition);
+    this.applySeparation(deltaTime);
+    
+    // Stand on the dunes
+    if (this.terrain) {
+      this.position.y = this.terrain.getHeightAt(this.position.x, this.position.z);
+    }
+    
     // Update mesh position
     this.mesh.position.x = this.position.x;
+    this.mesh.position.y = this.position.y + this.lift;
     this.mesh.position.z = this.position.z;
     
     // Make health bar face camera (billboard effect)
@@ -269,8 +212,49 @@ export class Enemy {
     }
   }
   
+  /**
+   * Get pushed out of overlapping neighbours (scripted enemies hold their ground)
+   */
+  applySeparation(deltaTime) {
+    if (this.controller || this.separation.lengthSq() === 0) return;
+    
+    const x = this.position.x + this.separation.x * deltaTime;
+    const z = this.position.z + this.separation.z * deltaTime;
+    
+    // Don't get shoved into obstacles
+    if (this.pathFollower && !this.pathFollower.navGrid.isWalkableAt(x, z)) return;
+    
+    this.position.x = x;
+    this.position.z = z;
+  }
+  
+  /**
+   * Which hit zone a part of this enemy's mesh belongs to
+   * @param {THREE.Object3D} object - Mesh hit by a raycast
+   * @returns {string} A HitZone value
+   */
+  getHitZone(object) {
+    let current = object;
+    while (current && current !== this.mesh) {
+      if (current.userData.hitZone) return current.userData.hitZone;
+      current = current.parent;
+    }
+    return HitZone.TORSO;
+  }
+  
+  /**
+   * Damage for a hit on a zone, after the archetype's multiplier
+   * @param {number} amount - Base weapon damage
+   * @param {string} hitZone - A HitZone value
+   * @returns {number}
+   */
+  getZoneDamage(amount, hitZone) {
+    const multiplier = this.archetype.hitZones[hitZone];
+    return typeof multiplier === 'number' ? amount * multiplier : amount;
+  }
+  
   canAttack() {
-    if (!this.isAttacking) return false;
+    if (!this.isAttacking || this.effects.has(StatusEffect.STUN)) return false;
     
     const now = performance.now();
     if (now - this.lastAttackTime >= this.attackCooldown) {
@@ -280,8 +264,13 @@ export class Enemy {
     return false;
   }
   
-  takeDamage(amount) {
-    if (this.isDead) return false;
+  /**
+   * @param {number} amount
+   * @param {boolean} [staggers] - False for damage over time, which shouldn't interrupt or flash
+   * @returns {boolean} Whether the enemy died
+   */
+  takeDamage(amount, staggers = true) {
+    if (this.isDead || this.isInvulnerable) return false;
     
     this.health -= amount;
     
@@ -293,32 +282,103 @@ export class Enemy {
       this.healthBar.position.x = (healthPercent - 1) * this.healthBarWidth / 2;
     }
     
-    // Flash red on hit (visual feedback)
-    this.mesh.traverse((child) => {
-      if (child.isMesh && child.material && child.material.color) {
-        const originalColor = child.material.color.getHex();
-        child.material.color.setHex(0xff0000);
-        setTimeout(() => {
-          child.material.color.setHex(originalColor);
-        }, 100);
-      }
-    });
+    // Flash red on hit (visual feedback) - not for bleed/burn ticks
+    if (staggers) {
+      this.flash();
+    }
     
     if (this.health <= 0) {
       this.die();
       return true; // Enemy died
     }
     
+    if (staggers) {
+      this.stagger();
+    }
     return false;
   }
   
+  /**
+   * Show red for a moment (visual feedback on a hit) - update() counts it down
+   */
+  flash() {
+    this.flashTimer = HIT_FLASH_TIME;
+    this.baseColors.forEach(({ material }) => material.color.setHex(0xff0000));
+  }
+  
+  clearFlash() {
+    this.flashTimer = 0;
+    this.baseColors.forEach(({ material, color }) => material.color.setHex(color));
+  }
+  
+  /**
+   * React to a hit that didn't kill - interrupts attacks unless the
+   * archetype shrugs hits off, and always makes the enemy aware of the player
+   */
+  stagger() {
+    if (this.controller) return;
+    
+    if (this.ai.staggerTime > 0) {
+      this.isAttacking = false;
+      this.brain.setState(EnemyState.STAGGER);
+      this.brain.stateTime = 0; // Repeated hits keep it off balance
+    } else if (this.isUnaware()) {
+      this.brain.setState(EnemyState.CHASE);
+    }
+  }
+  
+  /**
+   * Tell the enemy where the player is (seen, heard, or from a nearby ally)
+   * and wake it if it was dormant, idle or patrolling
+   * @param {THREE.Vector3} position - Where the player was sensed
+   */
+  alert(position) {
+    if (this.isDead) return;
+    
+    this.lastKnownPosition.copy(position);
+    this.memory = this.ai.memoryTime;
+    
+    if (this.controller || !this.isUnaware()) return;
+    this.brain.setState(EnemyState.ALERT);
+  }
+  
+  /**
+   * Fall asleep until alerted (stealth start)
+   */
+  sleep() {
+    if (this.controller) return;
+    this.brain.setState(EnemyState.DORMANT);
+  }
+  
+  isUnaware() {
+    return this.brain.isState(EnemyState.DORMANT) ||
+      this.brain.isState(EnemyState.IDLE) ||
+      this.brain.isState(EnemyState.PATROL);
+  }
+  
   die() {
     this.isDead = true;
+    this.isAttacking = false;
+    this.clearFlash(); // update() stops now, so the flash would never end
     
-    // Immediately hide the enemy
-    if (this.mesh) {
-      this.mesh.visible = false;
-    }
+    // The body is left for CorpseSystem to knock over; the health bar goes now
+    if (this.healthBg) this.healthBg.visible = false;
+    if (this.healthBar) this.healthBar.visible = false;
+  }
+  
+  /**
+   * Put every part back where the mesh builder placed it
+   */
+  restorePose() {
+    this.restPose.forEach(({ object, position, quaternion, scale, visible }) => {
+      if (object.parent !== this.mesh) {
+        this.mesh.add(object);
+      }
+      object.position.copy(position);
+      object.quaternion.copy(quaternion);
+      object.scale.copy(scale);
+      object.visible = visible;
+    });
   }
   
   getPosition() {
@@ -343,35 +403,52 @@ export class Enemy {
     this.type = type;
     
     // Reset stats
-    const stats = this.getStats(type);
-    this.health = stats.health;
-    this.maxHealth = stats.health;
-    this.speed = stats.speed;
-    this.damage = stats.damage;
-    this.attackRange = stats.attackRange;
-    this.attackCooldown = stats.attackCooldown;
-    this.scoreValue = stats.scoreValue;
+    this.applyArchetype(type);
     
     // Reset state
     this.lastAttackTime = 0;
     this.isAttacking = false;
+    this.isInvulnerable = false;
+    this.controller = null;
+    this.hasFled = false;
+    this.effects.clear();
+    this.canSeePlayer = false;
+    this.sightTimer = 0;
+    this.lastKnownPosition.copy(position);
+    this.memory = 0;
+    this.brain.reset();
+    this.separation.set(0, 0, 0);
+    this.surroundSlot = -1;
+    this.surroundTarget = null;
+    if (this.pathFollower) {
+      this.pathFollower.reset();
+    }
     
     // Reset position
     this.position.copy(position);
+    this.home.copy(position);
     this.velocity.set(0, 0, 0);
+    this.lift = 0;
     
     // Reset animation
     this.animTime = Math.random() * Math.PI * 2;
     
+    // A pooled enemy built as another type needs a new body
+    if (this.mesh && this.meshType !== type) {
+      this.disposeMesh();
+    }
+    
     // Reset mesh if it exists
     if (this.mesh) {
       // CRITICAL: Make visible FIRST
       this.mesh.visible = true;
+      this.restorePose();
       
       this.mesh.position.copy(position);
       this.mesh.rotation.x = 0;
       this.mesh.rotation.y = 0;
-      this.mesh.position.y = 0;
+      this.mesh.scale.setScalar(1);
+      this.clearFlash();
       
       // Reset materials opacity
       this.mesh.traverse((child) => {
@@ -0,0 +1,707 @@
+import * as THREE from 'three';
+import { EnemyState } from './EnemyStates.js';
+import { PickupType, isPickupType } from './PickupSystem.js';
+import { StatusEffect, isStatusEffect } from './StatusEffects.js';
+
+/**
+ * EnemyArchetypes - Registry of enemy types
+ * Reference: GAME_DEV_CONTEXT.md - Component Pattern
+ *
+ * An archetype declares everything that makes an enemy type different:
+ * stats, score value, appearance, the mesh builder, the AI behavior,
+ * the tuning (`ai`) for the default state machine behavior and the
+ * damage multipliers for each hit zone.
+ * New types can be registered at runtime with `archetypes.register()`.
+ */
+
+// Body parts a shot can land on. Mesh builders tag parts with
+// `userData.hitZone`; untagged parts count as torso.
+export const HitZone = {
+  HEAD: 'head',
+  TORSO: 'torso',
+  LIMB: 'limb'
+};
+
+/**
+ * Default mesh builder - the humanoid used by every built-in type
+ * @param {object} appearance - { bodyColor, headColor, eyeColor, scale }
+ * @returns {{ group: THREE.Group, head: THREE.Mesh, leftArm: THREE.Mesh, rightArm: THREE.Mesh }}
+ */
+export function buildHumanoid(appearance) {
+  const { bodyColor, headColor, eyeColor, scale } = appearance;
+  const group = new THREE.Group();
+  
+  // Body (cylinder) - LARGER for easier hitting
+  const bodyGeom = new THREE.CylinderGeometry(0.6 * scale, 0.7 * scale, 1.6 * scale, 8);
+  const bodyMat = new THREE.MeshStandardMaterial({
+    color: bodyColor,
+    roughness: 0.8,
+    metalness: 0.1
+  });
+  const body = new THREE.Mesh(bodyGeom, bodyMat);
+  body.position.y = 0.8 * scale;
+  body.castShadow = true;
+  body.userData.hitZone = HitZone.TORSO;
+  group.add(body);
+  
+  // Head - LARGER for easier hitting
+  const headGeom = new THREE.SphereGeometry(0.4 * scale, 8, 8);
+  const headMat = new THREE.MeshStandardMaterial({
+    color: headColor,
+    roughness: 0.7
+  });
+  const head = new THREE.Mesh(headGeom, headMat);
+  head.position.y = 1.7 * scale;
+  head.castShadow = true;
+  head.userData.hitZone = HitZone.HEAD;
+  group.add(head);
+  
+  // Eyes (menacing glow)
+  const eyeGeom = new THREE.SphereGeometry(0.05 * scale, 6, 6);
+  const eyeMat = new THREE.MeshBasicMaterial({ color: eyeColor });
+  
+  const leftEye = new THREE.Mesh(eyeGeom, eyeMat);
+  leftEye.position.set(-0.1 * scale, 1.58 * scale, 0.2 * scale);
+  leftEye.userData.hitZone = HitZone.HEAD;
+  group.add(leftEye);
+  
+  const rightEye = new THREE.Mesh(eyeGeom, eyeMat);
+  rightEye.position.set(0.1 * scale, 1.58 * scale, 0.2 * scale);
+  rightEye.userData.hitZone = HitZone.HEAD;
+  group.add(rightEye);
+  
+  // Arms - BIGGER and better positioned
+  const armGeom = new THREE.CylinderGeometry(0.15 * scale, 0.18 * scale, 1.2 * scale, 6);
+  const armMat = new THREE.MeshStandardMaterial({
+    color: bodyColor,
+    roughness: 0.8
+  });
+  
+  const leftArm = new THREE.Mesh(armGeom, armMat);
+  leftArm.position.set(-0.7 * scale, 1.0 * scale, 0);
+  leftArm.rotation.z = 0.3;
+  leftArm.castShadow = true;
+  leftArm.userData.hitZone = HitZone.LIMB;
+  group.add(leftArm);
+  
+  const rightArm = new THREE.Mesh(armGeom, armMat);
+  rightArm.position.set(0.7 * scale, 1.0 * scale, 0);
+  rightArm.rotation.z = -0.3;
+  rightArm.castShadow = true;
+  rightArm.userData.hitZone = HitZone.LIMB;
+  group.add(rightArm);
+  
+  return { group, head, leftArm, rightArm };
+}
+
+/**
+ * Simple AI - walk straight at the player and swing when in range
+ * (used by scripted enemies such as the boss between special attacks)
+ * @param {Enemy} enemy - The enemy being updated
+ * @param {number} deltaTime - Frame time in seconds
+ * @param {THREE.Vector3} playerPosition - Player position
+ */
+export function chaseBehavior(enemy, deltaTime, playerPosition) {
+  // Calculate direction to player
+  const toPlayer = new THREE.Vector3();
+  toPlayer.subVectors(playerPosition, enemy.position);
+  toPlayer.y = 0; // Keep on ground plane
+  
+  const distanceToPlayer = toPlayer.length();
+  
+  // Check if in attack range
+  if (distanceToPlayer <= enemy.attackRange) {
+    enemy.isAttacking = true;
+    // Attack animation (arms reach forward)
+    if (enemy.leftArm) {
+      enemy.leftArm.rotation.x = Math.sin(enemy.animTime * 2) * 0.5 - 0.3;
+    }
+    if (enemy.rightArm) {
+      enemy.rightArm.rotation.x = Math.sin(enemy.animTime * 2 + Math.PI) * 0.5 - 0.3;
+    }
+  } else {
+    enemy.isAttacking = false;
+    
+    // Move toward player
+    if (distanceToPlayer > 0.1) {
+      toPlayer.normalize();
+      
+      enemy.velocity.x = toPlayer.x * enemy.speed;
+      enemy.velocity.z = toPlayer.z * enemy.speed;
+      
+      // Update position
+      enemy.position.x += enemy.velocity.x * deltaTime;
+      enemy.position.z += enemy.velocity.z * deltaTime;
+      
+      // Face player
+      const angle = Math.atan2(toPlayer.x, toPlayer.z);
+      enemy.mesh.rotation.y = angle;
+      
+      // Walking animation
+      if (enemy.leftArm) {
+        enemy.leftArm.rotation.x = Math.sin(enemy.animTime) * 0.5;
+      }
+      if (enemy.rightArm) {
+        enemy.rightArm.rotation.x = Math.sin(enemy.animTime + Math.PI) * 0.5;
+      }
+      
+      // Bob up and down slightly
+      enemy.lift = Math.abs(Math.sin(enemy.animTime)) * 0.1;
+    }
+  }
+}
+
+// Enemies stay inside the same arena as the player
+const ARENA_BOUNDS = 45;
+// Seconds before a patrol leg is abandoned
+const PATROL_TIMEOUT = 10;
+// Surround slot steering: slow down inside ARRIVAL_RADIUS, stop inside ARRIVAL_STOP,
+// and count as on the slot within SLOT_TOLERANCE
+const ARRIVAL_RADIUS = 2;
+const ARRIVAL_STOP = 0.2;
+const SLOT_TOLERANCE = 1;
+// Ranged enemies search once this close to where the player was last sensed
+const SEARCH_RADIUS = 1.5;
+
+function groundDistance(enemy, point) {
+  const dx = point.x - enemy.position.x;
+  const dz = point.z - enemy.position.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+function faceToward(enemy, target) {
+  enemy.mesh.rotation.y = Math.atan2(target.x - enemy.position.x, target.z - enemy.position.z);
+}
+
+/**
+ * Step toward a point on the ground plane
+ * @returns {number} Distance left to the target
+ */
+function moveToward(enemy, target, speed, deltaTime) {
+  const dx = target.x - enemy.position.x;
+  const dz = target.z - enemy.position.z;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+  
+  if (distance > 0.1) {
+    enemy.velocity.x = dx / distance * speed;
+    enemy.velocity.z = dz / distance * speed;
+    enemy.position.x += enemy.velocity.x * deltaTime;
+    enemy.position.z += enemy.velocity.z * deltaTime;
+    faceToward(enemy, target);
+  }
+  
+  return distance;
+}
+
+/**
+ * Walk toward a point, routing around obstacles when the enemy has a nav grid
+ * @returns {number} Straight-line distance left to the target
+ */
+function navigateTo(enemy, target, speed, deltaTime) {
+  const waypoint = enemy.pathFollower
+    ? enemy.pathFollower.getWaypoint(enemy.position, target, deltaTime)
+    : target;
+  
+  moveToward(enemy, waypoint, speed, deltaTime);
+  return groundDistance(enemy, target);
+}
+
+function animateWalk(enemy) {
+  if (enemy.leftArm) {
+    enemy.leftArm.rotation.x = Math.sin(enemy.animTime) * 0.5;
+  }
+  if (enemy.rightArm) {
+    enemy.rightArm.rotation.x = Math.sin(enemy.animTime + Math.PI) * 0.5;
+  }
+  enemy.lift = Math.abs(Math.sin(enemy.animTime)) * 0.1;
+}
+
+function animateArms(enemy, angle) {
+  if (enemy.leftArm) enemy.leftArm.rotation.x = angle;
+  if (enemy.rightArm) enemy.rightArm.rotation.x = angle;
+}
+
+function standStill(enemy) {
+  enemy.velocity.x = 0;
+  enemy.velocity.z = 0;
+  enemy.lift = 0;
+  enemy.mesh.rotation.x = 0;
+}
+
+function shouldFlee(enemy) {
+  return !enemy.hasFled && enemy.health / enemy.maxHealth <= enemy.ai.fleeBelow;
+}
+
+/**
+ * Leave the fight when hurt badly enough or the player got away
+ * @returns {boolean} True if the state changed
+ */
+function disengage(enemy) {
+  if (shouldFlee(enemy)) {
+    enemy.brain.setState(EnemyState.FLEE);
+    return true;
+  }
+  if (enemy.memory <= 0) {
+    // Lost track of the player - patrol from here
+    enemy.home.copy(enemy.position);
+    startPatrol(enemy);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * At the last known position without sight of the player - look around
+ * until the memory fades and disengage() sends it back to patrolling
+ * @returns {boolean} True while searching
+ */
+function search(enemy, deltaTime, distance, radius) {
+  if (enemy.canSeePlayer || distance > radius) return false;
+  
+  standStill(enemy);
+  animateArms(enemy, 0);
+  enemy.mesh.rotation.y += deltaTime * 1.5;
+  return true;
+}
+
+function startPatrol(enemy) {
+  const angle = Math.random() * Math.PI * 2;
+  const radius = Math.random() * enemy.ai.patrolRadius;
+  enemy.patrolTarget.set(
+    enemy.home.x + Math.cos(angle) * radius,
+    0,
+    enemy.home.z + Math.sin(angle) * radius
+  );
+  enemy.brain.setState(EnemyState.PATROL);
+}
+
+// Per-state updates for stateMachineBehavior. `playerPosition` is where the
+// enemy last sensed the player (see Perception.js); spotting the player
+// moves unaware enemies to ALERT from outside the behavior.
+const STATE_UPDATES = {
+  [EnemyState.DORMANT]: (enemy) => {
+    // Slumped over and breathing slowly
+    standStill(enemy);
+    animateArms(enemy, 0.3);
+    enemy.mesh.rotation.x = 0.35 + Math.sin(enemy.animTime * 0.2) * 0.03;
+  },
+  
+  [EnemyState.IDLE]: (enemy) => {
+    standStill(enemy);
+    animateArms(enemy, 0);
+    
+    if (enemy.brain.stateTime >= enemy.ai.idleTime) {
+      startPatrol(enemy);
+    }
+  },
+  
+  [EnemyState.PATROL]: (enemy, deltaTime) => {
+    const remaining = navigateTo(enemy, enemy.patrolTarget, enemy.speed * enemy.ai.patrolSpeed, deltaTime);
+    animateWalk(enemy);
+    
+    // Give up on targets it can't reach (e.g. inside a rock)
+    if (remaining <= 0.5 || enemy.brain.stateTime >= PATROL_TIMEOUT) {
+      enemy.brain.setState(EnemyState.IDLE);
+    }
+  },
+  
+  [EnemyState.ALERT]: (enemy, deltaTime, playerPosition) => {
+    // Startled hop with arms thrown up
+    standStill(enemy);
+    faceToward(enemy, playerPosition);
+    animateArms(enemy, -2.2);
+    enemy.lift = Math.sin(Math.min(enemy.brain.stateTime / enemy.ai.alertTime, 1) * Math.PI) * 0.4;
+    
+    if (enemy.brain.stateTime >= enemy.ai.alertTime) {
+      enemy.brain.setState(EnemyState.CHASE);
+    }
+  },
+  
+  [EnemyState.CHASE]: (enemy, deltaTime, playerPosition, distance) => {
+    if (disengage(enemy)) return;
+    if (search(enemy, deltaTime, distance, enemy.attackRange)) return;
+    
+    // Close in on the surround slot from Crowd (or the player directly)
+    const target = enemy.surroundTarget || playerPosition;
+    const toTarget = groundDistance(enemy, target);
+    const onSlot = !enemy.surroundTarget || toTarget <= SLOT_TOLERANCE;
+    
+    if (distance <= enemy.attackRange && (onSlot || enemy.surroundSlot === -1)) {
+      standStill(enemy);
+      faceToward(enemy, playerPosition);
+      animateArms(enemy, -0.3);
+      
+      if (performance.now() - enemy.lastAttackTime >= enemy.attackCooldown) {
+        enemy.brain.setState(EnemyState.WINDUP);
+      }
+      return;
+    }
+    
+    if (enemy.surroundTarget && toTarget <= ARRIVAL_STOP) {
+      // Holding back until a slot frees up
+      standStill(enemy);
+      faceToward(enemy, playerPosition);
+      animateArms(enemy, 0);
+      return;
+    }
+    
+    // Arrival - ease off near the slot instead of overshooting it
+    const speed = enemy.surroundTarget
+      ? enemy.speed * Math.max(0.25, Math.min(1, toTarget / ARRIVAL_RADIUS))
+      : enemy.speed;
+    
+    navigateTo(enemy, target, speed, deltaTime);
+    animateWalk(enemy);
+  },
+  
+  [EnemyState.WINDUP]: (enemy, deltaTime, playerPosition, distance) => {
+    // Telegraph: arms rise overhead and the body leans back
+    const progress = Math.min(enemy.brain.stateTime / enemy.ai.windupTime, 1);
+    standStill(enemy);
+    faceToward(enemy, playerPosition);
+    animateArms(enemy, -0.3 - progress * 2.4);
+    enemy.mesh.rotation.x = -0.25 * progress;
+    
+    if (distance > enemy.attackRange * 1.5) {
+      enemy.brain.setState(EnemyState.CHASE);
+    } else if (progress >= 1) {
+      // Only connects if the player didn't back off during the telegraph
+      enemy.isAttacking = distance <= enemy.attackRange * 1.2;
+      if (!enemy.isAttacking) {
+        enemy.lastAttackTime = performance.now();
+      }
+      enemy.brain.setState(EnemyState.ATTACK);
+    }
+  },
+  
+  [EnemyState.ATTACK]: (enemy) => {
+    // Arms slam forward, then recover
+    const progress = Math.min(enemy.brain.stateTime / enemy.ai.recoverTime, 1);
+    standStill(enemy);
+    animateArms(enemy, -2.7 + progress * 1.2);
+    enemy.mesh.rotation.x = 0.2 * (1 - progress);
+    
+    if (progress >= 1) {
+      enemy.isAttacking = false;
+      enemy.brain.setState(EnemyState.CHASE);
+    }
+  },
+  
+  [EnemyState.STAGGER]: (enemy) => {
+    const progress = Math.min(enemy.brain.stateTime / enemy.ai.staggerTime, 1);
+    standStill(enemy);
+    animateArms(enemy, 0.6);
+    enemy.mesh.rotation.x = -0.35 * (1 - progress);
+    
+    if (progress >= 1) {
+      enemy.brain.setState(shouldFlee(enemy) ? EnemyState.FLEE : EnemyState.CHASE);
+    }
+  },
+  
+  [EnemyState.FLEE]: (enemy, deltaTime, playerPosition) => {
+    enemy.hasFled = true;
+    
+    // Run directly away, staying inside the arena
+    const away = new THREE.Vector3(
+      enemy.position.x * 2 - playerPosition.x,
+      0,
+      enemy.position.z * 2 - playerPosition.z
+    );
+    navigateTo(enemy, away, enemy.speed * enemy.ai.fleeSpeed, deltaTime);
+    enemy.position.x = Math.max(-ARENA_BOUNDS, Math.min(ARENA_BOUNDS, enemy.position.x));
+    enemy.position.z = Math.max(-ARENA_BOUNDS, Math.min(ARENA_BOUNDS, enemy.position.z));
+    animateWalk(enemy);
+    
+    // Cornered or calmed down - back into the fight
+    if (enemy.brain.stateTime >= enemy.ai.fleeTime) {
+      enemy.brain.setState(EnemyState.CHASE);
+    }
+  }
+};
+
+/**
+ * Default AI - patrol, spot the player, chase, telegraph and strike,
+ * stagger when hit and (for some archetypes) flee at low health
+ * @param {Enemy} enemy - The enemy being updated
+ * @param {number} deltaTime - Frame time in seconds
+ * @param {THREE.Vector3} playerPosition - Player position
+ */
+export function stateMachineBehavior(enemy, deltaTime, playerPosition) {
+  const distance = groundDistance(enemy, playerPosition);
+  STATE_UPDATES[enemy.brain.currentState](enemy, deltaTime, playerPosition, distance);
+}
+
+// Ranged enemies keep their distance and only shoot with a clear line of sight
+const RANGED_STATE_UPDATES = {
+  ...STATE_UPDATES,
+  
+  [EnemyState.CHASE]: (enemy, deltaTime, playerPosition, distance) => {
+    if (disengage(enemy)) return;
+    if (search(enemy, deltaTime, distance, SEARCH_RADIUS)) return;
+    
+    // Get within range and find a clear shot
+    if (distance > enemy.attackRange || !enemy.canSeePlayer) {
+      navigateTo(enemy, playerPosition, enemy.speed, deltaTime);
+      animateWalk(enemy);
+      return;
+    }
+    
+    // Too close - back off while keeping the player in view
+    if (distance < enemy.ai.preferredRange * 0.6) {
+      const away = new THREE.Vector3(
+        enemy.position.x * 2 - playerPosition.x,
+        0,
+        enemy.position.z * 2 - playerPosition.z
+      );
+      navigateTo(enemy, away, enemy.speed * 0.7, deltaTime);
+      faceToward(enemy, playerPosition);
+      animateWalk(enemy);
+      return;
+    }
+    
+    standStill(enemy);
+    faceToward(enemy, playerPosition);
+    animateArms(enemy, -1.2);
+    
+    if (performance.now() - enemy.lastAttackTime >= enemy.attackCooldown) {
+      enemy.brain.setState(EnemyState.WINDUP);
+    }
+  },
+  
+  [EnemyState.WINDUP]: (enemy, deltaTime, playerPosition, distance) => {
+    // Telegraph: arms point at the player and tremble while it charges up
+    const progress = Math.min(enemy.brain.stateTime / enemy.ai.windupTime, 1);
+    standStill(enemy);
+    faceToward(enemy, playerPosition);
+    animateArms(enemy, -Math.PI / 2 + Math.sin(enemy.animTime * 6) * 0.1 * progress);
+    enemy.mesh.rotation.x = -0.15 * progress;
+    
+    if (!enemy.canSeePlayer || distance > enemy.attackRange * 1.2) {
+      enemy.brain.setState(EnemyState.CHASE);
+    } else if (progress >= 1) {
+      // Game fires the projectile when canAttack() sees this
+      enemy.isAttacking = true;
+      enemy.brain.setState(EnemyState.ATTACK);
+    }
+  }
+};
+
+/**
+ * Ranged AI - same states as stateMachineBehavior, but keeps its distance
+ * and fires the archetype's `projectile` instead of striking
+ * @param {Enemy} enemy - The enemy being updated
+ * @param {number} deltaTime - Frame time in seconds
+ * @param {THREE.Vector3} playerPosition - Player position
+ */
+export function rangedBehavior(enemy, deltaTime, playerPosition) {
+  const distance = groundDistance(enemy, playerPosition);
+  RANGED_STATE_UPDATES[enemy.brain.currentState](enemy, deltaTime, playerPosition, distance);
+}
+
+const STAT_KEYS = ['health', 'speed', 'damage', 'attackRange', 'attackCooldown'];
+
+const DEFAULT_APPEARANCE = {
+  bodyColor: 0x884422,
+  headColor: 0xcc9966,
+  eyeColor: 0xff0000,
+  scale: 1
+};
+
+// Tuning for stateMachineBehavior (times in seconds)
+const DEFAULT_AI = {
+  sightRange: 25,    // Spots the player within this distance
+  fieldOfView: 120,  // Vision cone in degrees while unaware
+  hearing: 1,        // Multiplier on how far away noises are heard
+  memoryTime: 6,     // Keeps hunting this long after losing the player
+  idleTime: 1.5,     // Pause between patrol legs
+  patrolRadius: 8,   // How far from home it wanders
+  patrolSpeed: 0.4,  // Fraction of speed while patrolling
+  alertTime: 0.6,    // Reaction before giving chase
+  windupTime: 0.5,   // Attack telegraph
+  recoverTime: 0.3,  // Follow-through after a strike
+  staggerTime: 0.25, // 0 = shrugs off hits
+  fleeBelow: 0,      // Health fraction that triggers fleeing (0 = never)
+  fleeTime: 4,
+  fleeSpeed: 1.2,    // Fraction of speed while fleeing
+  preferredRange: 0  // Ranged only: backs off when closer than 60% of this
+};
+
+// Damage multiplier per hit zone
+const DEFAULT_HIT_ZONES = {
+  [HitZone.HEAD]: 2,
+  [HitZone.TORSO]: 1,
+  [HitZone.LIMB]: 0.6
+};
+
+// Rolled on death - each entry is an independent chance (see PickupSystem)
+const DEFAULT_LOOT = [
+  { type: PickupType.AMMO, chance: 0.4 },
+  { type: PickupType.MEDKIT, chance: 0.1 },
+  { type: PickupType.CASH, chance: 0.2 }
+];
+
+/**
+ * Registry of enemy archetypes keyed by type name
+ */
+export class ArchetypeRegistry {
+  constructor() {
+    this.archetypes = new Map();
+  }
+  
+  /**
+   * Register (or replace) an enemy type
+   * @param {string} type - Type name used by level files and the pool
+   * @param {object} definition - { stats, scoreValue, headshotBonus?, appearance?, buildMesh?, behavior?, ai?, hitZones?, loot?, projectile?, inflicts? }
+   * @returns {object} The stored archetype
+   */
+  register(type, definition) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new Error('Enemy archetype needs a non-empty type name');
+    }
+    
+    const { stats = {}, scoreValue } = definition;
+    const missing = STAT_KEYS.filter(key => typeof stats[key] !== 'number');
+    if (missing.length > 0) {
+      throw new Error(`Enemy archetype "${type}" is missing stats: ${missing.join(', ')}`);
+    }
+    if (typeof scoreValue !== 'number') {
+      throw new Error(`Enemy archetype "${type}" needs a numeric scoreValue`);
+    }
+    
+    const hitZones = { ...DEFAULT_HIT_ZONES, ...definition.hitZones };
+    const badZone = Object.keys(hitZones).find(zone => typeof hitZones[zone] !== 'number' || hitZones[zone] < 0);
+    if (badZone) {
+      throw new Error(`Enemy archetype "${type}" needs a non-negative hitZones.${badZone} multiplier`);
+    }
+    
+    const loot = definition.loot || DEFAULT_LOOT;
+    const badLoot = loot.find(entry => !isPickupType(entry.type) || typeof entry.chance !== 'number');
+    if (badLoot) {
+      throw new Error(`Enemy archetype "${type}" has a bad loot entry: ${JSON.stringify(badLoot)}`);
+    }
+    
+    const inflicts = definition.inflicts || null;
+    if (inflicts && (!isStatusEffect(inflicts.effect) || typeof inflicts.chance !== 'number')) {
+      throw new Error(`Enemy archetype "${type}" inflicts needs a status effect and a numeric chance`);
+    }
+    
+    if (this.archetypes.has(type)) {
+      console.warn(`Enemy archetype "${type}" replaced`);
+    }
+    
+    const archetype = {
+      type,
+      stats: { ...stats },
+      scoreValue,
+      // Extra score for a headshot kill
+      headshotBonus: typeof definition.headshotBonus === 'number' ? definition.headshotBonus : Math.round(scoreValue / 2),
+      appearance: { ...DEFAULT_APPEARANCE, ...definition.appearance },
+      buildMesh: definition.buildMesh || buildHumanoid,
+      behavior: definition.behavior || stateMachineBehavior,
+      ai: { ...DEFAULT_AI, ...definition.ai },
+      hitZones,
+      loot: loot.map(entry => ({ ...entry })),
+      projectile: definition.projectile || null, // Ranged attack settings (see ProjectileSystem)
+      // Status effect its hits may cause - { effect, chance, duration?, stacks? }
+      inflicts: inflicts ? { ...inflicts } : null
+    };
+    
+    this.archetypes.set(type, archetype);
+    return archetype;
+  }
+  
+  /**
+   * Look up an archetype
+   * @param {string} type - Type name
+   * @returns {object}
+   */
+  get(type) {
+    const archetype = this.archetypes.get(type);
+    if (!archetype) {
+      throw new Error(`Unknown enemy type "${type}" - register it with archetypes.register()`);
+    }
+    return archetype;
+  }
+  
+  has(type) {
+    return this.archetypes.has(type);
+  }
+  
+  getTypes() {
+    return [...this.archetypes.keys()];
+  }
+}
+
+// Shared registry with the built-in types
+export const archetypes = new ArchetypeRegistry();
+
+archetypes.register('grunt', {
+  stats: { health: 50, speed: 4, damage: 10, attackRange: 2, attackCooldown: 1000 },
+  scoreValue: 100,
+  appearance: { bodyColor: 0x664433 },
+  ai: { fleeBelow: 0.2 },
+  inflicts: { effect: StatusEffect.BLEED, chance: 0.25 }
+});
+
+archetypes.register('runner', {
+  stats: { health: 30, speed: 8, damage: 5, attackRange: 1.5, attackCooldown: 500 },
+  scoreValue: 150,
+  appearance: { bodyColor: 0x886644, scale: 0.8 },
+  ai: { windupTime: 0.3, recoverTime: 0.2, fleeBelow: 0.35, fleeSpeed: 1 },
+  hitZones: { head: 2.5 }, // Small head, big reward
+  inflicts: { effect: StatusEffect.BLEED, chance: 0.4 }, // Quick slashes
+  loot: [
+    { type: PickupType.AMMO, chance: 0.3 },
+    { type: PickupType.CASH, chance: 0.3, amount: 20 }
+  ]
+});
+
+archetypes.register('tank', {
+  stats: { health: 150, speed: 2, damage: 25, attackRange: 2.5, attackCooldown: 2000 },
+  scoreValue: 300,
+  appearance: { bodyColor: 0x443322, scale: 1.3 },
+  ai: { windupTime: 0.9, recoverTime: 0.5, staggerTime: 0, sightRange: 30 },
+  hitZones: { head: 1.5, limb: 0.4 }, // Thick skull, armored arms
+  inflicts: { effect: StatusEffect.STUN, chance: 0.5, duration: 1 }, // Haymakers ring your head
+  loot: [
+    { type: PickupType.AMMO, chance: 0.6, amount: 24 },
+    { type: PickupType.MEDKIT, chance: 0.35 },
+    { type: PickupType.CASH, chance: 0.5, amount: 75 }
+  ]
+});
+
+archetypes.register('spitter', {
+  stats: { health: 40, speed: 3.5, damage: 12, attackRange: 20, attackCooldown: 2200 },
+  scoreValue: 200,
+  appearance: { bodyColor: 0x4a5d23, headColor: 0x9acd32, eyeColor: 0xffff00 },
+  behavior: rangedBehavior,
+  projectile: { speed: 14, radius: 0.2, color: 0x99ff33 },
+  ai: { preferredRange: 12, windupTime: 0.7, recoverTime: 0.4, sightRange: 30 },
+  loot: [
+    { type: PickupType.AMMO, chance: 0.4 },
+    { type: PickupType.MEDKIT, chance: 0.15 },
+    { type: PickupType.CASH, chance: 0.3, amount: 40 }
+  ]
+});
+
+// The boss archetype hands control to its encounter (BossEncounter.js) when it has one
+archetypes.register('boss', {
+  stats: { health: 500, speed: 3, damage: 40, attackRange: 3, attackCooldown: 1500 },
+  scoreValue: 1000,
+  appearance: { bodyColor: 0x220000, scale: 2 },
+  hitZones: { head: 1.5 },
+  headshotBonus: 0,
+  loot: [
+    { type: PickupType.AMMO, chance: 1, amount: 36 },
+    { type: PickupType.MEDKIT, chance: 1, amount: 50 },
+    { type: PickupType.CASH, chance: 1, amount: 500 }
+  ],
+  behavior: (enemy, deltaTime, playerPosition) => {
+    if (enemy.controller) {
+      enemy.controller.updateBoss(deltaTime, playerPosition);
+    } else {
+      chaseBehavior(enemy, deltaTime, playerPosition);
+    }
+  }
+});
+
@@ -0,0 +1,108 @@
+import { GameEvents } from './EventSystem.js';
+
+/**
+ * EnemyStates - Per-enemy state machine for AI behavior
+ * Reference: GAME_DEV_CONTEXT.md - State Machine Pattern
+ *
+ * Mirrors GameStateMachine, but every enemy owns one and each transition
+ * is also broadcast as ENEMY_STATE_CHANGED so the HUD and audio can react.
+ * The per-state logic lives in stateMachineBehavior (EnemyArchetypes.js).
+ */
+
+export const EnemyState = {
+  DORMANT: 'DORMANT',   // Asleep until something wakes it (stealth start)
+  IDLE: 'IDLE',         // Standing around between patrol legs
+  PATROL: 'PATROL',     // Wandering near its spawn point
+  ALERT: 'ALERT',       // Just noticed the player (seen, heard or told)
+  CHASE: 'CHASE',       // Closing in on the player
+  WINDUP: 'WINDUP',     // Telegraphing an attack
+  ATTACK: 'ATTACK',     // Strike lands (or whiffs) and recovers
+  STAGGER: 'STAGGER',   // Knocked off balance by a hit
+  FLEE: 'FLEE'          // Running away at low health
+};
+
+export class EnemyStateMachine {
+  /**
+   * @param {Enemy} enemy - Owner of this state machine
+   * @param {EventSystem} [events] - Game event bus for ENEMY_STATE_CHANGED
+   */
+  constructor(enemy, events = null) {
+    this.enemy = enemy;
+    this.events = events;
+    this.currentState = EnemyState.IDLE;
+    this.previousState = null;
+    this.stateTime = 0; // Seconds spent in the current state
+    this.listeners = {};
+  }
+  
+  /**
+   * Change to a new state
+   * @param {string} newState - The state to transition to
+   */
+  setState(newState) {
+    if (this.currentState === newState) return;
+    
+    this.previousState = this.currentState;
+    this.currentState = newState;
+    this.stateTime = 0;
+    
+    // Notify listeners
+    this.notifyListeners(newState, this.previousState);
+    
+    if (this.events) {
+      this.events.emit(GameEvents.ENEMY_STATE_CHANGED, {
+        enemy: this.enemy,
+        state: newState,
+        previousState: this.previousState
+      });
+    }
+  }
+  
+  /**
+   * Check if in a specific state
+   * @param {string} state - State to check
+   * @returns {boolean}
+   */
+  isState(state) {
+    return this.currentState === state;
+  }
+  
+  /**
+   * Register a listener for state changes
+   * @param {string} state - State to listen for
+   * @param {Function} callback - Callback function
+   */
+  on(state, callback) {
+    if (!this.listeners[state]) {
+      this.listeners[state] = [];
+    }
+    this.listeners[state].push(callback);
+  }
+  
+  /**
+   * Notify all listeners for a state
+   * @param {string} state - The new state
+   * @param {string} previousState - The previous state
+   */
+  notifyListeners(state, previousState) {
+    if (this.listeners[state]) {
+      this.listeners[state].forEach(callback => {
+        callback(previousState);
+      });
+    }
+  }
+  
+  update(deltaTime) {
+    this.stateTime += deltaTime;
+  }
+  
+  /**
+   * Reset to initial state (object pooling)
+   */
+  reset() {
+    this.currentState = EnemyState.IDLE;
+    this.previousState = null;
+    this.stateTime = 0;
+  }
+}
+
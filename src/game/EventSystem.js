@@ -92,8 +92,16 @@ export const GameEvents = {
   OBJECTIVE_COMPLETE: 'objective_complete',
   SHIP_DOOR_OPENED: 'ship_door_opened',
   ITEM_COLLECTED: 'item_collected',
+  PICKUP_COLLECTED: 'pickup_collected',
   LEVEL_COMPLETE: 'level_complete',
   WEAPON_FIRED: 'weapon_fired',
-  WEAPON_RELOAD: 'weapon_reload'
+  WEAPON_RELOAD: 'weapon_reload',
+  WEAPON_SWITCHED: 'weapon_switched',
+  FIRE_MODE_CHANGED: 'fire_mode_changed',
+  WAVE_STARTED: 'wave_started',
+  WAVE_CLEARED: 'wave_cleared',
+  BOSS_PHASE_CHANGED: 'boss_phase_changed',
+  BOSS_DEFEATED: 'boss_defeated',
+  ENEMY_STATE_CHANGED: 'enemy_state_changed'
 };
 
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
-import { Player } from './Player.js';
-import { Weapon } from './Weapon.js';
+import { Player, DamageType } from './Player.js';
+import { WeaponInventory } from './WeaponInventory.js';
+import { ReloadPhase } from './Weapon.js';
 import { Enemy } from './Enemy.js';
 import { World } from './World.js';
 import { InputManager } from '../utils/InputManager.js';
@@ -8,6 +9,34 @@ import { HUD } from '../ui/HUD.js';
 import { GameState, GameStateMachine } from './GameStates.js';
 import { ObjectPool } from './ObjectPool.js';
 import { EventSystem, GameEvents } from './EventSystem.js';
+import { LevelLoader } from './LevelLoader.js';
+import { WaveDirector } from './WaveDirector.js';
+import { BossEncounter, BossPhase } from './BossEncounter.js';
+import { HitZone } from './EnemyArchetypes.js';
+import { EnemyState } from './EnemyStates.js';
+import { NavDebugOverlay } from './NavDebugOverlay.js';
+import { Crowd } from './Crowd.js';
+import { ProjectileSystem } from './ProjectileSystem.js';
+import { Perception } from './Perception.js';
+import { CorpseSystem } from './CorpseSystem.js';
+import { PickupSystem, PickupType } from './PickupSystem.js';
+import { GrenadeSystem } from './GrenadeSystem.js';
+import { ImpactEffects } from './ImpactEffects.js';
+import { ParticleSystem, ParticleEffect } from './ParticleSystem.js';
+import { Armory } from './Armory.js';
+import { StatusEffect } from './StatusEffects.js';
+
+// Unaware enemies this close to one that notices the player join the fight
+const ALERT_RADIUS = 12;
+
+// Status effect for standing in each kind of hazard (World.hazards)
+const HAZARD_EFFECTS = {
+  fire: StatusEffect.BURN,
+  sandpit: StatusEffect.SLOW
+};
+
+// Stun from a blast - seconds per point of damage, clamped
+const CONCUSSION = { perDamage: 0.05, min: 0.5, max: 3 };
 
 /**
  * Game - Main game controller
@@ -26,20 +55,18 @@ export class Game {
     this.currentTime = 0;
     this.kills = 0;
     this.score = 0;
+    this.cash = 0; // From cash pickups, kept between levels
     this.level = 1;
     
-    // Level configuration
-    this.levelConfig = {
-      1: { enemyCount: 8, enemyTypes: ['grunt'] },
-      2: { enemyCount: 12, enemyTypes: ['grunt', 'runner'] },
-      3: { enemyCount: 15, enemyTypes: ['grunt', 'runner', 'tank'] }
-    };
+    // Level definitions (src/data/levels/*.json)
+    this.levels = new LevelLoader();
+    this.levelData = null;
+    this.levelStartTime = 0;
+    this.levelStartScore = 0;
     
-    // Enemy management with Object Pooling
-    this.totalEnemiesToSpawn = this.levelConfig[this.level].enemyCount;
-    this.enemiesSpawned = 0;
-    this.spawnInterval = 2; // seconds between spawns
-    this.lastSpawnTime = 0;
+    // Enemy management with Object Pooling, spawns driven by waves
+    this.waveDirector = new WaveDirector(this.events, (type, options) => this.spawnEnemy(type, null, options));
+    this.crowd = new Crowd();
     
     // Three.js
     this.scene = null;
@@ -48,7 +75,7 @@ export class Game {
     
     // Game objects
     this.player = null;
-    this.weapon = null;
+    this.weapons = null;
     this.world = null;
     this.input = null;
     this.hud = null;
@@ -92,28 +119,121 @@ export class Game {
     // Create HUD
     this.hud = new HUD();
     this.hud.showStartScreen();
+    if (this.levels.hasErrors()) {
+      this.hud.showLevelErrors(this.levels.errors);
+    }
     
     // Setup event handlers
     this.setupEventHandlers();
     
+    // Every particle effect (smoke, blood, impacts, explosions) - the world needs it first
+    this.particles = new ParticleSystem(this.scene);
+    this.particles.resize(this.renderer.domElement.height);
+    
     // Create world
-    this.world = new World(this.scene);
+    this.world = new World(this.scene, this.particles);
+    if (this.levels.getLevelCount() > 0) {
+      this.world.loadLevel(this.levels.getLevel(1));
+    }
+    this.navDebug = new NavDebugOverlay(this.scene, this.world.navGrid);
+    this.input.onDebugToggle = () => this.navDebug.toggle();
     
     // Create player
-    this.player = new Player(this.scene, this.camera, this.input);
+    this.player = new Player(this.scene, this.camera, this.input, this.world);
     
-    // Create weapon
-    this.weapon = new Weapon(this.scene, this.camera, this.player);
-    this.input.onShoot = () => this.handleShoot();
-    this.input.onReload = () => this.weapon.reload();
+    // Create weapons (listen first - the inventory draws its first gun right away)
+    this.events.on(GameEvents.WEAPON_SWITCHED, ({ weapon }) => {
+      this.hud.updateWeapon(weapon.name);
+      this.hud.updateFireMode(weapon.fireMode, weapon.fireModes.length > 1);
+    });
+    this.events.on(GameEvents.FIRE_MODE_CHANGED, ({ mode }) => {
+      this.hud.updateFireMode(mode, true);
+    });
+    this.events.on(GameEvents.WEAPON_RELOAD, ({ phase }) => {
+      this.hud.showReload(phase === ReloadPhase.START);
+    });
+    this.weapons = new WeaponInventory({
+      scene: this.scene,
+      camera: this.camera,
+      player: this.player,
+      events: this.events
+    });
+    this.input.onReload = () => this.weapons.reload();
+    this.input.onFireModeToggle = () => this.weapons.cycleFireMode();
+    this.input.onWeaponSlot = (slot) => this.weapons.switchTo(slot);
+    this.input.onWeaponCycle = (direction) => this.weapons.cycle(direction);
     
     // Initialize enemy object pool
     this.enemyPool = new ObjectPool(
-      () => new Enemy(this.scene, new THREE.Vector3(0, 0, 0), 'grunt'),
+      () => new Enemy(this.scene, new THREE.Vector3(0, 0, 0), 'grunt', this.events, this.world.navGrid, this.world),
       (enemy, position, type) => enemy.reset(position, type),
       15  // Pre-create 15 enemies
     );
     
+    // Boss fight (level objective type 'boss')
+    this.bossEncounter = new BossEncounter({
+      particles: this.particles,
+      events: this.events,
+      world: this.world,
+      spawnEnemy: (type, position) => this.spawnEnemy(type, position),
+      damagePlayer: (amount, source, type) => this.damagePlayer(amount, source, type)
+    });
+    
+    // Enemy projectiles (ranged archetypes)
+    this.projectiles = new ProjectileSystem({
+      scene: this.scene,
+      world: this.world,
+      damagePlayer: (amount, source, type) => this.damagePlayer(amount, source, type)
+    });
+    
+    // Bullet impacts on the world (particles + decals)
+    this.impacts = new ImpactEffects(this.scene, this.particles);
+    
+    // Thrown grenades (hold G to aim)
+    this.grenades = new GrenadeSystem({
+      scene: this.scene,
+      world: this.world,
+      events: this.events,
+      getEnemies: () => this.enemyPool.getActive().filter(e => !e.isDead && e.mesh && e.mesh.visible),
+      damageEnemy: (enemy, amount, hit) => {
+        const killed = this.damageEnemy(enemy, amount, hit);
+        if (!killed && !enemy.controller) {
+          this.concuss(enemy, amount);
+        }
+        this.hud.showHitMarker(false, killed);
+      },
+      damagePlayer: (amount, source, type) => this.damagePlayer(amount, source, type)
+    });
+    
+    // Ragdoll deaths - enemies go back to the pool once their corpse fades
+    this.corpses = new CorpseSystem({
+      release: (enemy) => this.enemyPool.release(enemy),
+      terrain: this.world
+    });
+    
+    // Loot dropped by enemies
+    this.pickups = new PickupSystem({
+      scene: this.scene,
+      events: this.events,
+      canCollect: (pickup) => this.canCollectPickup(pickup),
+      getGroundHeight: (x, z) => this.world.getHeightAt(x, z)
+    });
+    
+    // Shop between levels - purchases change the live weapons, grenades and player
+    this.armory = new Armory({
+      inventory: this.weapons,
+      grenades: this.grenades,
+      player: this.player,
+      getCash: () => this.cash,
+      spend: (amount) => {
+        this.cash -= amount;
+        this.hud.updateCash(this.cash);
+      }
+    });
+    
+    // What enemies can see and hear of the player
+    this.perception = new Perception({ world: this.world, events: this.events });
+    
     // Setup event listeners
     this.setupEventListeners();
     
@@ -134,6 +254,16 @@ export class Game {
     this.hud.onRestartClick(() => {
       this.restartGame();
     });
+    
+    // Armory between levels
+    this.hud.onArmoryBuy((offerId) => {
+      if (this.armory.buy(offerId)) {
+        this.hud.updateArmory(this.armory.getOffers(), this.cash);
+      }
+    });
+    this.hud.onArmoryContinue(() => {
+      this.closeArmory();
+    });
   }
   
   /**
@@ -142,22 +272,36 @@ export class Game {
    */
   setupEventListeners() {
     // Listen for enemy killed events
-    this.events.on(GameEvents.ENEMY_KILLED, (enemy) => {
+    this.events.on(GameEvents.ENEMY_KILLED, ({ enemy, hitZone, hitPoint, direction }) => {
       this.kills++;
       this.score += enemy.scoreValue;
       
+      if (hitZone === HitZone.HEAD && enemy.archetype.headshotBonus > 0) {
+        this.score += enemy.archetype.headshotBonus;
+      }
+      
       // Update HUD
       this.hud.updateKills(this.kills);
       this.hud.updateScore(this.score);
       
-      // Immediately mark as dead and hide
+      // Knock the body over - the corpse returns it to the pool after fading
       enemy.isDead = true;
-      if (enemy.mesh) {
-        enemy.mesh.visible = false;
+      this.corpses.add(enemy, { hitPoint, direction });
+    });
+    
+    // Apply loot the player walked over
+    this.events.on(GameEvents.PICKUP_COLLECTED, ({ type, amount, label }) => {
+      if (type === PickupType.AMMO) {
+        this.weapons.addAmmo(amount);
+      } else if (type === PickupType.MEDKIT) {
+        this.player.heal(amount);
+        this.hud.updateHealth(this.player.health, this.player.maxHealth);
+      } else if (type === PickupType.CASH) {
+        this.cash += amount;
+        this.hud.updateCash(this.cash);
       }
       
-      // Return enemy to pool immediately
-      this.enemyPool.release(enemy);
+      this.hud.showPickup(type === PickupType.CASH ? `+$${amount}` : `+${amount} ${label}`);
     });
     
     // Listen for objective complete
@@ -182,6 +326,68 @@ export class Game {
       }, 1000);
     });
     
+    // Wave progress
+    this.events.on(GameEvents.WAVE_STARTED, ({ number, total, name }) => {
+      this.hud.updateWave(number, total);
+      
+      // The level intro message already covers the first wave
+      if (number > 1) {
+        this.hud.showMessage(`Wave ${number}/${total}: ${name}`, 2000);
+      }
+    });
+    
+    // Point the HUD at whatever hurt the player
+    this.events.on(GameEvents.PLAYER_HIT, ({ source }) => {
+      if (!source || !source.position) return;
+      
+      const from = source.origin || source.position;
+      this.hud.showDamageDirection(this.player.getRelativeAngle(from));
+    });
+    
+    // Enemy AI - a spotted player draws in nearby allies
+    this.events.on(GameEvents.ENEMY_STATE_CHANGED, ({ enemy, state }) => {
+      if (state !== EnemyState.ALERT) return;
+      
+      this.hud.showAlert();
+      this.enemyPool.getActive().forEach(other => {
+        if (other !== enemy && other.isUnaware() && other.position.distanceTo(enemy.position) <= ALERT_RADIUS) {
+          other.alert(enemy.lastKnownPosition);
+        }
+      });
+    });
+    
+    // Boss fight
+    this.events.on(GameEvents.BOSS_PHASE_CHANGED, ({ phase }) => {
+      const name = this.bossEncounter.config.name;
+      
+      if (phase === BossPhase.EMERGING) {
+        this.hud.showBossBar(name);
+        this.hud.showMessage(`The ${name} climbs out of the wreck!`, 3000);
+      } else if (phase === BossPhase.SLAM) {
+        this.hud.showMessage(`The ${name} starts slamming the ground!`, 2000);
+      } else if (phase === BossPhase.SUMMON) {
+        this.hud.showMessage(`The ${name} calls for help!`, 2000);
+      }
+      
+      this.hud.updateBossPhase(phase);
+    });
+    
+    this.events.on(GameEvents.BOSS_DEFEATED, ({ minions }) => {
+      // Summoned grunts fall with their master
+      minions.forEach(minion => {
+        minion.die();
+        this.corpses.add(minion);
+      });
+      
+      this.hud.hideBossBar();
+    });
+    
+    this.events.on(GameEvents.ENEMY_HIT, ({ enemy }) => {
+      if (enemy === this.bossEncounter.boss) {
+        this.hud.updateBossHealth(enemy.health, enemy.maxHealth);
+      }
+    });
+    
     // State machine listeners
     this.stateMachine.on(GameState.OBJECTIVE_COMPLETE, () => {
       console.log('All enemies defeated! Opening ship door...');
@@ -197,6 +403,11 @@ export class Game {
   }
   
   startGame() {
+    if (this.levels.getLevelCount() === 0) {
+      console.error('No valid levels to play - fix the level files and reload');
+      return;
+    }
+    
     // Request pointer lock
     this.input.requestPointerLock(this.renderer.domElement);
     
@@ -206,12 +417,9 @@ export class Game {
     // Reset game state
     this.resetGame();
     
-    // Start the game
+    // Start the game (the wave director spawns the first wave)
     this.isRunning = true;
     this.clock.start();
-    
-    // Spawn initial enemies
-    this.spawnWave();
   }
   
   restartGame() {
@@ -225,7 +433,6 @@ export class Game {
     this.resetGame();
     this.isRunning = true;
     this.clock.start();
-    this.spawnWave();
   }
   
   resetGame() {
@@ -236,16 +443,15 @@ export class Game {
     this.currentTime = 0;
     this.kills = 0;
     this.score = 0;
-    this.level = 1;
-    this.enemiesSpawned = 0;
-    this.lastSpawnTime = 0;
-    this.totalEnemiesToSpawn = this.levelConfig[1].enemyCount; // Explicitly use level 1
+    this.cash = 0;
     
     // Reset player
     this.player.reset();
     
-    // Reset weapon
-    this.weapon.reset();
+    // Reset weapons (and forget armory upgrades)
+    this.weapons.reset();
+    this.grenades.reset();
+    this.armory.reset();
     
     // Return all enemies to pool and hide them
     const activeEnemies = [...this.enemyPool.getActive()]; // Copy array
@@ -260,113 +466,221 @@ export class Game {
     
     // Reinitialize pool with fresh enemies
     this.enemyPool = new ObjectPool(
-      () => new Enemy(this.scene, new THREE.Vector3(0, 0, 0), 'grunt'),
+      () => new Enemy(this.scene, new THREE.Vector3(0, 0, 0), 'grunt', this.events, this.world.navGrid, this.world),
       (enemy, position, type) => enemy.reset(position, type),
       15
     );
     
-    // Reset world (close door, hide item)
+    // Reset world (close door, hide item) and build level 1
     this.world.closeShipDoor();
+    this.loadLevel(1);
     
     // Reset HUD
     this.hud.reset();
+    this.hud.showMessage(this.getObjectiveText(), 3000);
     
-    console.log(`Game reset! Level ${this.level}, Need to kill ${this.totalEnemiesToSpawn} enemies`);
+    console.log(`Game reset! Level ${this.level}, Need to kill ${this.waveDirector.getTotalEnemies()} enemies`);
+  }
+  
+  /**
+   * Apply a level definition to the game and world
+   * @param {number} number - 1-based level number
+   */
+  loadLevel(number) {
+    this.level = number;
+    this.levelData = this.levels.getLevel(number);
+    
+    this.levelStartTime = this.currentTime;
+    this.levelStartScore = this.score; // The armory pays out what's earned from here
+    
+    this.world.loadLevel(this.levelData);
+    this.navDebug.refresh();
+    this.corpses.clear();
+    this.corpses.setObstacles(this.world.objects);
+    this.crowd.reset();
+    this.perception.reset();
+    this.projectiles.clear();
+    this.grenades.clear();
+    this.impacts.clear();
+    this.particles.clear();
+    this.pickups.clear();
+    this.waveDirector.start(this.levelData.waves);
+    this.bossEncounter.reset();
+    this.hud.hideBossBar();
+    this.hud.updateWave(0, this.levelData.waves.length);
   }
   
-  spawnWave() {
-    // Spawn initial wave (2-3 enemies at start)
-    const initialWaveSize = Math.min(3, this.totalEnemiesToSpawn);
+  /**
+   * Check the level objective
+   * @returns {boolean} True when the objective is met
+   */
+  isObjectiveMet() {
+    const objective = this.levelData.objective;
     
-    for (let i = 0; i < initialWaveSize; i++) {
-      if (this.enemiesSpawned < this.totalEnemiesToSpawn) {
-        this.spawnEnemy();
-      }
+    if (objective.type === 'survive') {
+      return this.currentTime - this.levelStartTime >= objective.duration;
     }
+    
+    if (objective.type === 'boss') {
+      return this.bossEncounter.isDefeated();
+    }
+    
+    // 'eliminate' - every wave spawned and nothing left standing
+    return this.waveDirector.isComplete();
   }
   
-  spawnEnemy() {
-    if (this.enemiesSpawned >= this.totalEnemiesToSpawn) return;
-    
-    const spawnPoints = this.world.getSpawnPoints();
-    const spawnIndex = Math.floor(Math.random() * spawnPoints.length);
-    const spawnPoint = spawnPoints[spawnIndex].clone();
+  getObjectiveText() {
+    const { name, objective } = this.levelData;
     
-    spawnPoint.x += (Math.random() - 0.5) * 5;
-    spawnPoint.z += (Math.random() - 0.5) * 5;
+    if (objective.type === 'survive') {
+      return `Level ${this.level}: ${name} - Survive ${objective.duration} seconds!`;
+    }
+    if (objective.type === 'boss') {
+      return `Level ${this.level}: ${name} - Kill ${this.waveDirector.getTotalEnemies()} enemies, then defeat the boss!`;
+    }
+    return `Level ${this.level}: ${name} - Kill ${this.waveDirector.getTotalEnemies()} enemies!`;
+  }
+  
+  /**
+   * Spawn a single enemy (called by the WaveDirector and the boss)
+   * @param {string} type - Enemy type
+   * @param {THREE.Vector3} [position] - Exact spawn position, random spawn point otherwise
+   * @param {object} [options]
+   * @param {boolean} [options.dormant] - Spawn asleep until alerted
+   * @returns {Enemy}
+   */
+  spawnEnemy(type, position, { dormant = false } = {}) {
+    let spawnPoint;
     
-    // Get enemy types for current level
-    const allowedTypes = this.levelConfig[this.level].enemyTypes;
-    const type = allowedTypes[Math.floor(Math.random() * allowedTypes.length)];
+    if (position) {
+      spawnPoint = position.clone();
+    } else {
+      const spawnPoints = this.world.getSpawnPoints();
+      const spawnIndex = Math.floor(Math.random() * spawnPoints.length);
+      spawnPoint = spawnPoints[spawnIndex].clone();
+      
+      spawnPoint.x += (Math.random() - 0.5) * 5;
+      spawnPoint.z += (Math.random() - 0.5) * 5;
+    }
+    spawnPoint.y = this.world.getHeightAt(spawnPoint.x, spawnPoint.z);
     
     // Use object pool instead of creating new enemy
     const enemy = this.enemyPool.acquire(spawnPoint, type);
-    this.enemiesSpawned++;
+    if (dormant) {
+      enemy.sleep();
+    }
     
     // Emit event
     this.events.emit(GameEvents.ENEMY_SPAWNED, { enemy, type });
     
-    console.log(`Spawned enemy ${this.enemiesSpawned}/${this.totalEnemiesToSpawn} - Pool: ${JSON.stringify(this.enemyPool.getStats())}`);
+    console.log(`Spawned ${type} ${this.waveDirector.getSpawnedCount()}/${this.waveDirector.getTotalEnemies()} - Pool: ${JSON.stringify(this.enemyPool.getStats())}`);
+    
+    return enemy;
   }
   
-  handleShoot() {
-    const hitResult = this.weapon.shoot();
-    if (!hitResult) return;
-    
-    // Emit weapon fired event
-    this.events.emit(GameEvents.WEAPON_FIRED);
+  /**
+   * Resolve a shot fired this frame (see Weapon.updateTrigger)
+   * @param {object} hitResult - Weapon.shoot() result
+   */
+  handleShoot(hitResult) {
+    const weapon = this.weapons.active;
     
-    // Check if we hit any enemies
-    const raycaster = hitResult.raycaster;
+    // Emit weapon fired event (enemies hear it - see Perception)
+    this.events.emit(GameEvents.WEAPON_FIRED, { position: this.player.getPosition() });
+    this.particles.burst(ParticleEffect.MUZZLE_SMOKE, weapon.getMuzzlePosition(new THREE.Vector3()), {
+      direction: hitResult.direction
+    });
     
     // Get all active ALIVE enemies from pool
     const activeEnemies = this.enemyPool.getActive().filter(e => !e.isDead && e.mesh && e.mesh.visible);
-    
-    if (activeEnemies.length === 0) return;
-    
     const enemyMeshes = activeEnemies.map(e => e.mesh);
     
-    // Raycast with recursive=true to hit hitbox children
-    const intersects = raycaster.intersectObjects(enemyMeshes, true);
+    // Each pellet hits on its own; pellets that land on the same enemy add up to one hit
+    const hits = new Map(); // enemy -> { damage, hitZone, hitPoint, direction }
     
-    if (intersects.length > 0) {
+    hitResult.raycasters.forEach(raycaster => {
+      // Raycast with recursive=true to hit hitbox children
+      const intersects = raycaster.intersectObjects(enemyMeshes, true);
+      
+      // Nearest hit wins - cover, props and the ground stop the bullet
+      const worldHit = this.world.raycast(raycaster);
+      if (worldHit && (intersects.length === 0 || worldHit.distance < intersects[0].distance)) {
+        this.impacts.spawn(worldHit, raycaster.ray.direction);
+        return;
+      }
+      if (intersects.length === 0) return;
+      
       // Find which enemy was hit by checking mesh hierarchy
       const hitObject = intersects[0].object;
-      
-      for (const enemy of activeEnemies) {
-        if (enemy.isDead) continue;
-        
-        // Check if hitObject is part of this enemy's mesh hierarchy
+      const enemy = activeEnemies.find(candidate => {
         let currentParent = hitObject;
-        let isThisEnemy = false;
-        
         while (currentParent) {
-          if (currentParent === enemy.mesh) {
-            isThisEnemy = true;
-            break;
-          }
+          if (currentParent === candidate.mesh) return true;
           currentParent = currentParent.parent;
         }
-        
-        if (isThisEnemy) {
-          // Hit marker at impact point
-          this.weapon.createHitMarker(intersects[0].point);
-          
-          // Apply damage
-          const killed = enemy.takeDamage(this.weapon.damage);
-          
-          // Emit hit event
-          this.events.emit(GameEvents.ENEMY_HIT, { enemy, damage: this.weapon.damage });
-          
-          if (killed) {
-            // Emit killed event (event listener handles score/kills/pool)
-            this.events.emit(GameEvents.ENEMY_KILLED, enemy);
-          }
-          
-          break;
-        }
+        return false;
+      });
+      if (!enemy) return;
+      
+      // Blood sprays out along the bullet
+      this.particles.burst(ParticleEffect.BLOOD, intersects[0].point, { direction: raycaster.ray.direction });
+      
+      // Damage for the distance and the body part that was hit
+      const hitZone = enemy.getHitZone(hitObject);
+      const damage = enemy.getZoneDamage(weapon.getDamageAt(intersects[0].distance), hitZone);
+      
+      const hit = hits.get(enemy);
+      if (hit) {
+        hit.damage += damage;
+        if (hitZone === HitZone.HEAD) hit.hitZone = HitZone.HEAD;
+      } else {
+        hits.set(enemy, {
+          damage,
+          hitZone,
+          hitPoint: intersects[0].point,
+          direction: raycaster.ray.direction
+        });
       }
+    });
+    
+    if (hits.size === 0) return;
+    
+    let anyHeadshot = false;
+    let anyKill = false;
+    
+    hits.forEach(({ damage, hitZone, hitPoint, direction }, enemy) => {
+      const killed = this.damageEnemy(enemy, damage, { hitZone, hitPoint, direction });
+      anyHeadshot = anyHeadshot || hitZone === HitZone.HEAD;
+      anyKill = anyKill || killed;
+    });
+    
+    this.hud.showHitMarker(anyHeadshot, anyKill);
+  }
+  
+  /**
+   * Hurt an enemy and announce it - shared by bullets and explosions
+   * @param {Enemy} enemy
+   * @param {number} damage - Final damage (zones and falloff applied)
+   * @param {object} [hit] - { hitZone, hitPoint, direction } for ragdolls and scoring, status: true for bleed/burn ticks
+   * @returns {boolean} Whether the enemy died
+   */
+  damageEnemy(enemy, damage, { hitZone = HitZone.TORSO, hitPoint = null, direction = null, status = false } = {}) {
+    // Getting hurt gives the player away (ticks from fire and bleeding don't)
+    if (!status) {
+      enemy.alert(this.player.position);
+    }
+    
+    const killed = enemy.takeDamage(damage, !status);
+    
+    // Emit hit event
+    this.events.emit(GameEvents.ENEMY_HIT, { enemy, damage, hitZone });
+    
+    if (killed) {
+      // Emit killed event (event listener handles score/kills/pool)
+      this.events.emit(GameEvents.ENEMY_KILLED, { enemy, hitZone, hitPoint, direction });
     }
+    
+    return killed;
   }
   
   update(deltaTime) {
@@ -378,12 +692,13 @@ export class Game {
     // Update player
     this.player.update(deltaTime);
     
-    // Check trap collisions
-    const trapDamage = this.world.checkTrapCollision(this.player.getPosition());
-    if (trapDamage > 0) {
-      this.player.takeDamage(trapDamage);
-      this.events.emit(GameEvents.PLAYER_HIT, { damage: trapDamage });
+    // Check trap collisions - mines leave shrapnel wounds and a ringing head
+    const trap = this.world.checkTrapCollision(this.player.getPosition());
+    if (trap && this.damagePlayer(trap.damage, null, DamageType.ENVIRONMENTAL)) {
+      this.player.effects.apply(StatusEffect.BLEED, { stacks: 2 });
+      this.concuss(this.player, trap.damage);
     }
+    this.applyHazards(this.player);
     
     // Check if player died
     if (this.player.isDead) {
@@ -393,41 +708,81 @@ export class Game {
     
     // Update health HUD
     this.hud.updateHealth(this.player.health, this.player.maxHealth);
+    this.hud.updateArmor(this.player.armor, this.player.maxArmor);
+    this.hud.updateStatusEffects(this.player.effects.getList());
+    this.hud.updateStun(this.player.effects.getIntensity(StatusEffect.STUN));
+    this.hud.updateStamina(this.player.stamina, this.player.maxStamina, this.player.exhausted);
     
     // Update weapon
-    this.weapon.update(deltaTime);
+    this.weapons.update(deltaTime);
+    
+    // Trigger is polled so held fire keeps the weapon's rate, not key repeat
+    const shot = this.weapons.updateTrigger(this.input.isTriggerHeld() && !this.player.isDead);
+    if (shot) {
+      this.handleShoot(shot);
+    }
+    this.hud.updateCrosshair(this.weapons.active.getSpread(), this.camera.fov);
+    if (this.weapons.active.isReloading) {
+      this.hud.updateReloadProgress(this.weapons.active.getReloadProgress());
+    }
+    
+    // Grenades - hold to aim, release to throw
+    this.grenades.updateThrow(this.input.isThrowingGrenade(), this.player);
+    this.hud.updateGrenades(this.grenades.count);
     
     // Update enemies from pool (only alive and visible ones)
     const playerPos = this.player.getPosition();
     const activeEnemies = this.enemyPool.getActive();
     
+    // What each enemy knows, then separation and surround slots for this frame
+    this.perception.update(activeEnemies, this.player, deltaTime);
+    this.crowd.update(activeEnemies, playerPos);
+    
     for (const enemy of activeEnemies) {
       // Skip dead or hidden enemies
       if (enemy.isDead || !enemy.mesh || !enemy.mesh.visible) continue;
       
+      // Hazards and damage over time work on enemies too
+      this.applyHazards(enemy);
+      const tickDamage = enemy.effects.update(deltaTime);
+      if (tickDamage > 0 && this.damageEnemy(enemy, tickDamage, { status: true })) continue;
+      
       enemy.update(deltaTime, playerPos);
       
       // Check if enemy can attack player
       if (enemy.canAttack()) {
-        this.player.takeDamage(enemy.damage);
-        this.events.emit(GameEvents.PLAYER_HIT, { damage: enemy.damage, source: enemy });
+        if (enemy.archetype.projectile) {
+          // Aim at the chest, where the player is right now
+          this.projectiles.fire(enemy, playerPos.clone().setY(playerPos.y - 0.5));
+        } else if (this.damagePlayer(enemy.damage, enemy)) {
+          this.inflict(enemy);
+        }
       }
     }
     
-    // Spawn new enemies periodically until all spawned (only in PLAYING state)
-    if (this.stateMachine.isState(GameState.PLAYING) && this.enemiesSpawned < this.totalEnemiesToSpawn) {
-      if (this.currentTime - this.lastSpawnTime > this.spawnInterval) {
-        this.spawnEnemy();
-        this.lastSpawnTime = this.currentTime;
-      }
-    }
+    this.projectiles.update(deltaTime, this.player);
+    this.grenades.update(deltaTime, this.player);
+    this.impacts.update(deltaTime);
+    this.particles.update(deltaTime);
+    this.corpses.update(deltaTime);
+    this.pickups.update(deltaTime, playerPos);
     
-    // Check objective: all enemies killed?
-    const aliveEnemies = activeEnemies.filter(e => !e.isDead && e.mesh && e.mesh.visible).length;
-    if (this.stateMachine.isState(GameState.PLAYING) && this.enemiesSpawned >= this.totalEnemiesToSpawn && aliveEnemies === 0) {
-      console.log('All enemies defeated! Alive count: ' + aliveEnemies);
-      this.events.emit(GameEvents.OBJECTIVE_COMPLETE);
-      this.events.emit(GameEvents.SHIP_DOOR_OPENED);
+    // Run the wave script and check the level objective (only in PLAYING state)
+    if (this.stateMachine.isState(GameState.PLAYING)) {
+      this.waveDirector.update(deltaTime);
+      
+      // Boss levels: the boss comes out once every wave is dealt with
+      if (this.levelData.objective.type === 'boss' && this.waveDirector.isComplete() && !this.bossEncounter.hasStarted()) {
+        this.bossEncounter.start();
+        this.hud.updateBossHealth(this.bossEncounter.boss.health, this.bossEncounter.boss.maxHealth);
+      }
+      this.hud.updateTimer(this.getTimeRemaining());
+      
+      if (this.isObjectiveMet()) {
+        console.log(`Objective "${this.levelData.objective.type}" met! Alive count: ${this.waveDirector.getAliveCount()}`);
+        this.events.emit(GameEvents.OBJECTIVE_COMPLETE);
+        this.events.emit(GameEvents.SHIP_DOOR_OPENED);
+      }
     }
     
     // Check if player is near ship when accessible
@@ -437,6 +792,91 @@ export class Game {
     
     // Update world
     this.world.update(deltaTime);
+    this.navDebug.update(activeEnemies);
+  }
+  
+  /**
+   * Apply damage to the player and notify listeners
+   * @param {number} amount - Damage amount
+   * @param {object} [source] - What dealt the damage
+   * @param {string} [type] - DamageType (melee if omitted) - explosions also stun
+   * @returns {boolean} Whether it landed (not on cooldown)
+   */
+  damagePlayer(amount, source, type = DamageType.MELEE) {
+    if (!this.player.takeDamage(amount, source, type)) return false;
+    
+    if (type === DamageType.EXPLOSIVE) {
+      this.concuss(this.player, amount);
+    }
+    this.events.emit(GameEvents.PLAYER_HIT, { damage: amount, source, type });
+    return true;
+  }
+  
+  /**
+   * Maybe give the player the status effect an enemy's hits carry (archetype `inflicts`)
+   * @param {Enemy} enemy - The attacker
+   */
+  inflict(enemy) {
+    const inflicts = enemy.archetype.inflicts;
+    if (inflicts && Math.random() < inflicts.chance) {
+      this.player.effects.apply(inflicts.effect, inflicts);
+    }
+  }
+  
+  /**
+   * Stun from a blast, longer for a bigger hit
+   * @param {Player|Enemy} target - Anything with `effects`
+   * @param {number} damage - Blast damage it took
+   */
+  concuss(target, damage) {
+    const duration = Math.max(CONCUSSION.min, Math.min(CONCUSSION.max, damage * CONCUSSION.perDamage));
+    target.effects.apply(StatusEffect.STUN, { duration });
+  }
+  
+  /**
+   * Drop the player's status effects and their screen blur - the HUD
+   * only follows them from update(), which stops with the game
+   */
+  clearStatusEffects() {
+    this.player.effects.clear();
+    this.hud.updateStatusEffects([]);
+    this.hud.updateStun(0);
+  }
+  
+  /**
+   * Burn or slow whatever stands in a hazard
+   * @param {Player|Enemy} target - Anything with `position` and `effects`
+   */
+  applyHazards(target) {
+    const hazards = this.world.getHazardsAt(target.position);
+    for (let i = 0; i < hazards.length; i++) {
+      target.effects.apply(HAZARD_EFFECTS[hazards[i].type]);
+    }
+  }
+  
+  /**
+   * Seconds left on the HUD clock - the survive duration, or par time otherwise
+   * @returns {number}
+   */
+  getTimeRemaining() {
+    const objective = this.levelData.objective;
+    const limit = objective.type === 'survive' ? objective.duration : this.levelData.parTime;
+    return Math.max(0, limit - (this.currentTime - this.levelStartTime));
+  }
+  
+  /**
+   * Leave pickups the player has no use for on the ground
+   * @param {object} pickup - Pickup in reach
+   * @returns {boolean}
+   */
+  canCollectPickup(pickup) {
+    if (pickup.type === PickupType.AMMO) {
+      return this.weapons.needsAmmo();
+    }
+    if (pickup.type === PickupType.MEDKIT) {
+      return this.player.health < this.player.maxHealth;
+    }
+    return true;
   }
   
   checkShipEntry() {
@@ -455,34 +895,69 @@ export class Game {
   nextLevel() {
     this.level++;
     
-    if (this.level > 3) {
+    if (this.level > this.levels.getLevelCount()) {
       // Game complete!
       this.stateMachine.setState(GameState.VICTORY);
     } else {
-      // Reset for next level
-      this.resetForNextLevel();
+      // Shop first - the next level starts when the player leaves it
+      this.openArmory();
     }
   }
   
+  /**
+   * Pause between levels and open the shop, paying out the level's score
+   */
+  openArmory() {
+    this.isRunning = false;
+    this.clearStatusEffects();
+    
+    const payout = this.armory.getPayout(this.score - this.levelStartScore);
+    this.cash += payout;
+    this.hud.updateCash(this.cash);
+    
+    this.hud.showArmory(this.level, payout);
+    this.hud.updateArmory(this.armory.getOffers(), this.cash);
+    document.exitPointerLock();
+  }
+  
+  closeArmory() {
+    this.hud.hideArmory();
+    this.resetForNextLevel();
+    
+    this.input.requestPointerLock(this.renderer.domElement);
+    this.isRunning = true;
+    this.clock.start();
+  }
+  
   resetForNextLevel() {
     // Reset state machine
     this.stateMachine.reset();
     
-    // Reset spawn tracking
-    this.enemiesSpawned = 0;
-    this.totalEnemiesToSpawn = this.levelConfig[this.level].enemyCount;
+    // Survivors from the last level don't belong to the new wave script
+    this.releaseAllEnemies();
     
-    // Reset player position
-    this.player.reset();
+    // Build the next level (waves, props, traps, environment)
+    this.loadLevel(this.level);
+    
+    // Reset player position (bought armor carries over)
+    this.player.reset(false);
     
     // Close ship door
     this.world.closeShipDoor();
+    this.hud.resetObjective();
     
-    // Spawn new wave
-    this.spawnWave();
-    
-    this.hud.showMessage(`Level ${this.level} - Kill ${this.totalEnemiesToSpawn} enemies!`, 3000);
-    console.log(`Level ${this.level} started! Kill ${this.totalEnemiesToSpawn} enemies.`);
+    this.hud.showMessage(this.getObjectiveText(), 3000);
+  }
+  
+  releaseAllEnemies() {
+    const activeEnemies = [...this.enemyPool.getActive()]; // Copy array
+    activeEnemies.forEach(enemy => {
+      enemy.isDead = true;
+      if (enemy.mesh) {
+        enemy.mesh.visible = false;
+      }
+      this.enemyPool.release(enemy);
+    });
   }
   
   victory() {
@@ -496,6 +971,7 @@ export class Game {
   
   gameOver() {
     this.isRunning = false;
+    this.clearStatusEffects();
     
     this.hud.showGameOver(false, this.kills, this.score, -this.betAmount);
     
@@ -526,6 +1002,7 @@ export class Game {
     this.camera.updateProjectionMatrix();
     
     this.renderer.setSize(width, height);
+    this.particles.resize(this.renderer.domElement.height);
   }
 }
 
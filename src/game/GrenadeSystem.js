@@ -0,0 +1,378 @@
+import * as THREE from 'three';
+import { ObjectPool } from './ObjectPool.js';
+import { GameEvents } from './EventSystem.js';
+import { DamageType } from './Player.js';
+
+/**
+ * GrenadeSystem - Thrown frag grenades
+ * Reference: GAME_DEV_CONTEXT.md - Object Pooling Pattern
+ *
+ * Hold the throw key to see the arc, release to throw. Grenades fly a
+ * ballistic arc (own integration, like ProjectileSystem), bounce off the
+ * ground and World.objects, and explode when the fuse runs out. Damage
+ * falls off linearly from the center and cover blocks it - for enemies
+ * and the player alike.
+ */
+
+const GRENADE_CONFIG = {
+  count: 3,           // Carried at the start of a game
+  maxCount: 5,
+  throwSpeed: 16,     // Along the view direction
+  throwLift: 4,       // Extra upward speed so flat throws still arc
+  gravity: 20,
+  radius: 0.12,
+  fuse: 2.5,          // Seconds from the throw
+  restitution: 0.4,   // Bounce energy kept along the surface normal
+  friction: 0.6,      // Speed kept along the surface per bounce
+  rollDrag: 2,        // Slows a grenade rolling on the ground
+  maxStep: 1 / 60,    // Integration substep
+  blastRadius: 7,
+  damage: 120,        // At the center, 0 at the edge of the blast
+  playerDamage: 60,   // Same falloff - throwing one at your feet hurts
+  previewTime: 2,     // Seconds of flight the arc preview covers
+  previewPoints: 40
+};
+
+class Grenade {
+  constructor(scene, geometry, material) {
+    this.scene = scene;
+    this.position = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this.fuse = 0;
+    
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.castShadow = true;
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+  
+  /**
+   * Reset grenade for object pooling
+   * @param {THREE.Vector3} position - Launch point
+   * @param {THREE.Vector3} velocity - Launch velocity
+   */
+  reset(position, velocity) {
+    this.position.copy(position);
+    this.velocity.copy(velocity);
+    this.fuse = GRENADE_CONFIG.fuse;
+    
+    this.mesh.position.copy(position);
+    this.mesh.visible = true;
+  }
+}
+
+export class GrenadeSystem {
+  /**
+   * @param {object} options
+   * @param {THREE.Scene} options.scene
+   * @param {World} options.world - Obstacles to bounce off, explosion visual
+   * @param {EventSystem} options.events - Explosions are heard like gunfire
+   * @param {Function} options.getEnemies - () => live enemies
+   * @param {Function} options.damageEnemy - (enemy, amount, { hitPoint, direction }) => void
+   * @param {Function} options.damagePlayer - (amount, source, DamageType) => void
+   */
+  constructor({ scene, world, events, getEnemies, damageEnemy, damagePlayer }) {
+    this.scene = scene;
+    this.world = world;
+    this.events = events;
+    this.getEnemies = getEnemies;
+    this.damageEnemy = damageEnemy;
+    this.damagePlayer = damagePlayer;
+    this.config = GRENADE_CONFIG;
+    
+    this.count = this.config.count;
+    this.aiming = false;
+    
+    const geometry = new THREE.SphereGeometry(this.config.radius, 10, 10);
+    const material = new THREE.MeshStandardMaterial({ color: 0x3d4a2a, roughness: 0.7, metalness: 0.3 });
+    this.pool = new ObjectPool(
+      () => new Grenade(this.scene, geometry, material),
+      (grenade, position, velocity) => grenade.reset(position, velocity),
+      4
+    );
+    
+    this.raycaster = new THREE.Raycaster();
+    this.step = new THREE.Vector3();
+    this.normal = new THREE.Vector3();
+    this.launchPosition = new THREE.Vector3();
+    this.launchVelocity = new THREE.Vector3();
+    
+    this.createPreview();
+  }
+  
+  createPreview() {
+    const points = new Float32Array(this.config.previewPoints * 3);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
+    
+    this.previewLine = new THREE.Line(geometry, new THREE.LineDashedMaterial({
+      color: 0xffffff,
+      dashSize: 0.3,
+      gapSize: 0.2,
+      transparent: true,
+      opacity: 0.7,
+      depthWrite: false
+    }));
+    this.previewLine.frustumCulled = false;
+    this.previewLine.visible = false;
+    this.scene.add(this.previewLine);
+    
+    // Where it first lands
+    const markerGeometry = new THREE.RingGeometry(0.3, 0.4, 24);
+    markerGeometry.rotateX(-Math.PI / 2);
+    this.previewMarker = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({
+      color: 0xff4444,
+      transparent: true,
+      opacity: 0.8,
+      depthWrite: false
+    }));
+    this.previewMarker.visible = false;
+    this.scene.add(this.previewMarker);
+  }
+  
+  /**
+   * Throw key handling - call every frame
+   * @param {boolean} held - Throw key is down
+   * @param {Player} player
+   */
+  updateThrow(held, player) {
+    const canThrow = held && this.count > 0 && !player.isDead;
+    
+    if (canThrow) {
+      this.getLaunch(player);
+      this.updatePreview();
+    } else if (this.aiming && !held) {
+      this.getLaunch(player);
+      this.throw();
+    }
+    
+    this.aiming = canThrow;
+    this.previewLine.visible = canThrow;
+    this.previewMarker.visible = canThrow && this.previewMarker.userData.landed;
+  }
+  
+  /**
+   * Launch point and velocity from the player's view
+   */
+  getLaunch(player) {
+    const direction = player.getDirection();
+    
+    // From just in front of the face, a little to the right (throwing hand)
+    const right = new THREE.Vector3(-direction.z, 0, direction.x).normalize();
+    this.launchPosition.copy(player.position)
+      .addScaledVector(direction, 0.5)
+      .addScaledVector(right, 0.2);
+    this.launchPosition.y -= 0.2;
+    
+    this.launchVelocity.copy(direction).multiplyScalar(this.config.throwSpeed);
+    this.launchVelocity.y += this.config.throwLift;
+    
+    // Running throws carry the player's momentum
+    this.launchVelocity.x += player.velocity.x;
+    this.launchVelocity.z += player.velocity.z;
+  }
+  
+  throw() {
+    if (this.count <= 0) return null;
+    
+    this.count--;
+    return this.pool.acquire(this.launchPosition, this.launchVelocity);
+  }
+  
+  /**
+   * Give grenades (pickups, shop)
+   * @param {number} amount
+   * @returns {number} How many were taken
+   */
+  add(amount) {
+    const taken = Math.min(amount, this.config.maxCount - this.count);
+    this.count += taken;
+    return taken;
+  }
+  
+  /**
+   * Trace the arc the grenade would fly, up to its first impact
+   */
+  updatePreview() {
+    const { previewPoints, previewTime, gravity } = this.config;
+    const positions = this.previewLine.geometry.attributes.position;
+    const dt = previewTime / (previewPoints - 1);
+    const position = this.launchPosition.clone();
+    const velocity = this.launchVelocity.clone();
+    let landed = false;
+    let count = 0;
+    
+    for (let i = 0; i < previewPoints; i++) {
+      positions.setXYZ(i, position.x, position.y, position.z);
+      count = i + 1;
+      if (landed) break;
+      
+      velocity.y -= gravity * dt;
+      const hit = this.castStep(position, velocity, dt);
+      if (hit) {
+        position.copy(hit.point);
+        landed = true;
+      } else {
+        // Ground - finish the segment where it dips into the dunes
+        const above = position.y - this.world.getHeightAt(position.x, position.z);
+        position.addScaledVector(velocity, dt);
+        const below = this.world.getHeightAt(position.x, position.z) - position.y;
+        if (below >= 0) {
+          position.addScaledVector(velocity, -dt * below / Math.max(above + below, 1e-6));
+          position.y = this.world.getHeightAt(position.x, position.z);
+          landed = true;
+        }
+      }
+    }
+    
+    positions.needsUpdate = true;
+    this.previewLine.geometry.setDrawRange(0, count);
+    this.previewLine.computeLineDistances();
+    
+    this.previewMarker.userData.landed = landed;
+    if (landed) {
+      this.previewMarker.position.set(position.x, position.y + 0.05, position.z);
+    }
+  }
+  
+  /**
+   * First World.objects surface along one integration step
+   * @returns {object|null} three.js intersection
+   */
+  castStep(position, velocity, dt) {
+    this.step.copy(velocity).multiplyScalar(dt);
+    const distance = this.step.length();
+    if (distance === 0) return null;
+    
+    this.raycaster.set(position, this.step.divideScalar(distance));
+    this.raycaster.far = distance + this.config.radius;
+    const hits = this.raycaster.intersectObjects(this.world.objects, false);
+    return hits.length > 0 ? hits[0] : null;
+  }
+  
+  /**
+   * Move grenades, bounce them and set off the ones whose fuse ran out
+   * @param {number} deltaTime - Frame time in seconds
+   * @param {Player} player
+   */
+  update(deltaTime, player) {
+    // Copy - grenades are released while iterating
+    [...this.pool.getActive()].forEach(grenade => {
+      // Substeps so fast throws don't tunnel through thin props
+      const steps = Math.ceil(deltaTime / this.config.maxStep);
+      const dt = deltaTime / steps;
+      for (let i = 0; i < steps; i++) {
+        this.integrate(grenade, dt);
+      }
+      
+      grenade.mesh.position.copy(grenade.position);
+      grenade.mesh.rotation.x += grenade.velocity.length() * deltaTime * 2;
+      
+      grenade.fuse -= deltaTime;
+      if (grenade.fuse <= 0) {
+        this.explode(grenade, player);
+      }
+    });
+  }
+  
+  integrate(grenade, dt) {
+    const { gravity, radius, restitution, friction, rollDrag } = this.config;
+    const { position, velocity } = grenade;
+    
+    velocity.y -= gravity * dt;
+    
+    // Props and the wreck - reflect off the surface that was hit
+    const hit = this.castStep(position, velocity, dt);
+    if (hit && hit.face) {
+      this.normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+      const into = velocity.dot(this.normal);
+      if (into < 0) {
+        // Split into normal and tangent parts, damp both
+        velocity.addScaledVector(this.normal, -into);
+        velocity.multiplyScalar(friction);
+        velocity.addScaledVector(this.normal, -into * restitution);
+      }
+      position.copy(hit.point).addScaledVector(this.normal, radius);
+      return;
+    }
+    
+    position.addScaledVector(velocity, dt);
+    
+    // Ground - bounce off the slope of the dune underneath
+    const ground = this.world.getHeightAt(position.x, position.z);
+    if (position.y <= ground + radius) {
+      position.y = ground + radius;
+      this.world.getNormalAt(position.x, position.z, this.normal);
+      const into = velocity.dot(this.normal);
+      if (into < 0) {
+        velocity.addScaledVector(this.normal, -into);
+        velocity.multiplyScalar(friction);
+        if (-into * restitution >= 1) { // Settle instead of jittering
+          velocity.addScaledVector(this.normal, -into * restitution);
+        }
+      }
+      
+      // Rolling
+      const drag = Math.max(0, 1 - rollDrag * dt);
+      velocity.x *= drag;
+      velocity.z *= drag;
+    }
+  }
+  
+  explode(grenade, player) {
+    const { blastRadius, damage, playerDamage } = this.config;
+    const center = grenade.position.clone();
+    
+    this.world.createExplosion(center, 3);
+    
+    // Enemies hear it like a gunshot
+    this.events.emit(GameEvents.WEAPON_FIRED, { position: center });
+    
+    // Cover is checked from a little above the blast so lying in a dip still counts
+    const eye = center.clone();
+    eye.y += 0.5;
+    
+    this.getEnemies().forEach(enemy => {
+      const chest = enemy.position.clone();
+      chest.y += enemy.height * 0.6;
+      const distance = chest.distanceTo(center);
+      if (distance >= blastRadius || !this.world.hasLineOfSight(eye, chest)) return;
+      
+      const direction = new THREE.Vector3().subVectors(chest, center).normalize();
+      this.damageEnemy(enemy, damage * (1 - distance / blastRadius), { hitPoint: chest, direction });
+    });
+    
+    if (!player.isDead) {
+      const distance = player.position.distanceTo(center);
+      if (distance < blastRadius && this.world.hasLineOfSight(eye, player.position)) {
+        this.damagePlayer(playerDamage * (1 - distance / blastRadius), grenade, DamageType.EXPLOSIVE);
+      }
+    }
+    
+    this.release(grenade);
+  }
+  
+  release(grenade) {
+    grenade.mesh.visible = false;
+    this.pool.release(grenade);
+  }
+  
+  /**
+   * Remove grenades in flight (level change / restart)
+   */
+  clear() {
+    [...this.pool.getActive()].forEach(grenade => this.release(grenade));
+  }
+  
+  /**
+   * New game - back to the starting count
+   */
+  reset() {
+    this.clear();
+    this.count = this.config.count;
+    this.aiming = false;
+    this.previewLine.visible = false;
+    this.previewMarker.visible = false;
+  }
+}
+
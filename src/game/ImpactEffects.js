@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+import { ObjectPool } from './ObjectPool.js';
+import { Surface } from './World.js';
+import { ParticleEffect } from './ParticleSystem.js';
+
+/**
+ * ImpactEffects - Bullet impacts on world geometry
+ * Reference: GAME_DEV_CONTEXT.md - Object Pooling Pattern
+ *
+ * Each hit throws a ParticleSystem burst that depends on the surface
+ * (sand puffs, metal sparks, rock chips, wood splinters) and leaves a
+ * pooled decal that fades out after a while.
+ */
+
+// Particle effect and decal per surface (userData.surface on world meshes)
+const SURFACE_EFFECTS = {
+  [Surface.SAND]: { particles: ParticleEffect.SAND, decal: 0x8a6a45, decalSize: 0.3 },
+  [Surface.METAL]: { particles: ParticleEffect.SPARKS, decal: 0x222222, decalSize: 0.12 },
+  [Surface.ROCK]: { particles: ParticleEffect.ROCK_CHIPS, decal: 0x3d3228, decalSize: 0.16 },
+  [Surface.WOOD]: { particles: ParticleEffect.SPLINTERS, decal: 0x2e2115, decalSize: 0.14 },
+  [Surface.PLANT]: { particles: ParticleEffect.LEAVES, decal: 0x1f3a18, decalSize: 0.12 }
+};
+
+const IMPACT_CONFIG = {
+  maxDecals: 60,      // Oldest decal is recycled past this
+  decalLifetime: 10,  // Seconds
+  decalFade: 3        // Fades out over the last few seconds
+};
+
+class Decal {
+  constructor(scene, geometry) {
+    this.life = 0;
+    this.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      transparent: true,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -4
+    }));
+    this.mesh.visible = false;
+    scene.add(this.mesh);
+  }
+  
+  /**
+   * Reset decal for object pooling
+   * @param {THREE.Vector3} point - Hit point
+   * @param {THREE.Vector3} normal - World-space surface normal
+   * @param {object} effect - SURFACE_EFFECTS entry
+   */
+  reset(point, normal, effect) {
+    this.life = IMPACT_CONFIG.decalLifetime;
+    this.mesh.material.color.setHex(effect.decal);
+    this.mesh.material.opacity = 0.85;
+    this.mesh.scale.setScalar(effect.decalSize * (0.8 + Math.random() * 0.4));
+    
+    // Flat on the surface (the circle faces +Z), randomly spun
+    this.mesh.position.copy(point).addScaledVector(normal, 0.01);
+    this.mesh.lookAt(point.x + normal.x, point.y + normal.y, point.z + normal.z);
+    this.mesh.rotateZ(Math.random() * Math.PI * 2);
+    this.mesh.visible = true;
+  }
+}
+
+export class ImpactEffects {
+  /**
+   * @param {THREE.Scene} scene - Scene for decals
+   * @param {ParticleSystem} particles - Shared particle system
+   */
+  constructor(scene, particles) {
+    this.scene = scene;
+    this.particles = particles;
+    this.config = IMPACT_CONFIG;
+    
+    const decalGeometry = new THREE.CircleGeometry(0.5, 12);
+    this.decals = new ObjectPool(
+      () => new Decal(this.scene, decalGeometry),
+      (decal, point, normal, effect) => decal.reset(point, normal, effect),
+      20
+    );
+    
+    this.normal = new THREE.Vector3();
+  }
+  
+  /**
+   * Effects for a bullet hitting the world
+   * @param {object} hit - three.js intersection from World.raycast()
+   * @param {THREE.Vector3} direction - Bullet direction
+   */
+  spawn(hit, direction) {
+    const effect = SURFACE_EFFECTS[this.getSurface(hit.object)] || SURFACE_EFFECTS[Surface.SAND];
+    
+    // World-space normal, flipped to face the shooter's side if needed
+    if (hit.face) {
+      this.normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+    } else {
+      this.normal.set(0, 1, 0);
+    }
+    if (this.normal.dot(direction) > 0) {
+      this.normal.negate();
+    }
+    
+    this.particles.burst(effect.particles, hit.point, { direction: this.normal });
+    
+    // Recycle the oldest decal once the cap is reached
+    const decals = this.decals.getActive();
+    if (decals.length >= this.config.maxDecals) {
+      this.releaseDecal(decals[0]);
+    }
+    this.decals.acquire(hit.point, this.normal, effect);
+  }
+  
+  /**
+   * Surface a mesh (or its nearest tagged parent) is made of
+   * @param {THREE.Object3D} object
+   * @returns {string} Surface value
+   */
+  getSurface(object) {
+    let current = object;
+    while (current) {
+      if (current.userData.surface) return current.userData.surface;
+      current = current.parent;
+    }
+    return Surface.SAND;
+  }
+  
+  update(deltaTime) {
+    // Copy - decals are released while iterating
+    [...this.decals.getActive()].forEach(decal => {
+      decal.life -= deltaTime;
+      if (decal.life <= 0) {
+        this.releaseDecal(decal);
+      } else if (decal.life < this.config.decalFade) {
+        decal.mesh.material.opacity = 0.85 * decal.life / this.config.decalFade;
+      }
+    });
+  }
+  
+  releaseDecal(decal) {
+    decal.mesh.visible = false;
+    this.decals.release(decal);
+  }
+  
+  /**
+   * Remove all decals (level change / restart)
+   */
+  clear() {
+    [...this.decals.getActive()].forEach(decal => this.releaseDecal(decal));
+  }
+}
+
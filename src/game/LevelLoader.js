@@ -0,0 +1,301 @@
+import { archetypes } from './EnemyArchetypes.js';
+
+/**
+ * LevelLoader - Loads and validates data-driven level definitions
+ *
+ * Every JSON file in src/data/levels/ is picked up automatically and
+ * played in `order`, so designers can add levels without touching Game.js.
+ * Files are validated at load time; invalid files are skipped and their
+ * errors are collected for the HUD.
+ */
+
+// Newest level file format this build understands
+// v1: single `spawns` schedule
+// v2: named `waves` driven by the WaveDirector (v1 files are migrated)
+export const LEVEL_FORMAT_VERSION = 2;
+
+export const OBJECTIVE_TYPES = ['eliminate', 'survive', 'boss'];
+// Mines go off once; fire patches (burn) and sand pits (slow) last the whole level
+export const TRAP_TYPES = ['mine', 'fire', 'sandpit'];
+
+const DEFAULT_TRAP = {
+  mine: { radius: 1.5, damage: 50 },
+  fire: { radius: 1.5 },
+  sandpit: { radius: 3 }
+};
+
+const DEFAULT_ENVIRONMENT = {
+  fog: { color: '#d4a574', density: 0.015 },
+  ambient: { color: '#ffeedd', intensity: 0.6 },
+  sun: { color: '#ffffee', intensity: 1.2 }
+};
+
+// Bundled by Vite at build time
+const levelFiles = import.meta.glob('../data/levels/*.json', { eager: true, import: 'default' });
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isColor(value) {
+  return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+}
+
+function checkEnemyWeights(check, enemies, path) {
+  if (!check(Array.isArray(enemies) && enemies.length > 0, `${path} must be a non-empty array`)) return;
+  
+  enemies.forEach((entry, i) => {
+    const entryPath = `${path}[${i}]`;
+    if (!check(isObject(entry), `${entryPath} must be an object`)) return;
+    check(archetypes.has(entry.type), `${entryPath}.type "${entry.type}" is not a known enemy type`);
+    check(isNumber(entry.weight) && entry.weight > 0, `${entryPath}.weight must be a positive number`);
+  });
+}
+
+// v1 spawn schedule
+function checkSpawns(check, spawns) {
+  if (!check(isObject(spawns), 'spawns must be an object')) return;
+  
+  const { total, initial, interval, enemies } = spawns;
+  check(Number.isInteger(total) && total > 0, 'spawns.total must be a positive integer');
+  check(Number.isInteger(initial) && initial >= 0, 'spawns.initial must be a non-negative integer');
+  if (Number.isInteger(total) && Number.isInteger(initial)) {
+    check(initial <= total, 'spawns.initial cannot be larger than spawns.total');
+  }
+  check(isNumber(interval) && interval > 0, 'spawns.interval must be a positive number of seconds');
+  checkEnemyWeights(check, enemies, 'spawns.enemies');
+}
+
+// v2 wave list
+function checkWaves(check, waves) {
+  if (!check(Array.isArray(waves) && waves.length > 0, 'waves must be a non-empty array')) return;
+  
+  waves.forEach((wave, i) => {
+    const path = `waves[${i}]`;
+    if (!check(isObject(wave), `${path} must be an object`)) return;
+    
+    const { name, count, burst = 0, interval = 1, delay = 0, waitUntilAlive = 0 } = wave;
+    check(typeof name === 'string' && name.length > 0, `${path}.name must be a non-empty string`);
+    check(Number.isInteger(count) && count > 0, `${path}.count must be a positive integer`);
+    check(Number.isInteger(burst) && burst >= 0, `${path}.burst must be a non-negative integer`);
+    if (Number.isInteger(count) && Number.isInteger(burst)) {
+      check(burst <= count, `${path}.burst cannot be larger than ${path}.count`);
+    }
+    check(isNumber(interval) && interval > 0, `${path}.interval must be a positive number of seconds`);
+    check(isNumber(delay) && delay >= 0, `${path}.delay must be >= 0 seconds`);
+    check(Number.isInteger(waitUntilAlive) && waitUntilAlive >= 0, `${path}.waitUntilAlive must be a non-negative integer`);
+    if (wave.dormant !== undefined) check(typeof wave.dormant === 'boolean', `${path}.dormant must be true or false`);
+    checkEnemyWeights(check, wave.enemies, `${path}.enemies`);
+  });
+}
+
+/**
+ * Validate a raw level definition
+ * @param {object} data - Parsed JSON
+ * @returns {string[]} Human-readable errors (empty when valid)
+ */
+export function validateLevel(data) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) errors.push(message);
+    return condition;
+  };
+  
+  if (!check(isObject(data), 'file must contain a JSON object')) return errors;
+  
+  if (check(Number.isInteger(data.version), 'version must be an integer')) {
+    check(
+      data.version >= 1 && data.version <= LEVEL_FORMAT_VERSION,
+      `version ${data.version} is not supported (expected 1-${LEVEL_FORMAT_VERSION})`
+    );
+  }
+  check(typeof data.name === 'string' && data.name.length > 0, 'name must be a non-empty string');
+  check(Number.isInteger(data.order) && data.order > 0, 'order must be a positive integer');
+  check(isNumber(data.parTime) && data.parTime > 0, 'parTime must be a positive number of seconds');
+  
+  // Objective
+  if (check(isObject(data.objective), 'objective must be an object')) {
+    const { type, duration } = data.objective;
+    if (check(OBJECTIVE_TYPES.includes(type), `objective.type must be one of: ${OBJECTIVE_TYPES.join(', ')}`)) {
+      if (type === 'survive') {
+        check(isNumber(duration) && duration > 0, 'objective.duration must be a positive number for "survive"');
+      }
+    }
+  }
+  
+  // Spawn schedule
+  if (data.version === 1) {
+    checkSpawns(check, data.spawns);
+  } else {
+    checkWaves(check, data.waves);
+  }
+  
+  // Trap layout
+  if (data.traps !== undefined && check(Array.isArray(data.traps), 'traps must be an array')) {
+    data.traps.forEach((trap, i) => {
+      const path = `traps[${i}]`;
+      if (!check(isObject(trap), `${path} must be an object`)) return;
+      check(TRAP_TYPES.includes(trap.type), `${path}.type must be one of: ${TRAP_TYPES.join(', ')}`);
+      check(isNumber(trap.x) && isNumber(trap.z), `${path} needs numeric x and z`);
+      if (trap.radius !== undefined) check(isNumber(trap.radius) && trap.radius > 0, `${path}.radius must be positive`);
+      if (trap.damage !== undefined) check(isNumber(trap.damage) && trap.damage >= 0, `${path}.damage must be >= 0`);
+    });
+  }
+  
+  // Prop layout
+  if (data.props !== undefined && check(isObject(data.props), 'props must be an object')) {
+    const { rocks = [], cacti = [] } = data.props;
+    if (check(Array.isArray(rocks), 'props.rocks must be an array')) {
+      rocks.forEach((rock, i) => {
+        const path = `props.rocks[${i}]`;
+        if (!check(isObject(rock), `${path} must be an object`)) return;
+        check(isNumber(rock.x) && isNumber(rock.z), `${path} needs numeric x and z`);
+        check(isNumber(rock.scale) && rock.scale > 0, `${path}.scale must be positive`);
+      });
+    }
+    if (check(Array.isArray(cacti), 'props.cacti must be an array')) {
+      cacti.forEach((cactus, i) => {
+        const path = `props.cacti[${i}]`;
+        if (!check(isObject(cactus), `${path} must be an object`)) return;
+        check(isNumber(cactus.x) && isNumber(cactus.z), `${path} needs numeric x and z`);
+      });
+    }
+  }
+  
+  // Fog and lighting
+  if (data.environment !== undefined && check(isObject(data.environment), 'environment must be an object')) {
+    const { fog, ambient, sun } = data.environment;
+    if (fog !== undefined && check(isObject(fog), 'environment.fog must be an object')) {
+      check(isColor(fog.color), 'environment.fog.color must be a "#rrggbb" string');
+      check(isNumber(fog.density) && fog.density >= 0, 'environment.fog.density must be >= 0');
+    }
+    [['ambient', ambient], ['sun', sun]].forEach(([key, light]) => {
+      if (light === undefined || !check(isObject(light), `environment.${key} must be an object`)) return;
+      check(isColor(light.color), `environment.${key}.color must be a "#rrggbb" string`);
+      check(isNumber(light.intensity) && light.intensity >= 0, `environment.${key}.intensity must be >= 0`);
+    });
+  }
+  
+  return errors;
+}
+
+/**
+ * Upgrade an older level file to the current format
+ * @param {object} data - A level that passed validation
+ * @returns {object}
+ */
+function migrateLevel(data) {
+  if (data.version === 1) {
+    // The old fixed schedule becomes a single wave
+    const { spawns, ...rest } = data;
+    return {
+      ...rest,
+      version: 2,
+      waves: [{
+        name: 'Wave 1',
+        count: spawns.total,
+        burst: spawns.initial,
+        interval: spawns.interval,
+        enemies: spawns.enemies
+      }]
+    };
+  }
+  
+  return data;
+}
+
+/**
+ * Fill in optional fields so the rest of the game can rely on them
+ * @param {object} data - A level that passed validation
+ * @returns {object} Normalized level
+ */
+function normalizeLevel(data) {
+  data = migrateLevel(data);
+  const environment = data.environment || {};
+  const props = data.props || {};
+  
+  return {
+    ...data,
+    waves: data.waves.map(wave => ({
+      delay: 0,
+      waitUntilAlive: 0,
+      burst: 0,
+      interval: 1,
+      dormant: false,
+      ...wave
+    })),
+    traps: (data.traps || []).map(trap => ({ ...DEFAULT_TRAP[trap.type], ...trap })),
+    props: {
+      rocks: props.rocks || [],
+      cacti: props.cacti || []
+    },
+    environment: {
+      fog: { ...DEFAULT_ENVIRONMENT.fog, ...environment.fog },
+      ambient: { ...DEFAULT_ENVIRONMENT.ambient, ...environment.ambient },
+      sun: { ...DEFAULT_ENVIRONMENT.sun, ...environment.sun }
+    }
+  };
+}
+
+export class LevelLoader {
+  /**
+   * @param {Object<string, object>} [files] - Map of file path to parsed JSON
+   */
+  constructor(files = levelFiles) {
+    this.levels = [];
+    this.errors = [];
+    
+    this.load(files);
+  }
+  
+  load(files) {
+    const levels = [];
+    
+    Object.keys(files).sort().forEach(path => {
+      const fileName = path.split('/').pop();
+      const errors = validateLevel(files[path]);
+      
+      if (errors.length > 0) {
+        errors.forEach(error => this.errors.push(`${fileName}: ${error}`));
+        return;
+      }
+      
+      levels.push({ ...normalizeLevel(files[path]), file: fileName });
+    });
+    
+    levels.sort((a, b) => a.order - b.order);
+    
+    // Two files claiming the same slot is ambiguous - keep the first
+    this.levels = levels.filter((level, i) => {
+      if (i > 0 && levels[i - 1].order === level.order) {
+        this.errors.push(`${level.file}: order ${level.order} is already used by ${levels[i - 1].file}`);
+        return false;
+      }
+      return true;
+    });
+    
+    this.errors.forEach(error => console.error(`Level error - ${error}`));
+  }
+  
+  /**
+   * Get a level by its 1-based play order
+   * @param {number} number - Level number
+   * @returns {object|null}
+   */
+  getLevel(number) {
+    return this.levels[number - 1] || null;
+  }
+  
+  getLevelCount() {
+    return this.levels.length;
+  }
+  
+  hasErrors() {
+    return this.errors.length > 0;
+  }
+}
+
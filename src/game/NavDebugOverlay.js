@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+/**
+ * NavDebugOverlay - Draws the nav grid, blocked cells and enemy paths
+ * Toggled in-game with F3
+ */
+export class NavDebugOverlay {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw into
+   * @param {NavGrid} navGrid - Grid to visualize
+   */
+  constructor(scene, navGrid) {
+    this.scene = scene;
+    this.navGrid = navGrid;
+    this.visible = false;
+    
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    this.scene.add(this.group);
+    
+    this.gridLines = null;
+    this.blockedCells = null;
+    
+    // Rebuilt every frame while visible
+    this.pathLines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0x00ffff, depthTest: false })
+    );
+    this.pathLines.renderOrder = 999;
+    this.group.add(this.pathLines);
+  }
+  
+  toggle() {
+    this.visible = !this.visible;
+    this.group.visible = this.visible;
+    
+    if (this.visible && !this.gridLines) {
+      this.rebuild();
+    }
+  }
+  
+  /**
+   * Call after the grid is re-baked - redraws now if shown, otherwise on next toggle
+   */
+  refresh() {
+    if (this.visible) {
+      this.rebuild();
+    } else {
+      this.disposeGrid();
+    }
+  }
+  
+  /**
+   * Redraw grid lines and blocked cells
+   */
+  rebuild() {
+    this.disposeGrid();
+    
+    const { halfSize, cellSize, cols, rows } = this.navGrid;
+    const y = 0.6; // Above the dunes
+    
+    // Grid lines
+    const linePoints = [];
+    for (let col = 0; col <= cols; col++) {
+      const x = -halfSize + col * cellSize;
+      linePoints.push(new THREE.Vector3(x, y, -halfSize), new THREE.Vector3(x, y, halfSize));
+    }
+    for (let row = 0; row <= rows; row++) {
+      const z = -halfSize + row * cellSize;
+      linePoints.push(new THREE.Vector3(-halfSize, y, z), new THREE.Vector3(halfSize, y, z));
+    }
+    this.gridLines = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(linePoints),
+      new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.15 })
+    );
+    this.group.add(this.gridLines);
+    
+    // Blocked cells
+    const blockedCount = this.navGrid.blocked.reduce((sum, cell) => sum + cell, 0);
+    const cellGeom = new THREE.PlaneGeometry(cellSize * 0.9, cellSize * 0.9);
+    cellGeom.rotateX(-Math.PI / 2);
+    this.blockedCells = new THREE.InstancedMesh(
+      cellGeom,
+      new THREE.MeshBasicMaterial({ color: 0xff0000, transparent: true, opacity: 0.35, depthWrite: false }),
+      Math.max(1, blockedCount)
+    );
+    this.blockedCells.count = blockedCount;
+    
+    const matrix = new THREE.Matrix4();
+    let instance = 0;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (this.navGrid.isWalkable(col, row)) continue;
+        matrix.makeTranslation(this.navGrid.cellToWorldX(col), y, this.navGrid.cellToWorldZ(row));
+        this.blockedCells.setMatrixAt(instance++, matrix);
+      }
+    }
+    this.blockedCells.instanceMatrix.needsUpdate = true;
+    this.group.add(this.blockedCells);
+  }
+  
+  /**
+   * Draw the remaining path of every enemy that is following one
+   * @param {Enemy[]} enemies - Active enemies
+   */
+  update(enemies) {
+    if (!this.visible) return;
+    
+    const points = [];
+    enemies.forEach(enemy => {
+      if (enemy.isDead || !enemy.pathFollower) return;
+      
+      let previous = enemy.position;
+      enemy.pathFollower.getRemainingPath().forEach(waypoint => {
+        points.push(
+          new THREE.Vector3(previous.x, 0.7, previous.z),
+          new THREE.Vector3(waypoint.x, 0.7, waypoint.z)
+        );
+        previous = waypoint;
+      });
+    });
+    
+    this.pathLines.geometry.dispose();
+    this.pathLines.geometry = new THREE.BufferGeometry().setFromPoints(points);
+  }
+  
+  disposeGrid() {
+    [this.gridLines, this.blockedCells].forEach(object => {
+      if (!object) return;
+      this.group.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    this.gridLines = null;
+    this.blockedCells = null;
+  }
+}
+
@@ -0,0 +1,477 @@
+import * as THREE from 'three';
+
+/**
+ * NavGrid - Walkability grid baked from World.objects, with A* pathfinding
+ *
+ * Every cell whose center falls inside an obstacle (grown by the agent
+ * radius) is blocked. Paths are searched on the 8-connected grid and then
+ * string-pulled so enemies walk straight lines between corners.
+ */
+
+const SQRT2 = Math.SQRT2;
+
+// Neighbour offsets: [dCol, dRow, cost]
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+/**
+ * Binary min-heap of cell indices keyed by f-score
+ */
+class OpenSet {
+  constructor() {
+    this.items = [];
+    this.scores = [];
+  }
+  
+  push(item, score) {
+    const items = this.items;
+    const scores = this.scores;
+    let i = items.length;
+    items.push(item);
+    scores.push(score);
+    
+    // Sift up
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (scores[parent] <= score) break;
+      items[i] = items[parent];
+      scores[i] = scores[parent];
+      i = parent;
+    }
+    items[i] = item;
+    scores[i] = score;
+  }
+  
+  pop() {
+    const items = this.items;
+    const scores = this.scores;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastScore = scores.pop();
+    
+    if (items.length > 0) {
+      // Sift down
+      let i = 0;
+      const length = items.length;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        let smallestScore = lastScore;
+        
+        if (left < length && scores[left] < smallestScore) {
+          smallest = left;
+          smallestScore = scores[left];
+        }
+        if (right < length && scores[right] < smallestScore) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        
+        items[i] = items[smallest];
+        scores[i] = scores[smallest];
+        i = smallest;
+      }
+      items[i] = lastItem;
+      scores[i] = lastScore;
+    }
+    
+    return top;
+  }
+  
+  get size() {
+    return this.items.length;
+  }
+  
+  clear() {
+    this.items.length = 0;
+    this.scores.length = 0;
+  }
+}
+
+export class NavGrid {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.halfSize] - Grid covers -halfSize..halfSize on X and Z
+   * @param {number} [options.cellSize] - Cell edge length in world units
+   * @param {number} [options.agentRadius] - Obstacles are grown by this much
+   * @param {number} [options.maxObstacleBottom] - Objects starting higher than this are walked under
+   */
+  constructor({ halfSize = 50, cellSize = 1, agentRadius = 0.6, maxObstacleBottom = 1.5 } = {}) {
+    this.halfSize = halfSize;
+    this.cellSize = cellSize;
+    this.agentRadius = agentRadius;
+    this.maxObstacleBottom = maxObstacleBottom;
+    
+    this.cols = Math.ceil(halfSize * 2 / cellSize);
+    this.rows = this.cols;
+    
+    const cellCount = this.cols * this.rows;
+    this.blocked = new Uint8Array(cellCount);
+    
+    // A* scratch buffers, reused between searches
+    this.gScore = new Float32Array(cellCount);
+    this.cameFrom = new Int32Array(cellCount);
+    this.visitStamp = new Uint32Array(cellCount);
+    this.closedStamp = new Uint32Array(cellCount);
+    this.stamp = 0;
+    this.openSet = new OpenSet();
+  }
+  
+  /**
+   * Mark cells covered by obstacles as blocked
+   * @param {THREE.Mesh[]} objects - World.objects
+   */
+  bake(objects) {
+    this.blocked.fill(0);
+    
+    const worldBox = new THREE.Box3();
+    const localBox = new THREE.Box3();
+    const inverse = new THREE.Matrix4();
+    const point = new THREE.Vector3();
+    
+    objects.forEach(object => {
+      if (!object.geometry) return;
+      
+      object.updateWorldMatrix(true, false);
+      if (!object.geometry.boundingBox) {
+        object.geometry.computeBoundingBox();
+      }
+      
+      worldBox.copy(object.geometry.boundingBox).applyMatrix4(object.matrixWorld);
+      if (worldBox.min.y > this.maxObstacleBottom) return;
+      
+      // Test cell centers in the object's own space so rotated props stay tight
+      localBox.copy(object.geometry.boundingBox).expandByScalar(this.agentRadius);
+      inverse.copy(object.matrixWorld).invert();
+      const centerY = (worldBox.min.y + worldBox.max.y) / 2;
+      
+      const min = this.worldToCell(worldBox.min.x - this.agentRadius, worldBox.min.z - this.agentRadius);
+      const max = this.worldToCell(worldBox.max.x + this.agentRadius, worldBox.max.z + this.agentRadius);
+      
+      for (let row = min.row; row <= max.row; row++) {
+        for (let col = min.col; col <= max.col; col++) {
+          const x = this.cellToWorldX(col);
+          const z = this.cellToWorldZ(row);
+          point.set(x, centerY, z).applyMatrix4(inverse);
+          
+          if (localBox.containsPoint(point)) {
+            this.blocked[row * this.cols + col] = 1;
+          }
+        }
+      }
+    });
+  }
+  
+  worldToCell(x, z) {
+    const col = Math.floor((x + this.halfSize) / this.cellSize);
+    const row = Math.floor((z + this.halfSize) / this.cellSize);
+    return {
+      col: Math.max(0, Math.min(this.cols - 1, col)),
+      row: Math.max(0, Math.min(this.rows - 1, row))
+    };
+  }
+  
+  cellToWorldX(col) {
+    return -this.halfSize + (col + 0.5) * this.cellSize;
+  }
+  
+  cellToWorldZ(row) {
+    return -this.halfSize + (row + 0.5) * this.cellSize;
+  }
+  
+  isWalkable(col, row) {
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return false;
+    return this.blocked[row * this.cols + col] === 0;
+  }
+  
+  isWalkableAt(x, z) {
+    const { col, row } = this.worldToCell(x, z);
+    return this.isWalkable(col, row);
+  }
+  
+  /**
+   * Closest walkable cell index, searching outward in rings
+   * @returns {number} Cell index, or -1 if nothing is walkable nearby
+   */
+  findNearestWalkable(col, row, maxRadius = 6) {
+    if (this.isWalkable(col, row)) return row * this.cols + col;
+    
+    for (let radius = 1; radius <= maxRadius; radius++) {
+      for (let dRow = -radius; dRow <= radius; dRow++) {
+        for (let dCol = -radius; dCol <= radius; dCol++) {
+          // Ring edge only
+          if (Math.abs(dRow) !== radius && Math.abs(dCol) !== radius) continue;
+          if (this.isWalkable(col + dCol, row + dRow)) {
+            return (row + dRow) * this.cols + col + dCol;
+          }
+        }
+      }
+    }
+    
+    return -1;
+  }
+  
+  /**
+   * Whether a straight walk between two points stays on walkable cells
+   * @param {THREE.Vector3} from - Start (Y ignored)
+   * @param {THREE.Vector3} to - End (Y ignored)
+   * @returns {boolean}
+   */
+  hasLineOfSight(from, to) {
+    // Grid traversal (Amanatides & Woo) so no touched cell is skipped
+    const size = this.cellSize;
+    const startX = (from.x + this.halfSize) / size;
+    const startZ = (from.z + this.halfSize) / size;
+    const endX = (to.x + this.halfSize) / size;
+    const endZ = (to.z + this.halfSize) / size;
+    
+    let col = Math.floor(startX);
+    let row = Math.floor(startZ);
+    const endCol = Math.floor(endX);
+    const endRow = Math.floor(endZ);
+    
+    const dx = endX - startX;
+    const dz = endZ - startZ;
+    const stepCol = Math.sign(dx);
+    const stepRow = Math.sign(dz);
+    const deltaX = dx !== 0 ? Math.abs(1 / dx) : Infinity;
+    const deltaZ = dz !== 0 ? Math.abs(1 / dz) : Infinity;
+    let maxX = dx > 0 ? (col + 1 - startX) * deltaX : (startX - col) * deltaX;
+    let maxZ = dz > 0 ? (row + 1 - startZ) * deltaZ : (startZ - row) * deltaZ;
+    
+    // The start cell is skipped so an agent brushing an obstacle isn't stuck
+    while (col !== endCol || row !== endRow) {
+      if (Math.abs(maxX - maxZ) < 1e-9) {
+        // Passing exactly through a corner touches both side cells
+        if (!this.isWalkable(col + stepCol, row) || !this.isWalkable(col, row + stepRow)) return false;
+        col += stepCol;
+        row += stepRow;
+        maxX += deltaX;
+        maxZ += deltaZ;
+      } else if (maxX < maxZ) {
+        col += stepCol;
+        maxX += deltaX;
+      } else {
+        row += stepRow;
+        maxZ += deltaZ;
+      }
+      
+      if (maxX > 1 && maxZ > 1 && (col !== endCol || row !== endRow)) {
+        // Numerical safety - never walk past the end cell
+        return this.isWalkable(col, row) && this.isWalkable(endCol, endRow);
+      }
+      if (!this.isWalkable(col, row)) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * A* search between two world positions
+   * @param {THREE.Vector3} from - Start position
+   * @param {THREE.Vector3} to - Goal position
+   * @returns {THREE.Vector3[]|null} Smoothed waypoints (ending at the goal), or null when unreachable
+   */
+  findPath(from, to) {
+    const startCell = this.worldToCell(from.x, from.z);
+    const goalCell = this.worldToCell(to.x, to.z);
+    const start = this.findNearestWalkable(startCell.col, startCell.row);
+    const goal = this.findNearestWalkable(goalCell.col, goalCell.row);
+    if (start === -1 || goal === -1) return null;
+    
+    const cols = this.cols;
+    const goalCol = goal % cols;
+    const goalRow = Math.floor(goal / cols);
+    const heuristic = (col, row) => {
+      // Octile distance
+      const dCol = Math.abs(col - goalCol);
+      const dRow = Math.abs(row - goalRow);
+      return Math.max(dCol, dRow) + (SQRT2 - 1) * Math.min(dCol, dRow);
+    };
+    
+    const stamp = ++this.stamp;
+    const { gScore, cameFrom, visitStamp, closedStamp, openSet } = this;
+    
+    openSet.clear();
+    gScore[start] = 0;
+    cameFrom[start] = -1;
+    visitStamp[start] = stamp;
+    openSet.push(start, heuristic(start % cols, Math.floor(start / cols)));
+    
+    let found = false;
+    while (openSet.size > 0) {
+      const current = openSet.pop();
+      if (closedStamp[current] === stamp) continue;
+      closedStamp[current] = stamp;
+      
+      if (current === goal) {
+        found = true;
+        break;
+      }
+      
+      const col = current % cols;
+      const row = Math.floor(current / cols);
+      
+      for (const [dCol, dRow, cost] of NEIGHBOURS) {
+        const nCol = col + dCol;
+        const nRow = row + dRow;
+        if (!this.isWalkable(nCol, nRow)) continue;
+        
+        // No cutting corners around obstacles
+        if (dCol !== 0 && dRow !== 0 && (!this.isWalkable(col + dCol, row) || !this.isWalkable(col, row + dRow))) {
+          continue;
+        }
+        
+        const next = nRow * cols + nCol;
+        if (closedStamp[next] === stamp) continue;
+        
+        const tentative = gScore[current] + cost;
+        if (visitStamp[next] !== stamp || tentative < gScore[next]) {
+          visitStamp[next] = stamp;
+          gScore[next] = tentative;
+          cameFrom[next] = current;
+          openSet.push(next, tentative + heuristic(nCol, nRow));
+        }
+      }
+    }
+    
+    if (!found) return null;
+    
+    // Walk back from the goal
+    const cells = [];
+    for (let cell = goal; cell !== -1; cell = cameFrom[cell]) {
+      cells.push(cell);
+    }
+    cells.reverse();
+    
+    const points = cells.map(cell => new THREE.Vector3(
+      this.cellToWorldX(cell % cols),
+      0,
+      this.cellToWorldZ(Math.floor(cell / cols))
+    ));
+    
+    // End on the real goal when it's reachable from the last cell
+    const last = points[points.length - 1];
+    if (this.hasLineOfSight(last, to)) {
+      points.push(new THREE.Vector3(to.x, 0, to.z));
+    }
+    
+    return this.smoothPath(from, points);
+  }
+  
+  /**
+   * String-pull a cell path: keep only the corners that block the view
+   * @param {THREE.Vector3} from - Agent position
+   * @param {THREE.Vector3[]} points - Cell centers from A*
+   * @returns {THREE.Vector3[]}
+   */
+  smoothPath(from, points) {
+    const smoothed = [];
+    let anchor = from;
+    let i = 0;
+    
+    while (i < points.length) {
+      // Furthest point still visible from the anchor
+      let furthest = i;
+      for (let j = points.length - 1; j > i; j--) {
+        if (this.hasLineOfSight(anchor, points[j])) {
+          furthest = j;
+          break;
+        }
+      }
+      
+      smoothed.push(points[furthest]);
+      anchor = points[furthest];
+      i = furthest + 1;
+    }
+    
+    return smoothed;
+  }
+}
+
+// Re-plan once the target has moved this far from the last plan's goal
+const REPLAN_DISTANCE = 3;
+// Minimum seconds between re-plans for one agent
+const REPLAN_INTERVAL = 0.5;
+// Waypoints closer than this count as reached
+const WAYPOINT_RADIUS = 0.5;
+
+/**
+ * PathFollower - One agent's current path on a NavGrid
+ */
+export class PathFollower {
+  /**
+   * @param {NavGrid} navGrid - Shared navigation grid
+   */
+  constructor(navGrid) {
+    this.navGrid = navGrid;
+    this.path = [];
+    this.index = 0;
+    this.goal = new THREE.Vector3();
+    this.replanTimer = 0;
+  }
+  
+  /**
+   * Next point to walk toward on the way to the target
+   * @param {THREE.Vector3} position - Agent position
+   * @param {THREE.Vector3} target - Final destination
+   * @param {number} deltaTime - Frame time in seconds
+   * @returns {THREE.Vector3}
+   */
+  getWaypoint(position, target, deltaTime) {
+    this.replanTimer -= deltaTime;
+    
+    // Open ground - no path needed
+    if (this.navGrid.hasLineOfSight(position, target)) {
+      this.clear();
+      return target;
+    }
+    
+    const goalMoved = this.goal.distanceTo(target) > REPLAN_DISTANCE;
+    const finished = this.index >= this.path.length;
+    if ((finished || goalMoved) && this.replanTimer <= 0) {
+      this.plan(position, target);
+    }
+    
+    // Skip reached waypoints
+    while (this.index < this.path.length) {
+      const waypoint = this.path[this.index];
+      const dx = waypoint.x - position.x;
+      const dz = waypoint.z - position.z;
+      if (dx * dx + dz * dz > WAYPOINT_RADIUS * WAYPOINT_RADIUS) break;
+      this.index++;
+    }
+    
+    // No route (or waiting to re-plan) - head straight for it
+    return this.index < this.path.length ? this.path[this.index] : target;
+  }
+  
+  plan(position, target) {
+    this.replanTimer = REPLAN_INTERVAL;
+    this.goal.copy(target);
+    this.path = this.navGrid.findPath(position, target) || [];
+    this.index = 0;
+  }
+  
+  /**
+   * Waypoints still ahead of the agent
+   * @returns {THREE.Vector3[]}
+   */
+  getRemainingPath() {
+    return this.path.slice(this.index);
+  }
+  
+  clear() {
+    this.path = [];
+    this.index = 0;
+  }
+  
+  reset() {
+    this.clear();
+    this.replanTimer = 0;
+  }
+}
+
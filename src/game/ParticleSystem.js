@@ -0,0 +1,448 @@
+import * as THREE from 'three';
+import { ObjectPool } from './ObjectPool.js';
+
+/**
+ * ParticleSystem - Every particle effect in the game
+ * Reference: GAME_DEV_CONTEXT.md - Object Pooling Pattern
+ *
+ * Particles live in two fixed GPU buffers - soft (smoke, dust, blood)
+ * and additive glow (fire, sparks) - each drawn as a single THREE.Points.
+ * Effects are named presets: burst() throws a one-off puff, pooled
+ * emitters from startEmitter() keep emitting until stopped (smoke plumes).
+ * Updated from Game.update(), so everything pauses with the game.
+ *
+ * The budget caps live particles. Past half of it new bursts and
+ * emitters get thinner, and at the cap they are skipped, so a big fight
+ * loses detail instead of overwriting particles that were just spawned.
+ */
+
+export const ParticleEffect = {
+  MUZZLE_SMOKE: 'muzzleSmoke',
+  BLOOD: 'blood',
+  SAND: 'sand',
+  SPARKS: 'sparks',
+  ROCK_CHIPS: 'rockChips',
+  SPLINTERS: 'splinters',
+  LEAVES: 'leaves',
+  FIRE: 'fire',
+  SMOKE: 'smoke',
+  SMOKE_PLUME: 'smokePlume',
+  DUST: 'dust',
+  SHOCKWAVE: 'shockwave'
+};
+
+const Layer = {
+  SOFT: 'soft',
+  GLOW: 'glow'
+};
+
+/*
+ * Presets. Sizes are world units (start -> end over the particle's life),
+ * `count` is per burst, `rate` per second for emitters. `spread` mixes a
+ * random direction into the emit direction (0 = straight, 1 = wide),
+ * negative gravity rises, `drag` bleeds off speed per second, `jitter`
+ * scatters spawn points and `ring` throws particles out flat along the
+ * ground instead.
+ */
+const EFFECTS = {
+  [ParticleEffect.MUZZLE_SMOKE]: { layer: Layer.SOFT, count: 4, color: 0xbbbbbb, speed: 0.8, spread: 0.6, gravity: -0.6, drag: 2, life: 0.8, size: [0.08, 0.35], opacity: 0.35 },
+  [ParticleEffect.BLOOD]: { layer: Layer.SOFT, count: 12, color: 0x8a0a0a, colorEnd: 0x4a0505, speed: 3, spread: 0.7, gravity: 9, drag: 1, life: 0.5, size: [0.07, 0.04], opacity: 0.9 },
+  [ParticleEffect.SAND]: { layer: Layer.SOFT, count: 10, color: 0xd9b98a, speed: 2, spread: 0.9, gravity: 5, life: 0.8, size: [0.12, 0.3], opacity: 0.8 },
+  [ParticleEffect.SPARKS]: { layer: Layer.GLOW, count: 12, color: 0xffcc55, colorEnd: 0xff5500, speed: 7, spread: 0.9, gravity: 15, life: 0.25, size: [0.06, 0.03], opacity: 1 },
+  [ParticleEffect.ROCK_CHIPS]: { layer: Layer.SOFT, count: 8, color: 0x7a6650, speed: 4, spread: 0.9, gravity: 18, life: 0.5, size: [0.08, 0.08], opacity: 1 },
+  [ParticleEffect.SPLINTERS]: { layer: Layer.SOFT, count: 8, color: 0x8b6a45, speed: 3.5, spread: 0.9, gravity: 14, life: 0.5, size: [0.07, 0.07], opacity: 1 },
+  [ParticleEffect.LEAVES]: { layer: Layer.SOFT, count: 6, color: 0x4f8a3a, speed: 2.5, spread: 0.9, gravity: 10, life: 0.5, size: [0.08, 0.08], opacity: 1 },
+  [ParticleEffect.FIRE]: { layer: Layer.GLOW, count: 40, color: 0xffdd88, colorEnd: 0xff4400, speed: 5, spread: 1, gravity: -2, drag: 3, life: 0.6, size: [1.2, 0.4], opacity: 1, jitter: 0.3 },
+  [ParticleEffect.SMOKE]: { layer: Layer.SOFT, count: 24, color: 0x4a4038, speed: 2, spread: 1, gravity: -1.5, drag: 1.5, life: 2, size: [1, 3], opacity: 0.5, jitter: 0.5 },
+  [ParticleEffect.SMOKE_PLUME]: { layer: Layer.SOFT, count: 1, rate: 12, color: 0x444444, colorEnd: 0x777777, speed: 1, spread: 0.3, gravity: -0.8, drag: 0.5, life: 5, size: [1, 3.5], opacity: 0.3, jitter: 1.5 },
+  [ParticleEffect.DUST]: { layer: Layer.SOFT, count: 24, color: 0xd4a574, speed: 6, spread: 0.2, gravity: 0, drag: 3, life: 0.8, size: [0.4, 1.2], opacity: 0.5, ring: true },
+  // Reaches about 1 unit at scale 1 - burst it with scale = radius
+  [ParticleEffect.SHOCKWAVE]: { layer: Layer.GLOW, count: 48, color: 0xffaa66, colorEnd: 0xff5500, speed: 2, spread: 0.05, gravity: 0, life: 0.5, size: [0.15, 0.3], opacity: 0.8, ring: true }
+};
+
+const PARTICLE_CONFIG = {
+  capacity: { [Layer.SOFT]: 1500, [Layer.GLOW]: 600 },
+  budget: 1200,      // Live particles across both layers
+  fullDetail: 0.5,   // Fraction of the budget before effects start thinning
+  emitters: 8        // Pre-created emitters (the pool grows past this)
+};
+
+const VERTEX_SHADER = `
+  uniform float viewportHeight;
+  attribute float size;
+  attribute vec4 tint;
+  varying vec4 vTint;
+  #include <fog_pars_vertex>
+  
+  void main() {
+    vTint = tint;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = size * projectionMatrix[1][1] * viewportHeight * 0.5 / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+    #include <fog_vertex>
+  }
+`;
+
+const FRAGMENT_SHADER = `
+  varying vec4 vTint;
+  #include <fog_pars_fragment>
+  
+  void main() {
+    // Round, soft-edged point
+    vec2 offset = gl_PointCoord - 0.5;
+    float falloff = 1.0 - dot(offset, offset) * 4.0;
+    if (falloff <= 0.0) discard;
+    
+    gl_FragColor = vec4(vTint.rgb, vTint.a * falloff);
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`;
+
+const scratchColor = new THREE.Color();
+
+/**
+ * Fixed-size particle buffer drawn as one THREE.Points
+ */
+class ParticleLayer {
+  constructor(scene, capacity, additive, viewportHeight) {
+    this.capacity = capacity;
+    this.positions = new Float32Array(capacity * 3);
+    this.tints = new Float32Array(capacity * 4);
+    this.sizes = new Float32Array(capacity);
+    this.velocities = new Float32Array(capacity * 3);
+    this.life = new Float32Array(capacity);
+    this.maxLife = new Float32Array(capacity);
+    this.effects = new Array(capacity).fill(null);
+    this.scales = new Float32Array(capacity);
+    this.alive = 0;
+    this.next = 0; // Where the search for a free slot starts
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+    geometry.setAttribute('tint', new THREE.BufferAttribute(this.tints, 4));
+    geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1));
+    
+    this.material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        { viewportHeight: { value: viewportHeight } }
+      ]),
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false,
+      fog: !additive, // Fogging toward a bright color would make glow brighter
+      blending: additive ? THREE.AdditiveBlending : THREE.NormalBlending
+    });
+    
+    this.points = new THREE.Points(geometry, this.material);
+    this.points.frustumCulled = false;
+    scene.add(this.points);
+  }
+  
+  /**
+   * Start a particle in the next free slot - live particles are never overwritten
+   * @returns {boolean} False when the layer is full
+   */
+  emit(effect, position, velocity, scale) {
+    if (this.alive >= this.capacity) return false;
+    
+    let i = this.next;
+    while (this.life[i] > 0) {
+      i = (i + 1) % this.capacity;
+    }
+    this.next = (i + 1) % this.capacity;
+    this.alive++;
+    
+    const life = effect.life * (0.6 + Math.random() * 0.4);
+    this.positions.set([position.x, position.y, position.z], i * 3);
+    this.velocities.set([velocity.x, velocity.y, velocity.z], i * 3);
+    this.life[i] = life;
+    this.maxLife[i] = life;
+    this.effects[i] = effect;
+    this.scales[i] = scale;
+    this.write(i, 0);
+    return true;
+  }
+  
+  /**
+   * Color, opacity and size for a particle `t` (0-1) through its life
+   */
+  write(i, t) {
+    const effect = this.effects[i];
+    const color = effect.end ? scratchColor.copy(effect.start).lerp(effect.end, t) : effect.start;
+    const c = i * 4;
+    this.tints[c] = color.r;
+    this.tints[c + 1] = color.g;
+    this.tints[c + 2] = color.b;
+    this.tints[c + 3] = effect.opacity * (1 - t);
+    this.sizes[i] = (effect.size[0] + (effect.size[1] - effect.size[0]) * t) * this.scales[i];
+  }
+  
+  update(deltaTime) {
+    for (let i = 0; i < this.capacity; i++) {
+      if (this.life[i] <= 0) continue;
+      
+      this.life[i] -= deltaTime;
+      if (this.life[i] <= 0) {
+        this.alive--;
+        this.tints[i * 4 + 3] = 0;
+        continue;
+      }
+      
+      const effect = this.effects[i];
+      const p = i * 3;
+      const drag = effect.drag ? Math.max(0, 1 - effect.drag * deltaTime) : 1;
+      this.velocities[p] *= drag;
+      this.velocities[p + 1] = (this.velocities[p + 1] - effect.gravity * deltaTime) * drag;
+      this.velocities[p + 2] *= drag;
+      this.positions[p] += this.velocities[p] * deltaTime;
+      this.positions[p + 1] += this.velocities[p + 1] * deltaTime;
+      this.positions[p + 2] += this.velocities[p + 2] * deltaTime;
+      this.write(i, 1 - this.life[i] / this.maxLife[i]);
+    }
+    
+    const attributes = this.points.geometry.attributes;
+    attributes.position.needsUpdate = true;
+    attributes.tint.needsUpdate = true;
+    attributes.size.needsUpdate = true;
+  }
+  
+  clear() {
+    this.life.fill(0);
+    for (let i = 0; i < this.capacity; i++) {
+      this.tints[i * 4 + 3] = 0;
+    }
+    this.alive = 0;
+    this.points.geometry.attributes.tint.needsUpdate = true;
+  }
+}
+
+/**
+ * Continuous source of one effect (smoke plumes)
+ */
+class Emitter {
+  constructor() {
+    this.effect = null;
+    this.position = new THREE.Vector3();
+    this.direction = new THREE.Vector3(0, 1, 0);
+    this.rate = 0;
+    this.scale = 1;
+    this.life = Infinity;
+    this.accumulator = 0;
+  }
+  
+  /**
+   * Reset emitter for object pooling
+   * @param {string} effect - ParticleEffect value
+   * @param {THREE.Vector3} position
+   * @param {object} options - { direction?, rate?, scale?, duration? }
+   */
+  reset(effect, position, options) {
+    this.effect = effect;
+    this.position.copy(position);
+    this.direction.copy(options.direction || THREE.Object3D.DEFAULT_UP);
+    this.rate = typeof options.rate === 'number' ? options.rate : EFFECTS[effect].rate || EFFECTS[effect].count;
+    this.scale = typeof options.scale === 'number' ? options.scale : 1;
+    this.life = typeof options.duration === 'number' ? options.duration : Infinity;
+    this.accumulator = 0;
+  }
+}
+
+export class ParticleSystem {
+  /**
+   * @param {THREE.Scene} scene - Scene for the particle layers
+   * @param {object} [options]
+   * @param {number} [options.budget] - Live particle cap
+   */
+  constructor(scene, { budget = PARTICLE_CONFIG.budget } = {}) {
+    this.scene = scene;
+    this.config = PARTICLE_CONFIG;
+    this.budget = budget;
+    
+    // Resolve preset colors once
+    this.effects = {};
+    Object.entries(EFFECTS).forEach(([name, effect]) => {
+      this.effects[name] = {
+        ...effect,
+        start: new THREE.Color(effect.color),
+        end: effect.colorEnd !== undefined ? new THREE.Color(effect.colorEnd) : null,
+        drag: effect.drag || 0,
+        jitter: effect.jitter || 0
+      };
+    });
+    
+    const viewportHeight = typeof window !== 'undefined' ? window.innerHeight : 720;
+    this.layers = {
+      [Layer.SOFT]: new ParticleLayer(scene, this.config.capacity[Layer.SOFT], false, viewportHeight),
+      [Layer.GLOW]: new ParticleLayer(scene, this.config.capacity[Layer.GLOW], true, viewportHeight)
+    };
+    
+    this.emitters = new ObjectPool(
+      () => new Emitter(),
+      (emitter, effect, position, options) => emitter.reset(effect, position, options),
+      this.config.emitters
+    );
+    
+    this.spawn = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this.random = new THREE.Vector3();
+  }
+  
+  /**
+   * One-off puff of particles
+   * @param {string} name - ParticleEffect value
+   * @param {THREE.Vector3} position
+   * @param {object} [options]
+   * @param {THREE.Vector3} [options.direction] - Normalized emit direction (default up)
+   * @param {number} [options.scale] - Multiplies size, speed and scatter
+   * @param {number} [options.count] - Overrides the preset's count
+   * @returns {number} Particles actually emitted (fewer when over budget)
+   */
+  burst(name, position, options = {}) {
+    const effect = this.getEffect(name);
+    if (!effect) return 0;
+    
+    const count = typeof options.count === 'number' ? options.count : effect.count;
+    const wanted = Math.min(Math.round(count * this.getDetail()), this.budget - this.getAliveCount());
+    const direction = options.direction || THREE.Object3D.DEFAULT_UP;
+    const scale = typeof options.scale === 'number' ? options.scale : 1;
+    
+    let emitted = 0;
+    for (let i = 0; i < wanted; i++) {
+      if (!this.emit(effect, position, direction, scale)) break;
+      emitted++;
+    }
+    return emitted;
+  }
+  
+  /**
+   * Start a continuous emitter
+   * @param {string} name - ParticleEffect value
+   * @param {THREE.Vector3} position
+   * @param {object} [options] - { direction?, rate? (per second), scale?, duration? (seconds, default forever) }
+   * @returns {Emitter|null} Pass to stopEmitter() - it can be moved through .position
+   */
+  startEmitter(name, position, options = {}) {
+    if (!this.getEffect(name)) return null;
+    return this.emitters.acquire(name, position, options);
+  }
+  
+  stopEmitter(emitter) {
+    if (emitter && this.emitters.getActive().includes(emitter)) {
+      this.emitters.release(emitter);
+    }
+  }
+  
+  getEffect(name) {
+    const effect = this.effects[name];
+    if (!effect) {
+      console.warn(`Unknown particle effect "${name}"`);
+    }
+    return effect;
+  }
+  
+  emit(effect, position, direction, scale) {
+    const { spread, speed, jitter } = effect;
+    
+    this.spawn.copy(position);
+    if (jitter > 0) {
+      this.spawn.x += (Math.random() - 0.5) * jitter * scale;
+      this.spawn.y += (Math.random() - 0.5) * jitter * scale * 0.5;
+      this.spawn.z += (Math.random() - 0.5) * jitter * scale;
+    }
+    
+    if (effect.ring) {
+      // Flat along the ground in a random heading
+      const angle = Math.random() * Math.PI * 2;
+      this.velocity.set(Math.cos(angle), (Math.random() - 0.5) * spread, Math.sin(angle));
+    } else {
+      this.random.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).multiplyScalar(2 * spread);
+      this.velocity.copy(direction).add(this.random);
+    }
+    this.velocity.normalize().multiplyScalar(speed * scale * (0.5 + Math.random() * 0.5));
+    
+    return this.layers[effect.layer].emit(effect, this.spawn, this.velocity, scale);
+  }
+  
+  /**
+   * How much of each effect to spawn right now: 1 until `fullDetail` of
+   * the budget is in use, then down to 0 at the budget
+   * @returns {number} 0-1
+   */
+  getDetail() {
+    const load = this.getAliveCount() / this.budget;
+    const { fullDetail } = this.config;
+    if (load <= fullDetail) return 1;
+    return Math.max(0, (1 - load) / (1 - fullDetail));
+  }
+  
+  /**
+   * Change the live particle cap (e.g. a low quality setting)
+   * @param {number} budget
+   */
+  setBudget(budget) {
+    this.budget = Math.max(1, budget);
+  }
+  
+  getAliveCount() {
+    return this.layers[Layer.SOFT].alive + this.layers[Layer.GLOW].alive;
+  }
+  
+  getStats() {
+    return {
+      alive: this.getAliveCount(),
+      budget: this.budget,
+      detail: this.getDetail(),
+      emitters: this.emitters.getActive().length
+    };
+  }
+  
+  /**
+   * Keeps world-unit point sizes right when the window changes
+   * @param {number} height - Drawing buffer height in pixels
+   */
+  resize(height) {
+    Object.values(this.layers).forEach(layer => {
+      layer.material.uniforms.viewportHeight.value = height;
+    });
+  }
+  
+  update(deltaTime) {
+    const detail = this.getDetail();
+    
+    // Copy - finished emitters are released while iterating
+    [...this.emitters.getActive()].forEach(emitter => {
+      emitter.life -= deltaTime;
+      if (emitter.life <= 0) {
+        this.emitters.release(emitter);
+        return;
+      }
+      
+      const effect = this.effects[emitter.effect];
+      emitter.accumulator += emitter.rate * detail * deltaTime;
+      while (emitter.accumulator >= 1) {
+        emitter.accumulator--;
+        this.emit(effect, emitter.position, emitter.direction, emitter.scale);
+      }
+    });
+    
+    this.layers[Layer.SOFT].update(deltaTime);
+    this.layers[Layer.GLOW].update(deltaTime);
+  }
+  
+  /**
+   * Remove live particles (level change / restart). Emitters keep running
+   * unless `emitters` is true - the wreck's smoke belongs to the world.
+   * @param {boolean} [emitters]
+   */
+  clear(emitters = false) {
+    this.layers[Layer.SOFT].clear();
+    this.layers[Layer.GLOW].clear();
+    if (emitters) {
+      [...this.emitters.getActive()].forEach(emitter => this.emitters.release(emitter));
+    }
+  }
+}
+
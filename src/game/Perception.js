@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import { GameEvents } from './EventSystem.js';
+import { EnemyState } from './EnemyStates.js';
+
+/**
+ * Perception - What each enemy knows about the player
+ * Reference: GAME_DEV_CONTEXT.md - Observer/Event System
+ *
+ * Once per frame, before enemies update, perception:
+ * - checks sight: range, a vision cone for enemies that haven't noticed
+ *   the player yet, and a throttled raycast against World.objects for cover
+ * - lets enemies hear noises: gunfire (WEAPON_FIRED) and a sprinting player
+ * - tells enemies that sensed something where it happened (`enemy.alert()`),
+ *   which refreshes their `lastKnownPosition` and `memory`
+ * Enemy AI steers toward `lastKnownPosition`, never the real player.
+ */
+
+// How far each kind of noise carries
+const NOISE_RADIUS = {
+  gunfire: 35,
+  sprint: 10
+};
+
+// Closer than this the player is noticed regardless of facing or cover
+const TOUCH_RADIUS = 2.5;
+
+// Seconds between cover raycasts per enemy
+const SIGHT_INTERVAL = 0.2;
+
+// Sleeping enemies see nothing and hear at this fraction of the radius
+const DORMANT_HEARING = 0.5;
+
+export class Perception {
+  /**
+   * @param {object} options
+   * @param {World} options.world - Provides occluders (World.objects)
+   * @param {EventSystem} options.events - Game event bus (WEAPON_FIRED)
+   */
+  constructor({ world, events }) {
+    this.world = world;
+    this.noises = []; // { position, radius } made since the last update
+    
+    events.on(GameEvents.WEAPON_FIRED, ({ position }) => {
+      this.makeNoise(position, NOISE_RADIUS.gunfire);
+    });
+  }
+  
+  /**
+   * Queue a noise for enemies to hear on the next update
+   * @param {THREE.Vector3} position - Where it happened
+   * @param {number} radius - How far it carries
+   */
+  makeNoise(position, radius) {
+    this.noises.push({ position: position.clone(), radius });
+  }
+  
+  /**
+   * @param {Enemy[]} enemies - Active enemies from the pool
+   * @param {Player} player - The player
+   * @param {number} deltaTime - Frame time in seconds
+   */
+  update(enemies, player, deltaTime) {
+    if (player.isSprinting) {
+      this.makeNoise(player.position, NOISE_RADIUS.sprint);
+    }
+    
+    enemies.forEach(enemy => {
+      if (!enemy.isDead) this.updateEnemy(enemy, player, deltaTime);
+    });
+    
+    this.noises.length = 0;
+  }
+  
+  updateEnemy(enemy, player, deltaTime) {
+    enemy.memory = Math.max(0, enemy.memory - deltaTime);
+    
+    // Scripted enemies (the boss) always know where the player is
+    if (enemy.controller) {
+      enemy.canSeePlayer = true;
+      enemy.alert(player.position);
+      return;
+    }
+    
+    const dormant = enemy.brain.isState(EnemyState.DORMANT);
+    enemy.canSeePlayer = !dormant && this.canSee(enemy, player, deltaTime);
+    
+    if (enemy.canSeePlayer || this.groundDistance(enemy, player.position) <= TOUCH_RADIUS) {
+      enemy.alert(player.position);
+      return;
+    }
+    
+    const hearing = enemy.ai.hearing * (dormant ? DORMANT_HEARING : 1);
+    for (const noise of this.noises) {
+      if (this.groundDistance(enemy, noise.position) <= noise.radius * hearing) {
+        enemy.alert(noise.position);
+        return;
+      }
+    }
+  }
+  
+  canSee(enemy, player, deltaTime) {
+    const unaware = enemy.isUnaware();
+    
+    // Once hunting it keeps track further out and looks all around
+    const range = unaware ? enemy.ai.sightRange : enemy.ai.sightRange * 1.5;
+    if (this.groundDistance(enemy, player.position) > range) return false;
+    if (unaware && !this.isInViewCone(enemy, player.position)) return false;
+    
+    // Cover - only re-check every SIGHT_INTERVAL
+    enemy.sightTimer -= deltaTime;
+    if (enemy.sightTimer > 0) return enemy.canSeePlayer;
+    enemy.sightTimer = SIGHT_INTERVAL;
+    
+    const eye = enemy.position.clone();
+    eye.y += enemy.height * 0.75;
+    const chest = player.position.clone();
+    chest.y -= 0.5;
+    return this.world.hasLineOfSight(eye, chest);
+  }
+  
+  isInViewCone(enemy, point) {
+    const dx = point.x - enemy.position.x;
+    const dz = point.z - enemy.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance < 0.001) return true;
+    
+    // Meshes face +Z rotated by rotation.y (see faceToward)
+    const facing = enemy.mesh.rotation.y;
+    const dot = (dx * Math.sin(facing) + dz * Math.cos(facing)) / distance;
+    return dot >= Math.cos(THREE.MathUtils.degToRad(enemy.ai.fieldOfView) / 2);
+  }
+  
+  groundDistance(enemy, point) {
+    const dx = point.x - enemy.position.x;
+    const dz = point.z - enemy.position.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+  
+  reset() {
+    this.noises.length = 0;
+  }
+}
+
@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+import { ObjectPool } from './ObjectPool.js';
+import { GameEvents } from './EventSystem.js';
+
+/**
+ * PickupSystem - Loot dropped by enemies (ammo, medkits, cash)
+ * Reference: GAME_DEV_CONTEXT.md - Object Pooling Pattern
+ *
+ * On ENEMY_KILLED the enemy's archetype `loot` table is rolled - every
+ * entry is an independent chance to drop. Pickups bob and glow where the
+ * enemy fell, are collected by walking over them and despawn after a
+ * while. Collecting one emits PICKUP_COLLECTED; Game applies the effect.
+ */
+
+export const PickupType = {
+  AMMO: 'ammo',
+  MEDKIT: 'medkit',
+  CASH: 'cash'
+};
+
+// Looks and default amount per type
+const PICKUP_TYPES = {
+  [PickupType.AMMO]: { label: 'Ammo', amount: 12, color: 0xffcc00, size: [0.5, 0.3, 0.3] },
+  [PickupType.MEDKIT]: { label: 'Health', amount: 25, color: 0xff3333, size: [0.5, 0.35, 0.5] },
+  [PickupType.CASH]: { label: 'Cash', amount: 25, color: 0x44ff44, size: [0.5, 0.15, 0.3] }
+};
+
+const PICKUP_CONFIG = {
+  radius: 2.2,       // Collect distance from the player's eye position
+  lifetime: 20,      // Seconds before despawning
+  blinkTime: 4,      // Blink for the last few seconds
+  height: 0.5,       // Hover height
+  bobHeight: 0.15,
+  scatter: 0.8       // Spread when one enemy drops several pickups
+};
+
+/**
+ * Whether a loot table entry names a known pickup type
+ * @param {string} type - Pickup type
+ * @returns {boolean}
+ */
+export function isPickupType(type) {
+  return Object.prototype.hasOwnProperty.call(PICKUP_TYPES, type);
+}
+
+class Pickup {
+  constructor(scene, boxGeometry, haloGeometry) {
+    this.scene = scene;
+    this.type = null;
+    this.amount = 0;
+    this.life = 0;
+    this.age = 0;
+    this.position = new THREE.Vector3();
+    
+    this.mesh = new THREE.Group();
+    this.box = new THREE.Mesh(boxGeometry, new THREE.MeshStandardMaterial({
+      roughness: 0.4,
+      metalness: 0.3,
+      emissiveIntensity: 0.6
+    }));
+    this.box.castShadow = true;
+    this.mesh.add(this.box);
+    
+    // Soft additive glow around the box
+    this.halo = new THREE.Mesh(haloGeometry, new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: 0.25,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    }));
+    this.mesh.add(this.halo);
+    
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+  
+  /**
+   * Reset pickup for object pooling
+   * @param {string} type - PickupType value
+   * @param {THREE.Vector3} position - Ground position (it hovers above)
+   * @param {number} amount - How much it gives
+   */
+  reset(type, position, amount) {
+    const { color, size } = PICKUP_TYPES[type];
+    
+    this.type = type;
+    this.amount = amount;
+    this.life = PICKUP_CONFIG.lifetime;
+    this.age = Math.random() * Math.PI * 2; // Out of phase with its neighbours
+    this.position.set(position.x, position.y + PICKUP_CONFIG.height, position.z);
+    
+    this.box.scale.set(size[0], size[1], size[2]);
+    this.box.material.color.setHex(color);
+    this.box.material.emissive.setHex(color);
+    this.halo.material.color.setHex(color);
+    
+    this.mesh.position.copy(this.position);
+    this.mesh.visible = true;
+  }
+}
+
+export class PickupSystem {
+  /**
+   * @param {object} options
+   * @param {THREE.Scene} options.scene - Scene for pickup meshes
+   * @param {EventSystem} options.events - Game event bus
+   * @param {Function} [options.canCollect] - (pickup) => boolean, e.g. no medkits at full health
+   * @param {Function} [options.getGroundHeight] - (x, z) => height, so pickups hover over the dunes
+   */
+  constructor({ scene, events, canCollect = () => true, getGroundHeight = () => 0 }) {
+    this.scene = scene;
+    this.events = events;
+    this.canCollect = canCollect;
+    this.getGroundHeight = getGroundHeight;
+    this.config = PICKUP_CONFIG;
+    
+    this.boxGeometry = new THREE.BoxGeometry(1, 1, 1);
+    this.haloGeometry = new THREE.SphereGeometry(0.45, 12, 12);
+    this.pool = new ObjectPool(
+      () => new Pickup(this.scene, this.boxGeometry, this.haloGeometry),
+      (pickup, type, position, amount) => pickup.reset(type, position, amount),
+      10
+    );
+    
+    this.events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => {
+      this.dropLoot(enemy.archetype.loot, enemy.position);
+    });
+  }
+  
+  /**
+   * Roll a loot table and drop whatever comes up
+   * @param {object[]} loot - [{ type, chance, amount? }] - each entry rolls on its own
+   * @param {THREE.Vector3} position - Where the enemy fell
+   */
+  dropLoot(loot, position) {
+    const drops = loot.filter(entry => Math.random() < entry.chance);
+    
+    drops.forEach(entry => {
+      const spot = position.clone();
+      if (drops.length > 1) {
+        const angle = Math.random() * Math.PI * 2;
+        spot.x += Math.cos(angle) * this.config.scatter;
+        spot.z += Math.sin(angle) * this.config.scatter;
+      }
+      this.spawn(entry.type, spot, entry.amount);
+    });
+  }
+  
+  /**
+   * Place a pickup in the world
+   * @param {string} type - PickupType value
+   * @param {THREE.Vector3} position - Where to drop it (x and z - it lands on the ground there)
+   * @param {number} [amount] - Overrides the type's default amount
+   * @returns {Pickup|null}
+   */
+  spawn(type, position, amount) {
+    if (!isPickupType(type)) {
+      console.warn(`Unknown pickup type "${type}"`);
+      return null;
+    }
+    
+    const ground = new THREE.Vector3(position.x, this.getGroundHeight(position.x, position.z), position.z);
+    return this.pool.acquire(type, ground, amount !== undefined ? amount : PICKUP_TYPES[type].amount);
+  }
+  
+  /**
+   * Animate pickups, collect the ones the player walks over and despawn old ones
+   * @param {number} deltaTime - Frame time in seconds
+   * @param {THREE.Vector3} playerPosition - Player eye position
+   */
+  update(deltaTime, playerPosition) {
+    const { radius, blinkTime, bobHeight } = this.config;
+    
+    // Copy - pickups are released while iterating
+    [...this.pool.getActive()].forEach(pickup => {
+      pickup.life -= deltaTime;
+      pickup.age += deltaTime;
+      
+      if (pickup.life <= 0) {
+        this.release(pickup);
+        return;
+      }
+      
+      // Bob, spin and pulse
+      pickup.mesh.position.y = pickup.position.y + Math.sin(pickup.age * 3) * bobHeight;
+      pickup.box.rotation.y += deltaTime * 1.5;
+      pickup.halo.material.opacity = 0.2 + Math.sin(pickup.age * 4) * 0.1;
+      pickup.mesh.visible = pickup.life > blinkTime || Math.sin(pickup.age * 20) > 0;
+      
+      if (playerPosition.distanceTo(pickup.mesh.position) < radius && this.canCollect(pickup)) {
+        this.events.emit(GameEvents.PICKUP_COLLECTED, {
+          type: pickup.type,
+          amount: pickup.amount,
+          label: PICKUP_TYPES[pickup.type].label,
+          position: pickup.position.clone()
+        });
+        this.release(pickup);
+      }
+    });
+  }
+  
+  release(pickup) {
+    pickup.mesh.visible = false;
+    this.pool.release(pickup);
+  }
+  
+  /**
+   * Remove every pickup (level change / restart)
+   */
+  clear() {
+    [...this.pool.getActive()].forEach(pickup => this.release(pickup));
+  }
+}
+
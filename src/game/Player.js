@@ -1,30 +1,162 @@
 import * as THREE from 'three';
+import movementData from '../data/movement.json';
+import { StatusEffects } from './StatusEffects.js';
+
+// Tuning groups in movement.json and the fields each needs (all numbers)
+const MOVEMENT_FIELDS = {
+  '': ['walkSpeed', 'sprintSpeed', 'crouchSpeed', 'jumpForce', 'gravity', 'standHeight', 'crouchHeight', 'crouchTransition'],
+  stamina: ['max', 'sprintDrain', 'jumpCost', 'slideCost', 'regen', 'regenDelay', 'recoverAt'],
+  slide: ['speed', 'duration', 'cooldown'],
+  landing: ['minSpeed', 'dipPerSpeed', 'maxDip', 'recovery']
+};
+
+// These may be 0, everything else must be positive
+const MAY_BE_ZERO = ['jumpCost', 'slideCost', 'regenDelay', 'recoverAt', 'cooldown', 'minSpeed', 'dipPerSpeed', 'maxDip'];
+
+export const DamageType = {
+  MELEE: 'melee',             // Enemy and boss hits up close
+  PROJECTILE: 'projectile',   // Spitter shots
+  EXPLOSIVE: 'explosive',     // Grenades and boss slams
+  ENVIRONMENTAL: 'environmental', // Traps
+  STATUS: 'status'            // Bleeding and burning ticks
+};
+
+// How each damage type lands on the player
+const DAMAGE_RULES = {
+  [DamageType.MELEE]: {
+    resistance: 0,    // Share of the damage ignored outright
+    armorAbsorb: 0.6, // Share of what's left that armor takes (while it lasts)
+    cooldown: 500     // ms before the same source can hurt again
+  },
+  [DamageType.PROJECTILE]: { resistance: 0, armorAbsorb: 0.7, cooldown: 0 },
+  [DamageType.EXPLOSIVE]: { resistance: 0.1, armorAbsorb: 0.4, cooldown: 250 },
+  [DamageType.ENVIRONMENTAL]: { resistance: 0, armorAbsorb: 0.2, cooldown: 500 },
+  [DamageType.STATUS]: { resistance: 0, armorAbsorb: 0, cooldown: 0 }
+};
+
+// Health creeps back after going a while unhurt, but only part of the way
+const HEALTH_REGEN = {
+  delay: 5,  // Seconds since the last hit
+  rate: 4,   // Health per second
+  limit: 0.5 // Share of max health it stops at
+};
+
+/**
+ * Check a movement tuning file - throws on the first problem
+ * @param {object} data - Parsed movement.json
+ * @returns {object} The same data
+ */
+export function validateMovement(data) {
+  const fail = (message) => {
+    throw new Error(`Movement data: ${message}`);
+  };
+  
+  Object.keys(MOVEMENT_FIELDS).forEach(group => {
+    const values = group ? data[group] : data;
+    if (!values || typeof values !== 'object') fail(`${group} must be an object`);
+    
+    MOVEMENT_FIELDS[group].forEach(key => {
+      const path = group ? `${group}.${key}` : key;
+      const min = MAY_BE_ZERO.includes(key) ? 0 : Number.MIN_VALUE;
+      if (typeof values[key] !== 'number' || values[key] < min) {
+        fail(`${path} must be a number ${min === 0 ? '>= 0' : '> 0'}`);
+      }
+    });
+  });
+  
+  if (data.crouchHeight >= data.standHeight) fail('crouchHeight must be lower than standHeight');
+  if (data.stamina.recoverAt > data.stamina.max) fail('stamina.recoverAt can not be more than stamina.max');
+  
+  return data;
+}
 
 /**
  * Player - First-person controller with physics
+ *
+ * The body is a capsule that collides with the world's solid props
+ * (World.collision). Anything lower than `stepHeight` is walked up onto
+ * instead of blocking, so only the part of the capsule above it collides.
+ * Feet follow the dunes (World.getHeightAt) and walking uphill is slower.
+ *
+ * Sprinting and jumping cost stamina, crouching lowers the camera and the
+ * body (`height`, which enemy projectiles and sight test against), and
+ * crouching at a sprint slides. Tuning comes from src/data/movement.json.
+ *
+ * Damage is typed (DamageType): each type has its own resistance, share
+ * soaked up by armor, and cooldown - kept per source, so a mine going off
+ * doesn't make the player immune to the enemy next to it. Status effects
+ * (`effects`) tick their damage through takeDamage and scale movement and
+ * look sensitivity.
  */
 export class Player {
-  constructor(scene, camera, inputManager) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {InputManager} inputManager
+   * @param {World} [world] - Dunes to stand on and props to collide with (flat and empty if omitted)
+   * @param {object} [tuning] - Movement data (defaults to movement.json)
+   */
+  constructor(scene, camera, inputManager, world = null, tuning = movementData) {
     this.scene = scene;
     this.camera = camera;
     this.input = inputManager;
+    this.world = world;
+    this.tuning = validateMovement(tuning);
     
     // Player stats
     this.health = 100;
     this.maxHealth = 100;
+    this.armor = 0;        // Bought in the armory, kept between levels
+    this.maxArmor = 100;
     this.isDead = false;
     
+    // Per damage type - resistances can be changed at runtime (e.g. by upgrades)
+    this.damageRules = {};
+    Object.entries(DAMAGE_RULES).forEach(([type, rules]) => {
+      this.damageRules[type] = { ...rules };
+    });
+    this.regenEnabled = true;
+    this.regenDelay = 0; // Seconds left before health starts coming back
+    
+    // Bleeding, burning, stun and slow (see StatusEffects.js)
+    this.effects = new StatusEffects();
+    
     // Movement settings
-    this.walkSpeed = 8;
-    this.sprintSpeed = 14;
-    this.jumpForce = 10;
-    this.gravity = 25;
+    this.walkSpeed = tuning.walkSpeed;
+    this.sprintSpeed = tuning.sprintSpeed;
+    this.crouchSpeed = tuning.crouchSpeed;
+    this.jumpForce = tuning.jumpForce;
+    this.gravity = tuning.gravity;
+    this.standHeight = tuning.standHeight;
+    this.crouchHeight = tuning.crouchHeight;
     
     // Physics state
     this.velocity = new THREE.Vector3();
     this.onGround = true;
-    this.height = 1.8;
+    this.isSprinting = false; // Running on the ground - enemies can hear it
+    this.isCrouching = false;
+    this.isSliding = false;
+    this.moveSpeed = this.walkSpeed; // Kept while airborne
+    this.height = this.standHeight;  // Feet to eyes - shrinks while crouched
     this.radius = 0.4;
+    this.stepHeight = 0.6; // Cargo boxes and fallen wings can be walked onto
+    this.slopeSlowdown = 4; // Speed lost per unit of uphill grade (rise over run)
+    this.minSlopeSpeed = 0.5; // ...never slower than this share of full speed
+    
+    // Stamina - sprinting drains it, jumps and slides cost a chunk
+    this.maxStamina = tuning.stamina.max;
+    this.stamina = this.maxStamina;
+    this.staminaDelay = 0;  // Seconds before it starts refilling
+    this.exhausted = false; // Ran dry - no sprinting until `recoverAt`
+    
+    // Slide state
+    this.slideTimer = 0;
+    this.slideCooldown = 0;
+    this.slideDirection = new THREE.Vector3();
+    this.crouchHeld = false; // Last frame's crouch key, to catch the press
+    
+    // Camera drop on a hard landing, recovers over time
+    this.landingDip = 0;
     
     // Camera rotation limits
     this.pitchLimit = Math.PI / 2 - 0.1;
@@ -34,15 +166,16 @@ export class Player {
     // Player collision body (for raycasting)
     this.position = new THREE.Vector3(0, this.height, 0);
     
-    // Damage cooldown
-    this.lastDamageTime = 0;
-    this.damageCooldown = 500; // ms between damage
+    // Damage cooldowns - "source" or "type" key -> time of the last hit (ms)
+    this.lastDamageTimes = new Map();
+    this.lastDamageSource = null;
     
     this.init();
   }
   
   init() {
     // Position camera at player start
+    this.placeOnGround();
     this.camera.position.copy(this.position);
     this.camera.rotation.order = 'YXZ';
   }
@@ -50,13 +183,23 @@ export class Player {
   update(deltaTime) {
     if (this.isDead) return;
     
-    // Get mouse input for look
+    this.updateRegen(deltaTime);
+    
+    // Bleeding and burning hurt in ticks
+    const tickDamage = this.effects.update(deltaTime);
+    if (tickDamage > 0) {
+      this.takeDamage(tickDamage, null, DamageType.STATUS);
+      if (this.isDead) return;
+    }
+    
+    // Get mouse input for look (a stun dampens it)
     const mouseDelta = this.input.getMouseDelta();
+    const look = this.effects.getLookMultiplier();
     
     if (this.input.isPointerLocked()) {
       // Rotate camera
-      this.yaw -= mouseDelta.dx;
-      this.pitch -= mouseDelta.dy;
+      this.yaw -= mouseDelta.dx * look;
+      this.pitch -= mouseDelta.dy * look;
       
       // Clamp pitch
       this.pitch = Math.max(-this.pitchLimit, Math.min(this.pitchLimit, this.pitch));
@@ -68,7 +211,7 @@ export class Player {
     
     // Get movement input
     const movement = this.input.getMovementVector();
-    const speed = this.input.isSprinting() ? this.sprintSpeed : this.walkSpeed;
+    const isMoving = movement.forward !== 0 || movement.right !== 0;
     
     // Calculate movement direction (relative to camera yaw)
     const moveDir = new THREE.Vector3();
@@ -86,14 +229,30 @@ export class Player {
     // Rotate movement direction by camera yaw
     moveDir.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yaw);
     
-    // Apply movement
+    this.updateStance(deltaTime, moveDir);
+    
+    this.isSprinting = isMoving && this.onGround && !this.isCrouching && !this.isSliding &&
+      !this.exhausted && this.input.isSprinting();
+    this.updateStamina(deltaTime);
+    
+    // Apply movement - speed is picked on the ground and carried through a jump
+    if (this.isSliding) {
+      const progress = this.slideTimer / this.tuning.slide.duration;
+      this.moveSpeed = this.tuning.slide.speed + (this.crouchSpeed - this.tuning.slide.speed) * progress;
+      moveDir.copy(this.slideDirection);
+    } else if (this.onGround) {
+      this.moveSpeed = this.isSprinting ? this.sprintSpeed : this.isCrouching ? this.crouchSpeed : this.walkSpeed;
+    }
+    const slope = this.onGround ? this.getSlopeFactor(moveDir) : 1;
+    const speed = this.moveSpeed * slope * this.effects.getSpeedMultiplier();
     this.velocity.x = moveDir.x * speed;
     this.velocity.z = moveDir.z * speed;
     
-    // Jumping
-    if (this.input.isJumping() && this.onGround) {
+    // Jumping (out of a slide keeps its speed)
+    if (this.input.isJumping() && this.onGround && this.spendStamina(this.tuning.stamina.jumpCost)) {
       this.velocity.y = this.jumpForce;
       this.onGround = false;
+      this.endSlide();
     }
     
     // Apply gravity
@@ -101,16 +260,28 @@ export class Player {
       this.velocity.y -= this.gravity * deltaTime;
     }
     
-    // Update position
-    this.position.x += this.velocity.x * deltaTime;
     this.position.y += this.velocity.y * deltaTime;
-    this.position.z += this.velocity.z * deltaTime;
+    this.move(this.velocity.x * deltaTime, this.velocity.z * deltaTime);
+    
+    // Slid into something - stop there
+    if (this.isSliding && this.velocity.dot(this.slideDirection) < this.crouchSpeed) {
+      this.endSlide();
+    }
     
-    // Simple ground check (y = 0 is ground level + player height)
-    if (this.position.y < this.height) {
-      this.position.y = this.height;
+    // Stand on the ground or on anything low enough to step onto
+    const feet = this.position.y - this.height;
+    const ground = this.getGroundHeight(feet + this.stepHeight);
+    // Follow steps and slopes down while walking, instead of hopping off them
+    const snap = this.onGround && this.velocity.y <= 0 ? this.stepHeight : 0;
+    if (feet <= ground + snap) {
+      if (!this.onGround) {
+        this.land(-this.velocity.y);
+      }
+      this.position.y = ground + this.height;
       this.velocity.y = 0;
       this.onGround = true;
+    } else {
+      this.onGround = false;
     }
     
     // Keep player in bounds (simple arena bounds)
@@ -122,19 +293,224 @@ export class Player {
     this.camera.position.copy(this.position);
     
     // Add subtle head bob when walking
-    if (movement.forward !== 0 || movement.right !== 0) {
-      const bobAmount = this.input.isSprinting() ? 0.08 : 0.04;
-      const bobSpeed = this.input.isSprinting() ? 12 : 8;
+    if (isMoving && this.onGround && !this.isSliding) {
+      const bobAmount = this.isSprinting ? 0.08 : 0.04;
+      const bobSpeed = this.isSprinting ? 12 : 8;
       this.camera.position.y += Math.sin(performance.now() * 0.001 * bobSpeed) * bobAmount;
     }
+    
+    // Landing dip
+    this.landingDip = Math.max(0, this.landingDip - this.landingDip * this.tuning.landing.recovery * deltaTime);
+    this.camera.position.y -= this.landingDip;
+  }
+  
+  /**
+   * Crouch while the key is held, slide when it's pressed at a sprint, and
+   * ease the body height toward the stance (feet stay put)
+   * @param {number} deltaTime
+   * @param {THREE.Vector3} moveDir - Horizontal input direction
+   */
+  updateStance(deltaTime, moveDir) {
+    const crouchHeld = this.input.isCrouching();
+    const pressed = crouchHeld && !this.crouchHeld;
+    this.crouchHeld = crouchHeld;
+    this.slideCooldown = Math.max(0, this.slideCooldown - deltaTime);
+    
+    if (this.isSliding) {
+      this.slideTimer += deltaTime;
+      if (this.slideTimer >= this.tuning.slide.duration || !crouchHeld) {
+        this.endSlide();
+      }
+    } else if (pressed && this.isSprinting && this.onGround && this.slideCooldown === 0 &&
+      moveDir.lengthSq() > 0 && this.spendStamina(this.tuning.stamina.slideCost)) {
+      this.isSliding = true;
+      this.slideTimer = 0;
+      this.slideDirection.copy(moveDir);
+    }
+    
+    // Stay down under anything too low to stand up in
+    this.isCrouching = this.isSliding || crouchHeld || (this.isCrouching && !this.canStandUp());
+    
+    const target = this.isCrouching ? this.crouchHeight : this.standHeight;
+    const feet = this.position.y - this.height;
+    this.height += (target - this.height) * Math.min(1, this.tuning.crouchTransition * deltaTime);
+    this.position.y = feet + this.height;
   }
   
-  takeDamage(amount) {
+  endSlide() {
+    if (!this.isSliding) return;
+    
+    this.isSliding = false;
+    this.slideCooldown = this.tuning.slide.cooldown;
+  }
+  
+  /**
+   * Whether there is headroom for the standing capsule here
+   * @returns {boolean}
+   */
+  canStandUp() {
+    if (!this.world) return true;
+    
+    const feet = this.position.y - this.height;
+    const eye = feet + this.standHeight;
+    const { bottom, top } = this.getCapsule(this.standHeight);
+    return !this.world.collision.overlapsCapsule(
+      new THREE.Vector3(this.position.x, eye, this.position.z), bottom, top, this.radius
+    );
+  }
+  
+  /**
+   * Drain stamina while sprinting and refill it after a pause
+   */
+  updateStamina(deltaTime) {
+    const { sprintDrain, regen, regenDelay, recoverAt } = this.tuning.stamina;
+    
+    if (this.isSprinting) {
+      this.stamina = Math.max(0, this.stamina - sprintDrain * deltaTime);
+      this.staminaDelay = regenDelay;
+      if (this.stamina === 0) {
+        this.exhausted = true;
+      }
+    } else if (this.staminaDelay > 0) {
+      this.staminaDelay -= deltaTime;
+    } else {
+      this.stamina = Math.min(this.maxStamina, this.stamina + regen * deltaTime);
+    }
+    
+    if (this.exhausted && this.stamina >= recoverAt) {
+      this.exhausted = false;
+    }
+  }
+  
+  /**
+   * Pay stamina for a jump or slide
+   * @param {number} amount
+   * @returns {boolean} False (and nothing spent) if there isn't enough
+   */
+  spendStamina(amount) {
+    if (this.stamina < amount) return false;
+    
+    this.stamina -= amount;
+    this.staminaDelay = this.tuning.stamina.regenDelay;
+    return true;
+  }
+  
+  /**
+   * Dip the camera on touchdown, more for harder landings
+   * @param {number} fallSpeed - Downward speed when hitting the ground
+   */
+  land(fallSpeed) {
+    const { minSpeed, dipPerSpeed, maxDip } = this.tuning.landing;
+    if (fallSpeed < minSpeed) return;
+    
+    this.landingDip = Math.min(maxDip, this.landingDip + fallSpeed * dipPerSpeed);
+  }
+  
+  /**
+   * Collision capsule for a body height, as offsets from the eye position
+   * @param {number} height - Feet to eyes
+   * @returns {object} { bottom, top } - Sphere centers, from just above step height up to the eyes
+   */
+  getCapsule(height) {
+    const bottom = -height + this.stepHeight + this.radius;
+    // Crouched, the body is shorter than that - keep clear of steps and let the top poke above the eyes
+    return { bottom, top: Math.max(bottom, -this.radius) };
+  }
+  
+  /**
+   * Move sideways in short steps, pushed out of whatever the capsule hits
+   * @param {number} dx - World units along X
+   * @param {number} dz - World units along Z
+   */
+  move(dx, dz) {
+    const collision = this.world ? this.world.collision : null;
+    if (!collision) {
+      this.position.x += dx;
+      this.position.z += dz;
+      return;
+    }
+    
+    // Steps of half a radius can't skip through the thin interior walls
+    const steps = Math.max(1, Math.ceil(Math.hypot(dx, dz) / (this.radius * 0.5)));
+    const previous = new THREE.Vector3();
+    
+    const { bottom, top } = this.getCapsule(this.height);
+    
+    for (let i = 0; i < steps; i++) {
+      previous.copy(this.position);
+      this.position.x += dx / steps;
+      this.position.z += dz / steps;
+      
+      const contact = collision.resolveCapsule(this.position, bottom, top, this.radius, this.velocity);
+      
+      // Walked into something overhanging (like the low end of the broken wing) - stop short of it
+      if (contact.ceiling && this.onGround) {
+        this.position.copy(previous);
+        break;
+      }
+    }
+  }
+  
+  /**
+   * Height of whatever the player would stand on - the dunes or a prop
+   * @param {number} fromY - Surfaces above this are too high to step onto
+   * @returns {number}
+   */
+  getGroundHeight(fromY) {
+    if (!this.world) return 0;
+    
+    const { x, z } = this.position;
+    const support = this.world.collision.getSupportHeight(x, z, fromY, this.radius * 0.5);
+    return Math.max(this.world.getHeightAt(x, z), support);
+  }
+  
+  /**
+   * Speed multiplier for walking a direction on the dunes
+   * @param {THREE.Vector3} direction - Horizontal unit vector
+   * @returns {number} 1 on the flat and downhill, less uphill
+   */
+  getSlopeFactor(direction) {
+    if (!this.world || direction.lengthSq() === 0) return 1;
+    
+    const normal = this.world.getNormalAt(this.position.x, this.position.z);
+    const grade = -(normal.x * direction.x + normal.z * direction.z) / normal.y;
+    return Math.max(this.minSlopeSpeed, 1 - Math.max(0, grade) * this.slopeSlowdown);
+  }
+  
+  /**
+   * Stand on whatever is below the current spot (spawning)
+   */
+  placeOnGround() {
+    this.position.y = this.getGroundHeight(this.position.y + this.height) + this.height;
+    this.velocity.y = 0;
+    this.onGround = true;
+  }
+  
+  /**
+   * @param {number} amount - Damage to apply
+   * @param {object} [source] - What dealt it (enemy, projectile, ...) - used for the HUD direction
+   * @param {string} [type] - DamageType
+   * @returns {boolean} False if that source is still on cooldown
+   */
+  takeDamage(amount, source = null, type = DamageType.MELEE) {
+    const rules = this.damageRules[type];
+    if (!rules) {
+      throw new Error(`Unknown damage type "${type}"`);
+    }
+    
+    // Hits without a source share a cooldown per type
+    const key = source || type;
     const now = performance.now();
-    if (now - this.lastDamageTime < this.damageCooldown) return false;
+    if (now - (this.lastDamageTimes.get(key) || -Infinity) < rules.cooldown) return false;
+    
+    this.lastDamageTimes.set(key, now);
+    this.lastDamageSource = source;
     
-    this.lastDamageTime = now;
-    this.health = Math.max(0, this.health - amount);
+    const damage = amount * (1 - rules.resistance);
+    const absorbed = Math.min(this.armor, damage * rules.armorAbsorb);
+    this.armor -= absorbed;
+    this.health = Math.max(0, this.health - (damage - absorbed));
+    this.regenDelay = HEALTH_REGEN.delay;
     
     // Show damage flash
     const flash = document.getElementById('damage-flash');
@@ -152,25 +528,88 @@ export class Player {
     return true;
   }
   
+  /**
+   * Change how much of a damage type is ignored
+   * @param {string} type - DamageType
+   * @param {number} resistance - 0 (full damage) to 1 (immune)
+   */
+  setResistance(type, resistance) {
+    this.damageRules[type].resistance = Math.max(0, Math.min(1, resistance));
+  }
+  
+  /**
+   * Slowly heal after going unhurt for a while
+   */
+  updateRegen(deltaTime) {
+    if (this.regenDelay > 0) {
+      this.regenDelay -= deltaTime;
+      return;
+    }
+    
+    const limit = this.maxHealth * HEALTH_REGEN.limit;
+    if (this.regenEnabled && this.health < limit) {
+      this.health = Math.min(limit, this.health + HEALTH_REGEN.rate * deltaTime);
+    }
+  }
+  
   heal(amount) {
     this.health = Math.min(this.maxHealth, this.health + amount);
   }
   
+  addArmor(amount) {
+    this.armor = Math.min(this.maxArmor, this.armor + amount);
+  }
+  
   getPosition() {
     return this.position.clone();
   }
   
+  /**
+   * Horizontal angle to a point relative to where the player faces
+   * @param {THREE.Vector3} point - World position
+   * @returns {number} Radians, 0 = straight ahead, positive = to the right
+   */
+  getRelativeAngle(point) {
+    const dx = point.x - this.position.x;
+    const dz = point.z - this.position.z;
+    
+    // Camera looks down -Z rotated by yaw
+    const ahead = -dx * Math.sin(this.yaw) - dz * Math.cos(this.yaw);
+    const right = dx * Math.cos(this.yaw) - dz * Math.sin(this.yaw);
+    return Math.atan2(right, ahead);
+  }
+  
   getDirection() {
     const dir = new THREE.Vector3(0, 0, -1);
     dir.applyQuaternion(this.camera.quaternion);
     return dir;
   }
   
-  reset() {
+  /**
+   * @param {boolean} [newGame] - False between levels, where bought armor is kept
+   */
+  reset(newGame = true) {
     this.health = this.maxHealth;
+    if (newGame) {
+      this.armor = 0;
+    }
     this.isDead = false;
+    this.regenDelay = 0;
+    this.lastDamageTimes.clear();
+    this.effects.clear();
+    this.lastDamageSource = null;
+    this.height = this.standHeight;
     this.position.set(0, this.height, 0);
     this.velocity.set(0, 0, 0);
+    this.placeOnGround();
+    this.isSprinting = false;
+    this.isCrouching = false;
+    this.endSlide();
+    this.slideCooldown = 0;
+    this.landingDip = 0;
+    this.stamina = this.maxStamina;
+    this.staminaDelay = 0;
+    this.exhausted = false;
     this.pitch = 0;
     this.yaw = 0;
     this.camera.rotation.set(0, 0, 0);
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { ObjectPool } from './ObjectPool.js';
+import { DamageType } from './Player.js';
+
+/**
+ * ProjectileSystem - Pooled, visible enemy projectiles
+ * Reference: GAME_DEV_CONTEXT.md - Object Pooling Pattern
+ *
+ * Projectiles fly in a straight line at the spot the player was in when
+ * they were fired, so sidestepping dodges them. World.objects stop them,
+ * which lets rocks and the wreck act as cover.
+ */
+
+const DEFAULT_PROJECTILE = {
+  speed: 14,      // units per second
+  radius: 0.2,
+  lifetime: 3,    // seconds
+  color: 0x99ff33
+};
+
+class Projectile {
+  constructor(scene, geometry) {
+    this.scene = scene;
+    this.position = new THREE.Vector3();
+    this.origin = new THREE.Vector3(); // Launch point, for damage direction
+    this.previousPosition = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this.damage = 0;
+    this.radius = DEFAULT_PROJECTILE.radius;
+    this.life = 0;
+    this.owner = null;
+    
+    this.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: DEFAULT_PROJECTILE.color }));
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+  
+  /**
+   * Reset projectile for object pooling
+   * @param {Enemy} owner - Who fired it
+   * @param {THREE.Vector3} origin - Launch point
+   * @param {THREE.Vector3} target - Point aimed at
+   * @param {object} config - Archetype projectile settings
+   */
+  reset(owner, origin, target, config) {
+    this.owner = owner;
+    this.damage = owner.damage;
+    this.radius = config.radius;
+    this.life = config.lifetime;
+    
+    this.position.copy(origin);
+    this.origin.copy(origin);
+    this.previousPosition.copy(origin);
+    this.velocity.subVectors(target, origin).normalize().multiplyScalar(config.speed);
+    
+    this.mesh.material.color.setHex(config.color);
+    this.mesh.scale.setScalar(config.radius / DEFAULT_PROJECTILE.radius);
+    this.mesh.position.copy(origin);
+    this.mesh.visible = true;
+  }
+}
+
+export class ProjectileSystem {
+  /**
+   * @param {object} options
+   * @param {THREE.Scene} options.scene - Scene for projectile meshes
+   * @param {World} options.world - Provides obstacles (World.objects)
+   * @param {Function} options.damagePlayer - (amount, source, DamageType) => void
+   */
+  constructor({ scene, world, damagePlayer }) {
+    this.scene = scene;
+    this.world = world;
+    this.damagePlayer = damagePlayer;
+    
+    this.geometry = new THREE.SphereGeometry(DEFAULT_PROJECTILE.radius, 8, 8);
+    this.pool = new ObjectPool(
+      () => new Projectile(this.scene, this.geometry),
+      (projectile, owner, origin, target, config) => projectile.reset(owner, origin, target, config),
+      20
+    );
+    
+    this.raycaster = new THREE.Raycaster();
+    this.step = new THREE.Vector3();
+  }
+  
+  /**
+   * Launch a projectile from an enemy at a target point
+   * @param {Enemy} owner - Enemy firing (its archetype's `projectile` settings are used)
+   * @param {THREE.Vector3} target - Point to aim at
+   * @returns {Projectile}
+   */
+  fire(owner, target) {
+    const config = { ...DEFAULT_PROJECTILE, ...owner.archetype.projectile };
+    
+    // From chest height, slightly in front of the body
+    const origin = owner.position.clone();
+    origin.y += owner.height * 0.75;
+    const forward = new THREE.Vector3().subVectors(target, origin).setY(0).normalize();
+    origin.addScaledVector(forward, owner.radius + config.radius);
+    
+    return this.pool.acquire(owner, origin, target, config);
+  }
+  
+  /**
+   * Move projectiles and resolve hits
+   * @param {number} deltaTime - Frame time in seconds
+   * @param {Player} player - Target to test against
+   */
+  update(deltaTime, player) {
+    // Copy - projectiles are released while iterating
+    const active = [...this.pool.getActive()];
+    
+    for (const projectile of active) {
+      projectile.life -= deltaTime;
+      projectile.previousPosition.copy(projectile.position);
+      projectile.position.addScaledVector(projectile.velocity, deltaTime);
+      
+      const { x, y, z } = projectile.position;
+      if (projectile.life <= 0 || y <= this.world.getHeightAt(x, z)) {
+        this.release(projectile);
+        continue;
+      }
+      
+      // Cover - anything in World.objects between the last frame and this one
+      if (this.hitsObstacle(projectile)) {
+        this.release(projectile);
+        continue;
+      }
+      
+      if (this.hitsPlayer(projectile, player)) {
+        this.damagePlayer(projectile.damage, projectile, DamageType.PROJECTILE);
+        this.release(projectile);
+        continue;
+      }
+      
+      projectile.mesh.position.copy(projectile.position);
+      projectile.mesh.rotation.y += deltaTime * 10;
+    }
+  }
+  
+  hitsObstacle(projectile) {
+    this.step.subVectors(projectile.position, projectile.previousPosition);
+    const distance = this.step.length();
+    if (distance === 0) return false;
+    
+    this.raycaster.set(projectile.previousPosition, this.step.divideScalar(distance));
+    this.raycaster.far = distance + projectile.radius;
+    return this.raycaster.intersectObjects(this.world.objects, false).length > 0;
+  }
+  
+  hitsPlayer(projectile, player) {
+    if (player.isDead) return false;
+    
+    // Player is an upright capsule from the feet to eye height
+    const feet = player.position.y - player.height;
+    const y = Math.max(feet, Math.min(player.position.y, projectile.position.y));
+    const dx = projectile.position.x - player.position.x;
+    const dy = projectile.position.y - y;
+    const dz = projectile.position.z - player.position.z;
+    const reach = player.radius + projectile.radius;
+    
+    return dx * dx + dy * dy + dz * dz <= reach * reach;
+  }
+  
+  release(projectile) {
+    projectile.mesh.visible = false;
+    projectile.owner = null;
+    this.pool.release(projectile);
+  }
+  
+  /**
+   * Remove every projectile in flight (level change / restart)
+   */
+  clear() {
+    [...this.pool.getActive()].forEach(projectile => this.release(projectile));
+  }
+}
+
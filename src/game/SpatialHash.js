@@ -0,0 +1,73 @@
+/**
+ * SpatialHash - Uniform grid bucket lookup on the ground plane
+ *
+ * Rebuilt every frame from moving objects; a radius query only visits the
+ * buckets it overlaps, so neighbour searches stay cheap with many agents.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} [cellSize] - Bucket edge length (roughly the largest query radius)
+   */
+  constructor(cellSize = 4) {
+    this.cellSize = cellSize;
+    this.buckets = new Map();
+  }
+  
+  key(col, row) {
+    // Packs two signed 16-bit cell coordinates into one number
+    return ((col + 32768) << 16) | (row + 32768);
+  }
+  
+  clear() {
+    // Keep the arrays around to avoid reallocating every frame
+    this.buckets.forEach(bucket => {
+      bucket.length = 0;
+    });
+  }
+  
+  /**
+   * @param {object} item - Anything with a `position` (THREE.Vector3)
+   */
+  insert(item) {
+    const col = Math.floor(item.position.x / this.cellSize);
+    const row = Math.floor(item.position.z / this.cellSize);
+    const key = this.key(col, row);
+    
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = [];
+      this.buckets.set(key, bucket);
+    }
+    bucket.push(item);
+  }
+  
+  /**
+   * Items in the buckets overlapping a circle (callers do the exact distance test)
+   * @param {number} x - Center X
+   * @param {number} z - Center Z
+   * @param {number} radius - Search radius
+   * @param {object[]} [out] - Array to fill (cleared first)
+   * @returns {object[]}
+   */
+  query(x, z, radius, out = []) {
+    out.length = 0;
+    
+    const minCol = Math.floor((x - radius) / this.cellSize);
+    const maxCol = Math.floor((x + radius) / this.cellSize);
+    const minRow = Math.floor((z - radius) / this.cellSize);
+    const maxRow = Math.floor((z + radius) / this.cellSize);
+    
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const bucket = this.buckets.get(this.key(col, row));
+        if (!bucket) continue;
+        for (let i = 0; i < bucket.length; i++) {
+          out.push(bucket[i]);
+        }
+      }
+    }
+    
+    return out;
+  }
+}
+
@@ -0,0 +1,172 @@
+/**
+ * StatusEffects - Timed conditions on the player or an enemy
+ *
+ * Bleeding and burning deal damage in ticks, stun dampens aim and
+ * movement, and slow cuts movement speed. Each effect either stacks
+ * (every application adds a stack, up to a cap, and tops the timer back
+ * up) or refreshes (one stack, the timer is topped up). The owner calls
+ * update() every frame, deals whatever tick damage it returns through its
+ * own damage path, and reads the multipliers where it moves and aims.
+ */
+
+export const StatusEffect = {
+  BLEED: 'bleed',
+  BURN: 'burn',
+  STUN: 'stun',
+  SLOW: 'slow'
+};
+
+export const StackMode = {
+  STACK: 'stack',     // Each application adds a stack
+  REFRESH: 'refresh'  // Re-applying only tops up the timer
+};
+
+const FADE_TIME = 0.5; // Seconds at the end of an effect where getIntensity() eases to 0
+
+// Times in seconds - speed and look are multipliers while the effect lasts
+const EFFECTS = {
+  [StatusEffect.BLEED]: {
+    name: 'Bleeding',
+    icon: '🩸',
+    stacking: StackMode.STACK,
+    maxStacks: 5,
+    duration: 6,
+    tickInterval: 1,
+    tickDamage: 2 // Per stack
+  },
+  [StatusEffect.BURN]: { name: 'Burning', icon: '🔥', stacking: StackMode.REFRESH, duration: 3, tickInterval: 0.5, tickDamage: 4 },
+  [StatusEffect.STUN]: { name: 'Stunned', icon: '💫', stacking: StackMode.REFRESH, duration: 2, speed: 0.6, look: 0.3 },
+  [StatusEffect.SLOW]: { name: 'Slowed', icon: '🐌', stacking: StackMode.REFRESH, duration: 0.5, speed: 0.5 }
+};
+
+export function isStatusEffect(value) {
+  return Object.values(StatusEffect).includes(value);
+}
+
+export class StatusEffects {
+  constructor() {
+    // StatusEffect -> { effect, config, remaining, duration, stacks, tickTimer }
+    this.active = new Map();
+  }
+  
+  /**
+   * Start an effect, or stack/refresh it if it's already running
+   * @param {string} effect - StatusEffect value
+   * @param {object} [options] - { duration?, stacks? } - override the defaults
+   * @returns {object} The running effect
+   */
+  apply(effect, options = {}) {
+    const config = EFFECTS[effect];
+    if (!config) {
+      throw new Error(`Unknown status effect "${effect}"`);
+    }
+    
+    const duration = typeof options.duration === 'number' ? options.duration : config.duration;
+    const stacks = typeof options.stacks === 'number' ? options.stacks : 1;
+    const maxStacks = config.stacking === StackMode.STACK ? config.maxStacks : 1;
+    
+    let state = this.active.get(effect);
+    if (!state) {
+      state = { effect, config, remaining: 0, duration: 0, stacks: 0, tickTimer: 0 };
+      this.active.set(effect, state);
+    }
+    
+    state.stacks = Math.min(maxStacks, state.stacks + stacks);
+    if (duration > state.remaining) {
+      state.remaining = duration;
+      state.duration = duration; // For the HUD countdown
+    }
+    return state;
+  }
+  
+  has(effect) {
+    return this.active.has(effect);
+  }
+  
+  remove(effect) {
+    this.active.delete(effect);
+  }
+  
+  clear() {
+    this.active.clear();
+  }
+  
+  /**
+   * Count effects down and collect damage ticks
+   * @param {number} deltaTime
+   * @returns {number} Damage from ticks due this frame (0 most frames)
+   */
+  update(deltaTime) {
+    let damage = 0;
+    
+    this.active.forEach((state, effect) => {
+      const { tickInterval, tickDamage } = state.config;
+      if (tickDamage) {
+        state.tickTimer += Math.min(deltaTime, state.remaining);
+        while (state.tickTimer >= tickInterval) {
+          state.tickTimer -= tickInterval;
+          damage += tickDamage * state.stacks;
+        }
+      }
+      
+      state.remaining -= deltaTime;
+      if (state.remaining <= 0) {
+        this.active.delete(effect);
+      }
+    });
+    
+    return damage;
+  }
+  
+  /**
+   * Movement speed multiplier from everything running
+   * @returns {number}
+   */
+  getSpeedMultiplier() {
+    return this.getMultiplier('speed');
+  }
+  
+  /**
+   * Look sensitivity multiplier from everything running
+   * @returns {number}
+   */
+  getLookMultiplier() {
+    return this.getMultiplier('look');
+  }
+  
+  getMultiplier(key) {
+    let multiplier = 1;
+    this.active.forEach(state => {
+      if (typeof state.config[key] === 'number') {
+        multiplier *= state.config[key];
+      }
+    });
+    return multiplier;
+  }
+  
+  /**
+   * How strongly an effect shows right now - for screen effects that should fade out
+   * @param {string} effect - StatusEffect value
+   * @returns {number} 0 (not running) to 1
+   */
+  getIntensity(effect) {
+    const state = this.active.get(effect);
+    return state ? Math.min(1, state.remaining / FADE_TIME) : 0;
+  }
+  
+  /**
+   * What's running, for the HUD
+   * @returns {object[]} [{ effect, name, icon, remaining, duration, stacks }]
+   */
+  getList() {
+    return [...this.active.values()].map(state => ({
+      effect: state.effect,
+      name: state.config.name,
+      icon: state.config.icon,
+      remaining: state.remaining,
+      duration: state.duration,
+      stacks: state.stacks
+    }));
+  }
+}
+
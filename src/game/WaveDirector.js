@@ -0,0 +1,192 @@
+import { GameEvents } from './EventSystem.js';
+
+/**
+ * WaveDirector - Scripted enemy waves for a level
+ * Reference: GAME_DEV_CONTEXT.md - State Machine Pattern
+ *
+ * Each wave waits for its gate (at most `waitUntilAlive` enemies left from
+ * earlier waves), then for `delay` seconds, spawns a `burst` at once and
+ * drips out the rest of `count` every `interval` seconds. Enemies of a
+ * `dormant` wave spawn asleep (stealth start).
+ */
+
+export const WaveState = {
+  IDLE: 'IDLE',         // No level loaded
+  WAITING: 'WAITING',   // Waiting for the next wave's gate and delay
+  SPAWNING: 'SPAWNING', // Current wave still has enemies to spawn
+  FINISHED: 'FINISHED'  // Every wave has been spawned
+};
+
+export class WaveDirector {
+  /**
+   * @param {EventSystem} events - Game event bus
+   * @param {Function} spawnEnemy - (type, { dormant }) => Enemy|null
+   */
+  constructor(events, spawnEnemy) {
+    this.events = events;
+    this.spawnEnemy = spawnEnemy;
+    
+    this.reset();
+    
+    this.events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => this.onEnemyKilled(enemy));
+  }
+  
+  reset() {
+    this.waves = [];
+    this.state = WaveState.IDLE;
+    this.waveIndex = -1;
+    this.timer = 0;
+    
+    // Per-wave bookkeeping
+    this.spawnedByWave = [];
+    this.aliveByWave = [];
+    this.clearedWaves = [];
+    this.enemyWave = new Map(); // enemy -> wave index
+  }
+  
+  /**
+   * Begin running a level's waves
+   * @param {object[]} waves - Normalized waves from LevelLoader
+   */
+  start(waves) {
+    this.reset();
+    this.waves = waves;
+    this.spawnedByWave = waves.map(() => 0);
+    this.aliveByWave = waves.map(() => 0);
+    this.clearedWaves = waves.map(() => false);
+    this.state = WaveState.WAITING;
+  }
+  
+  update(deltaTime) {
+    if (this.state === WaveState.WAITING) {
+      const next = this.waves[this.waveIndex + 1];
+      
+      // The delay only starts counting once the gate is open
+      if (this.getAliveCount() > next.waitUntilAlive) {
+        this.timer = 0;
+        return;
+      }
+      
+      this.timer += deltaTime;
+      if (this.timer >= next.delay) {
+        this.startWave(this.waveIndex + 1);
+      }
+    } else if (this.state === WaveState.SPAWNING) {
+      const wave = this.waves[this.waveIndex];
+      
+      this.timer += deltaTime;
+      while (this.spawnedByWave[this.waveIndex] < wave.count && this.timer >= wave.interval) {
+        this.timer -= wave.interval;
+        this.spawnOne();
+      }
+      
+      this.checkWaveSpawned();
+    }
+  }
+  
+  startWave(index) {
+    const wave = this.waves[index];
+    
+    this.waveIndex = index;
+    this.timer = 0;
+    this.state = WaveState.SPAWNING;
+    
+    this.events.emit(GameEvents.WAVE_STARTED, {
+      index,
+      number: index + 1,
+      total: this.waves.length,
+      name: wave.name
+    });
+    
+    // Burst spawn
+    for (let i = 0; i < wave.burst; i++) {
+      this.spawnOne();
+    }
+    
+    this.checkWaveSpawned();
+  }
+  
+  spawnOne() {
+    const index = this.waveIndex;
+    const wave = this.waves[index];
+    const type = this.pickEnemyType(wave.enemies);
+    
+    // Counted even if the spawn fails so a wave can never stall
+    this.spawnedByWave[index]++;
+    
+    const enemy = this.spawnEnemy(type, { dormant: wave.dormant });
+    if (enemy) {
+      this.enemyWave.set(enemy, index);
+      this.aliveByWave[index]++;
+    }
+  }
+  
+  checkWaveSpawned() {
+    if (this.spawnedByWave[this.waveIndex] < this.waves[this.waveIndex].count) return;
+    
+    this.state = this.waveIndex + 1 < this.waves.length ? WaveState.WAITING : WaveState.FINISHED;
+    this.timer = 0;
+    this.checkWaveCleared(this.waveIndex);
+  }
+  
+  checkWaveCleared(index) {
+    if (this.clearedWaves[index] || this.aliveByWave[index] > 0) return;
+    
+    // A wave that is still spawning isn't cleared yet
+    if (index === this.waveIndex && this.state === WaveState.SPAWNING) return;
+    
+    this.clearedWaves[index] = true;
+    this.events.emit(GameEvents.WAVE_CLEARED, {
+      index,
+      number: index + 1,
+      total: this.waves.length,
+      name: this.waves[index].name
+    });
+  }
+  
+  onEnemyKilled(enemy) {
+    const index = this.enemyWave.get(enemy);
+    if (index === undefined) return;
+    
+    this.enemyWave.delete(enemy);
+    this.aliveByWave[index]--;
+    this.checkWaveCleared(index);
+  }
+  
+  /**
+   * Pick an enemy type using the wave's spawn weights
+   * @param {object[]} enemies - Weighted { type, weight } entries
+   * @returns {string}
+   */
+  pickEnemyType(enemies) {
+    const totalWeight = enemies.reduce((sum, entry) => sum + entry.weight, 0);
+    
+    let roll = Math.random() * totalWeight;
+    for (const entry of enemies) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.type;
+    }
+    return enemies[enemies.length - 1].type;
+  }
+  
+  getAliveCount() {
+    return this.aliveByWave.reduce((sum, alive) => sum + alive, 0);
+  }
+  
+  getSpawnedCount() {
+    return this.spawnedByWave.reduce((sum, spawned) => sum + spawned, 0);
+  }
+  
+  getTotalEnemies() {
+    return this.waves.reduce((sum, wave) => sum + wave.count, 0);
+  }
+  
+  /**
+   * All waves spawned and every spawned enemy is dead
+   * @returns {boolean}
+   */
+  isComplete() {
+    return this.state === WaveState.FINISHED && this.getAliveCount() === 0;
+  }
+}
+
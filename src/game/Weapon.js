@@ -1,100 +1,124 @@
 import * as THREE from 'three';
+import { FireMode } from './WeaponDefinitions.js';
+
+const SCREEN_CENTER = new THREE.Vector2(0, 0);
+const DEG_TO_RAD = Math.PI / 180;
+
+// Stat multipliers bought in the armory (1 = stock weapon)
+export const WeaponModifier = {
+  DAMAGE: 'damage',     // Damage per pellet
+  MAGAZINE: 'magazine', // Magazine size
+  RELOAD: 'reload',     // Reload times
+  RECOIL: 'recoil'      // Recoil kick and spread bloom per shot
+};
+
+const STOCK_MODIFIERS = {
+  [WeaponModifier.DAMAGE]: 1,
+  [WeaponModifier.MAGAZINE]: 1,
+  [WeaponModifier.RELOAD]: 1,
+  [WeaponModifier.RECOIL]: 1
+};
+
+// WEAPON_RELOAD phases
+export const ReloadPhase = {
+  START: 'start',
+  FINISH: 'finish',
+  CANCEL: 'cancel' // Interrupted (sprinting, switching weapons, reset)
+};
 
 /**
- * Weapon - Pistol with shooting, reloading, and visual effects
+ * Weapon - One gun in the player's inventory: ammo state, firing,
+ * reloading and its viewmodel. Stats come from a definition in
+ * WeaponDefinitions.js.
  */
 export class Weapon {
-  constructor(scene, camera, player) {
+  constructor(scene, camera, player, definition) {
     this.scene = scene;
     this.camera = camera;
     this.player = player;
+    this.definition = definition;
+    this.type = definition.type;
+    this.name = definition.name;
+    this.slot = definition.slot;
+    this.fireModes = definition.fireModes;
+    this.fireMode = this.fireModes[0];
+    this.burst = definition.burst;
     
     // Weapon stats
-    this.damage = 25;
-    this.range = 100;
-    this.fireRate = 0.2; // seconds between shots
-    this.lastFireTime = 0;
-    
-    // Ammo
-    this.ammo = 12;
-    this.maxAmmo = 12;
-    this.reserveAmmo = 60;
+    const stats = definition.stats;
+    this.damage = stats.damage;
+    this.range = stats.range;
+    this.fireRate = stats.fireRate; // seconds between shots
+    this.fireCooldown = 0; // Counts down on game time, so pausing can't skip it
+    
+    // Trigger
+    this.triggerHeld = false;
+    this.triggerPending = false; // Semi/burst press waiting for the cooldown
+    this.burstRemaining = 0;
+    
+    // Ammo (damage, magazine, reload times, recoil and spread are set by applyModifiers)
+    this.modifiers = { ...STOCK_MODIFIERS };
+    this.ammo = stats.magazineSize;
+    this.maxAmmo = stats.magazineSize;
+    this.reserveAmmo = stats.reserveAmmo;
+    this.maxReserveAmmo = stats.maxReserveAmmo;
     this.isReloading = false;
-    this.reloadTime = 1.5; // seconds
+    this.reloadTime = stats.reloadTime; // seconds, from an empty magazine
+    this.tacticalReloadTime = stats.tacticalReloadTime; // seconds, round still chambered
+    this.reloadTimer = 0;
+    this.reloadDuration = 0;
+    this.reloadTactical = false;
     
     // Visual
     this.weaponModel = null;
     this.muzzleFlash = null;
+    this.basePosition = new THREE.Vector3().fromArray(definition.viewPosition);
     
     // Recoil
+    this.recoil = definition.recoil;
     this.recoilAmount = 0;
-    this.recoilRecovery = 5;
     
-    // Hit effect
-    this.hitMarkers = [];
+    // Accuracy - cone half-angle in degrees (see getSpread)
+    this.pellets = definition.pellets;
+    this.spread = definition.spread;
+    this.falloff = definition.falloff;
+    this.bloom = 0; // Grows with sustained fire, recovers over time
+    this.applyModifiers();
     
-    // Raycaster for shooting
-    this.raycaster = new THREE.Raycaster();
+    // 0 = in hand, 1 = fully lowered out of view (set by WeaponInventory)
+    this.holster = 1;
+    
+    // Raycasters for shooting (one per pellet)
+    this.raycasters = [];
+    for (let i = 0; i < this.pellets; i++) {
+      this.raycasters.push(new THREE.Raycaster());
+    }
+    this.raycaster = this.raycasters[0];
+    this.right = new THREE.Vector3();
+    this.up = new THREE.Vector3();
     
     // Callbacks
     this.onHit = null; // Called when hitting an enemy
+    this.onReload = null; // (phase, weapon) - see ReloadPhase
     
     this.init();
   }
   
   init() {
-    // Create a simple pistol model (attached to camera)
-    const weaponGroup = new THREE.Group();
-    
-    // Pistol body
-    const bodyGeom = new THREE.BoxGeometry(0.08, 0.15, 0.3);
-    const bodyMat = new THREE.MeshStandardMaterial({ 
-      color: 0x333333,
-      metalness: 0.8,
-      roughness: 0.3
-    });
-    const body = new THREE.Mesh(bodyGeom, bodyMat);
-    body.position.set(0, -0.05, 0);
-    weaponGroup.add(body);
-    
-    // Barrel
-    const barrelGeom = new THREE.BoxGeometry(0.05, 0.05, 0.25);
-    const barrelMat = new THREE.MeshStandardMaterial({ 
-      color: 0x222222,
-      metalness: 0.9,
-      roughness: 0.2
-    });
-    const barrel = new THREE.Mesh(barrelGeom, barrelMat);
-    barrel.position.set(0, 0.02, -0.2);
-    weaponGroup.add(barrel);
-    
-    // Grip
-    const gripGeom = new THREE.BoxGeometry(0.06, 0.12, 0.08);
-    const gripMat = new THREE.MeshStandardMaterial({ 
-      color: 0x4a3728,
-      metalness: 0.1,
-      roughness: 0.8
-    });
-    const grip = new THREE.Mesh(gripGeom, gripMat);
-    grip.position.set(0, -0.12, 0.05);
-    grip.rotation.x = 0.2;
-    weaponGroup.add(grip);
-    
-    // Slide
-    const slideGeom = new THREE.BoxGeometry(0.06, 0.06, 0.28);
-    const slideMat = new THREE.MeshStandardMaterial({ 
-      color: 0x444444,
-      metalness: 0.85,
-      roughness: 0.25
-    });
-    const slide = new THREE.Mesh(slideGeom, slideMat);
-    slide.position.set(0, 0.04, -0.05);
-    weaponGroup.add(slide);
-    this.slide = slide;
+    // Viewmodel attached to the camera
+    const weaponGroup = this.definition.buildModel();
+    this.slide = weaponGroup.getObjectByName('slide') || null;
+    this.slideRestZ = this.slide ? this.slide.position.z : 0;
+    
+    // Barrel tip - muzzle smoke comes out here
+    this.muzzle = new THREE.Object3D();
+    this.muzzle.position.fromArray(this.definition.muzzle);
+    weaponGroup.add(this.muzzle);
     
     // Position weapon in view
-    weaponGroup.position.set(0.25, -0.2, -0.4);
+    weaponGroup.position.copy(this.basePosition);
     weaponGroup.rotation.y = 0.05;
+    weaponGroup.visible = false;
     
     this.weaponModel = weaponGroup;
     this.camera.add(weaponGroup);
@@ -112,64 +136,155 @@ export class Weapon {
   }
   
   update(deltaTime) {
+    // Only runs down to just below zero, so held fire keeps the exact rate
+    if (this.fireCooldown > 0) {
+      this.fireCooldown -= deltaTime;
+    }
+    
     // Recover from recoil
     if (this.recoilAmount > 0) {
-      this.recoilAmount -= this.recoilRecovery * deltaTime;
+      this.recoilAmount -= this.recoil.recovery * deltaTime;
       if (this.recoilAmount < 0) this.recoilAmount = 0;
     }
     
-    // Animate weapon position with recoil
+    // Tighten back up between shots
+    this.bloom = Math.max(0, this.bloom - this.spread.recovery * deltaTime);
+    
+    // Reloads run on game time
+    if (this.isReloading) {
+      this.reloadTimer += deltaTime;
+      if (this.reloadTimer >= this.reloadDuration) {
+        this.finishReload();
+      }
+    }
+    
+    // Animate weapon position with recoil, lowered while holstering,
+    // tipped down and rolled over while reloading
     if (this.weaponModel) {
-      const targetZ = -0.4 + this.recoilAmount * 0.1;
-      const targetRotX = this.recoilAmount * 0.2;
+      const progress = this.getReloadProgress();
+      const dip = this.isReloading ? Math.sin(progress * Math.PI) : 0;
+      const targetZ = this.basePosition.z + this.recoilAmount * this.recoil.push;
+      const targetRotX = this.recoilAmount * this.recoil.rise - dip * 0.3;
       
       this.weaponModel.position.z += (targetZ - this.weaponModel.position.z) * 10 * deltaTime;
       this.weaponModel.rotation.x += (targetRotX - this.weaponModel.rotation.x) * 10 * deltaTime;
+      this.weaponModel.position.y = this.basePosition.y - this.holster * 0.4 - dip * 0.12;
+      this.weaponModel.rotation.z = this.holster * 0.6 + dip * 0.5;
+      this.weaponModel.visible = this.holster < 1;
+      
+      // Empty reloads finish by racking the slide
+      if (this.slide && this.isReloading && !this.reloadTactical) {
+        const racked = progress > 0.75 && progress < 0.9;
+        this.slide.position.z = this.slideRestZ + (racked ? 0.15 : 0);
+      }
+    }
+  }
+  
+  /**
+   * Trigger handling - call every frame from the game loop
+   * @param {boolean} held - Trigger is down
+   * @returns {object|false} shoot() result if a shot went off this frame
+   */
+  updateTrigger(held) {
+    const pressed = held && !this.triggerHeld;
+    this.triggerHeld = held;
+    
+    if (pressed && this.burstRemaining === 0) {
+      this.triggerPending = true;
+    } else if (!held) {
+      this.triggerPending = false; // A tap during the cooldown doesn't fire late
     }
     
-    // Update hit markers
-    for (let i = this.hitMarkers.length - 1; i >= 0; i--) {
-      const marker = this.hitMarkers[i];
-      marker.life -= deltaTime;
-      
-      if (marker.life <= 0) {
-        this.scene.remove(marker.mesh);
-        this.hitMarkers.splice(i, 1);
-      } else {
-        // Fade out
-        marker.mesh.material.opacity = marker.life / marker.maxLife;
+    if (this.burstRemaining === 0 && !this.triggerPending && !(held && this.fireMode === FireMode.AUTO)) {
+      return false;
+    }
+    if (this.ammo <= 0 || this.isReloading) {
+      this.burstRemaining = 0;
+      this.triggerPending = false;
+      return false;
+    }
+    
+    const result = this.shoot();
+    if (!result) return false;
+    
+    // A burst finishes on its own once started, even if the trigger is let go
+    if (this.triggerPending && this.fireMode === FireMode.BURST) {
+      this.burstRemaining = this.burst.count;
+    }
+    this.triggerPending = false;
+    if (this.burstRemaining > 0) {
+      this.burstRemaining--;
+      if (this.burstRemaining === 0) {
+        this.fireCooldown += this.burst.delay;
       }
     }
+    return result;
+  }
+  
+  /**
+   * Drop any pending shot or burst in progress (weapon switched away)
+   */
+  releaseTrigger() {
+    this.triggerHeld = false;
+    this.triggerPending = false;
+    this.burstRemaining = 0;
+  }
+  
+  /**
+   * Select the next fire mode this weapon supports
+   * @returns {string} The new FireMode value
+   */
+  cycleFireMode() {
+    const index = this.fireModes.indexOf(this.fireMode);
+    this.fireMode = this.fireModes[(index + 1) % this.fireModes.length];
+    this.burstRemaining = 0;
+    return this.fireMode;
   }
   
   shoot() {
-    const now = performance.now() / 1000;
-    
     // Check fire rate
-    if (now - this.lastFireTime < this.fireRate) return false;
+    if (this.fireCooldown > 0) return false;
     
     // Check ammo
     if (this.ammo <= 0 || this.isReloading) return false;
     
-    this.lastFireTime = now;
+    this.fireCooldown += this.fireRate;
     this.ammo--;
     
     // Apply recoil
-    this.recoilAmount = 1;
+    this.recoilAmount = Math.min(this.recoilAmount + this.recoil.kick, 1.5);
     
     // Animate slide
     if (this.slide) {
-      this.slide.position.z = 0.1;
+      this.slide.position.z = this.slideRestZ + 0.15;
       setTimeout(() => {
-        if (this.slide) this.slide.position.z = -0.05;
+        if (this.slide) this.slide.position.z = this.slideRestZ;
       }, 50);
     }
     
     // Show muzzle flash
     this.showMuzzleFlash();
     
-    // Perform raycast from camera center
-    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+    // One ray per pellet from the camera center, scattered in the spread cone
+    const spread = this.getSpread() * DEG_TO_RAD;
+    this.camera.updateMatrixWorld();
+    this.right.setFromMatrixColumn(this.camera.matrixWorld, 0);
+    this.up.setFromMatrixColumn(this.camera.matrixWorld, 1);
+    this.raycasters.forEach(raycaster => {
+      raycaster.setFromCamera(SCREEN_CENTER, this.camera);
+      raycaster.far = this.range;
+      
+      // Uniform over the cone's disc, not bunched in the middle
+      const angle = Math.random() * Math.PI * 2;
+      const offset = Math.tan(spread * Math.sqrt(Math.random()));
+      raycaster.ray.direction
+        .addScaledVector(this.right, Math.cos(angle) * offset)
+        .addScaledVector(this.up, Math.sin(angle) * offset)
+        .normalize();
+    });
+    
+    // Each shot opens the cone for the next one
+    this.bloom = Math.min(this.bloom + this.spread.perShot, this.spread.max - this.spread.base);
     
     // Get origin and direction
     const origin = this.player.getPosition();
@@ -179,7 +294,8 @@ export class Weapon {
     const hitResult = {
       origin: origin,
       direction: direction,
-      raycaster: this.raycaster
+      raycaster: this.raycaster,
+      raycasters: this.raycasters
     };
     
     // Update HUD
@@ -188,6 +304,42 @@ export class Weapon {
     return hitResult;
   }
   
+  /**
+   * Current cone half-angle - bloom plus penalties for moving fast or jumping
+   * @returns {number} Degrees
+   */
+  getSpread() {
+    let spread = this.spread.base + this.bloom;
+    if (this.player.isSprinting) spread += this.spread.sprint;
+    if (!this.player.onGround) spread += this.spread.air;
+    return Math.min(spread, this.spread.max);
+  }
+  
+  /**
+   * Damage of one pellet after falloff
+   * @param {number} distance - Distance to the target
+   * @returns {number}
+   */
+  getDamageAt(distance) {
+    const points = this.falloff;
+    let multiplier = points[points.length - 1][1];
+    
+    if (distance <= points[0][0]) {
+      multiplier = points[0][1];
+    } else {
+      for (let i = 1; i < points.length; i++) {
+        if (distance <= points[i][0]) {
+          const [d0, m0] = points[i - 1];
+          const [d1, m1] = points[i];
+          multiplier = m0 + (m1 - m0) * (distance - d0) / (d1 - d0);
+          break;
+        }
+      }
+    }
+    
+    return this.damage * multiplier;
+  }
+  
   showMuzzleFlash() {
     const flash = document.getElementById('muzzle-flash');
     if (flash) {
@@ -198,54 +350,129 @@ export class Weapon {
     }
   }
   
-  createHitMarker(position) {
-    // Create a small burst effect at hit point
-    const geometry = new THREE.SphereGeometry(0.1, 8, 8);
-    const material = new THREE.MeshBasicMaterial({
-      color: 0xff6600,
-      transparent: true,
-      opacity: 1
-    });
-    const marker = new THREE.Mesh(geometry, material);
-    marker.position.copy(position);
-    this.scene.add(marker);
-    
-    this.hitMarkers.push({
-      mesh: marker,
-      life: 0.3,
-      maxLife: 0.3
-    });
+  /**
+   * World position of the barrel tip
+   * @param {THREE.Vector3} target - Receives the position
+   * @returns {THREE.Vector3}
+   */
+  getMuzzlePosition(target) {
+    return this.muzzle.getWorldPosition(target);
   }
   
+  /**
+   * Start reloading - the magazine fills when the timer runs out
+   * @returns {boolean} Whether a reload started
+   */
   reload() {
-    if (this.isReloading || this.ammo === this.maxAmmo || this.reserveAmmo <= 0) return;
+    if (this.isReloading || this.ammo === this.maxAmmo || this.reserveAmmo <= 0) return false;
     
     this.isReloading = true;
+    this.reloadTactical = this.ammo > 0;
+    this.reloadDuration = this.reloadTactical ? this.tacticalReloadTime : this.reloadTime;
+    this.reloadTimer = 0;
     
+    if (this.onReload) this.onReload(ReloadPhase.START, this);
+    return true;
+  }
+  
+  finishReload() {
     // Calculate ammo to reload
     const needed = this.maxAmmo - this.ammo;
     const available = Math.min(needed, this.reserveAmmo);
     
-    // INSTANT reload (no delay)
     this.ammo += available;
     this.reserveAmmo -= available;
     this.isReloading = false;
+    if (this.slide) this.slide.position.z = this.slideRestZ;
     this.updateAmmoDisplay();
+    
+    if (this.onReload) this.onReload(ReloadPhase.FINISH, this);
+  }
+  
+  /**
+   * Abort a reload in progress - the magazine stays as it was
+   */
+  cancelReload() {
+    if (!this.isReloading) return;
+    
+    this.isReloading = false;
+    if (this.slide) this.slide.position.z = this.slideRestZ;
+    
+    if (this.onReload) this.onReload(ReloadPhase.CANCEL, this);
+  }
+  
+  /**
+   * @returns {number} 0-1 through the current reload (0 when not reloading)
+   */
+  getReloadProgress() {
+    return this.isReloading ? Math.min(1, this.reloadTimer / this.reloadDuration) : 0;
+  }
+  
+  /**
+   * Top up reserve ammo from a pickup
+   * @param {number} amount - Rounds offered
+   * @returns {number} Rounds actually taken (capped at maxReserveAmmo)
+   */
+  addAmmo(amount) {
+    const taken = Math.min(amount, this.maxReserveAmmo - this.reserveAmmo);
+    this.reserveAmmo += taken;
+    this.updateAmmoDisplay();
+    return taken;
   }
   
   updateAmmoDisplay() {
     const ammoText = document.getElementById('ammo-text');
     if (ammoText) {
-      ammoText.innerHTML = `${this.ammo} <span>/ ${this.maxAmmo}</span>`;
+      ammoText.innerHTML = `${this.ammo} <span>/ ${this.reserveAmmo}</span>`;
     }
   }
   
+  /**
+   * Set an armory upgrade - stats are recomputed from the definition
+   * @param {string} stat - WeaponModifier value
+   * @param {number} value - Multiplier
+   */
+  setModifier(stat, value) {
+    if (!Object.prototype.hasOwnProperty.call(STOCK_MODIFIERS, stat)) {
+      throw new Error(`Unknown weapon modifier "${stat}"`);
+    }
+    this.modifiers[stat] = value;
+    this.applyModifiers();
+  }
+  
+  applyModifiers() {
+    const { stats, recoil, spread } = this.definition;
+    const modifiers = this.modifiers;
+    
+    this.damage = stats.damage * modifiers.damage;
+    this.maxAmmo = Math.round(stats.magazineSize * modifiers.magazine);
+    this.ammo = Math.min(this.ammo, this.maxAmmo);
+    this.reloadTime = stats.reloadTime * modifiers.reload;
+    this.tacticalReloadTime = stats.tacticalReloadTime * modifiers.reload;
+    this.recoil = { ...recoil, kick: recoil.kick * modifiers.recoil };
+    this.spread = { ...spread, perShot: spread.perShot * modifiers.recoil };
+  }
+  
   reset() {
+    this.cancelReload();
+    this.modifiers = { ...STOCK_MODIFIERS };
+    this.applyModifiers();
     this.ammo = this.maxAmmo;
-    this.reserveAmmo = 60;
-    this.isReloading = false;
+    this.reserveAmmo = this.definition.stats.reserveAmmo;
     this.recoilAmount = 0;
+    this.bloom = 0;
+    this.fireCooldown = 0;
+    this.fireMode = this.fireModes[0];
+    this.releaseTrigger();
     this.updateAmmoDisplay();
   }
+  
+  /**
+   * Remove the viewmodel and effects (weapon dropped from the inventory)
+   */
+  dispose() {
+    this.camera.remove(this.weaponModel);
+    this.scene.remove(this.tracerLine);
+  }
 }
 
@@ -0,0 +1,263 @@
+import * as THREE from 'three';
+
+/**
+ * Weapon definitions - stats, magazine, fire mode, viewmodel and recoil
+ * per weapon type. Mirrors the enemy archetype registry: register a type
+ * once, then the inventory builds Weapon instances from it.
+ */
+
+export const FireMode = {
+  SEMI: 'semi',   // One shot per trigger press
+  BURST: 'burst', // A few shots per trigger press
+  AUTO: 'auto'    // Keeps firing while the trigger is held
+};
+
+/**
+ * Add a box part to a viewmodel
+ * @returns {THREE.Mesh}
+ */
+function part(group, size, color, position, options = {}) {
+  const mesh = new THREE.Mesh(
+    new THREE.BoxGeometry(size[0], size[1], size[2]),
+    new THREE.MeshStandardMaterial({
+      color,
+      metalness: typeof options.metalness === 'number' ? options.metalness : 0.8,
+      roughness: typeof options.roughness === 'number' ? options.roughness : 0.3
+    })
+  );
+  mesh.position.set(position[0], position[1], position[2]);
+  if (options.rotationX) mesh.rotation.x = options.rotationX;
+  if (options.name) mesh.name = options.name;
+  group.add(mesh);
+  return mesh;
+}
+
+/**
+ * Simple pistol model - the moving slide is named 'slide'
+ * @returns {THREE.Group}
+ */
+export function buildPistol() {
+  const group = new THREE.Group();
+  part(group, [0.08, 0.15, 0.3], 0x333333, [0, -0.05, 0]);                       // Body
+  part(group, [0.05, 0.05, 0.25], 0x222222, [0, 0.02, -0.2], { metalness: 0.9, roughness: 0.2 }); // Barrel
+  part(group, [0.06, 0.12, 0.08], 0x4a3728, [0, -0.12, 0.05], { metalness: 0.1, roughness: 0.8, rotationX: 0.2 }); // Grip
+  part(group, [0.06, 0.06, 0.28], 0x444444, [0, 0.04, -0.05], { metalness: 0.85, roughness: 0.25, name: 'slide' });
+  return group;
+}
+
+/**
+ * Pump shotgun - the pump is the moving 'slide'
+ * @returns {THREE.Group}
+ */
+export function buildShotgun() {
+  const group = new THREE.Group();
+  part(group, [0.09, 0.12, 0.3], 0x2a2a2a, [0, -0.03, 0.05]);                    // Receiver
+  part(group, [0.05, 0.05, 0.6], 0x1a1a1a, [0, 0.03, -0.4], { metalness: 0.9, roughness: 0.2 }); // Barrel
+  part(group, [0.04, 0.04, 0.5], 0x1a1a1a, [0, -0.02, -0.35]);                   // Tube magazine
+  part(group, [0.08, 0.07, 0.18], 0x5a3d24, [0, -0.03, -0.35], { metalness: 0.1, roughness: 0.8, name: 'slide' }); // Pump
+  part(group, [0.07, 0.12, 0.3], 0x5a3d24, [0, -0.08, 0.3], { metalness: 0.1, roughness: 0.8, rotationX: -0.15 }); // Stock
+  return group;
+}
+
+/**
+ * Assault rifle - the charging handle is the moving 'slide'
+ * @returns {THREE.Group}
+ */
+export function buildRifle() {
+  const group = new THREE.Group();
+  part(group, [0.07, 0.12, 0.45], 0x3b3f36, [0, -0.03, -0.05]);                  // Body
+  part(group, [0.035, 0.035, 0.35], 0x1a1a1a, [0, 0.01, -0.45], { metalness: 0.9, roughness: 0.2 }); // Barrel
+  part(group, [0.05, 0.16, 0.07], 0x222222, [0, -0.15, -0.1], { rotationX: 0.15 }); // Magazine
+  part(group, [0.05, 0.11, 0.06], 0x222222, [0, -0.13, 0.08], { metalness: 0.1, roughness: 0.8, rotationX: 0.25 }); // Grip
+  part(group, [0.06, 0.1, 0.22], 0x3b3f36, [0, -0.04, 0.27]);                    // Stock
+  part(group, [0.04, 0.04, 0.14], 0x111111, [0, 0.06, -0.02]);                   // Sight
+  part(group, [0.02, 0.02, 0.06], 0x555555, [0.04, 0.02, 0.06], { name: 'slide' });
+  return group;
+}
+
+const STAT_KEYS = ['damage', 'range', 'fireRate', 'magazineSize', 'reserveAmmo', 'maxReserveAmmo', 'reloadTime'];
+
+const MAX_SLOT = 9; // Number keys 1-9
+
+// How the viewmodel kicks back per shot and settles
+const DEFAULT_RECOIL = {
+  kick: 1,      // Recoil added per shot (decays at `recovery` per second)
+  push: 0.1,    // Viewmodel pushback per unit of recoil
+  rise: 0.2,    // Muzzle climb (radians) per unit of recoil
+  recovery: 5
+};
+
+// Cone half-angles in degrees - the crosshair opens up to match
+const DEFAULT_SPREAD = {
+  base: 0.5,    // Standing still, first shot
+  max: 6,       // Cap on the total
+  perShot: 1,   // Bloom added by each shot
+  recovery: 8,  // Bloom recovered per second
+  sprint: 3,    // Extra while sprinting
+  air: 4        // Extra while off the ground
+};
+
+// Rounds per burst, and the extra pause after one before the next can start
+const DEFAULT_BURST = {
+  count: 3,
+  delay: 0.25
+};
+
+// [distance, damage multiplier] points, linear in between, flat past the ends
+const DEFAULT_FALLOFF = [[0, 1]];
+
+/**
+ * Registry of weapon definitions keyed by type name
+ */
+export class WeaponRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+  
+  /**
+   * Register (or replace) a weapon type
+   * @param {string} type - Type name
+   * @param {object} definition - { name, slot, stats, fireModes?, burst?, pellets?, spread?, falloff?, buildModel, muzzle?, recoil?, viewPosition?, holsterTime?, drawTime? }
+   * @returns {object} The stored definition
+   */
+  register(type, definition) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new Error('Weapon definition needs a non-empty type name');
+    }
+    
+    const { stats = {}, slot } = definition;
+    const missing = STAT_KEYS.filter(key => typeof stats[key] !== 'number');
+    if (missing.length > 0) {
+      throw new Error(`Weapon "${type}" is missing stats: ${missing.join(', ')}`);
+    }
+    if (!Number.isInteger(slot) || slot < 1 || slot > MAX_SLOT) {
+      throw new Error(`Weapon "${type}" needs a slot from 1 to ${MAX_SLOT}`);
+    }
+    
+    if (stats.tacticalReloadTime !== undefined && typeof stats.tacticalReloadTime !== 'number') {
+      throw new Error(`Weapon "${type}" needs a numeric tacticalReloadTime`);
+    }
+    
+    // The fire-mode key cycles through these, the first is selected on pickup
+    const fireModes = definition.fireModes || [FireMode.SEMI];
+    if (!Array.isArray(fireModes) || fireModes.length === 0) {
+      throw new Error(`Weapon "${type}" needs at least one fire mode`);
+    }
+    const badMode = fireModes.find(mode => !Object.values(FireMode).includes(mode));
+    if (badMode) {
+      throw new Error(`Weapon "${type}" has unknown fire mode "${badMode}"`);
+    }
+    const burst = { ...DEFAULT_BURST, ...definition.burst };
+    if (!Number.isInteger(burst.count) || burst.count < 2 || typeof burst.delay !== 'number' || burst.delay < 0) {
+      throw new Error(`Weapon "${type}" burst needs a count of 2 or more and a delay >= 0`);
+    }
+    const pellets = typeof definition.pellets === 'number' ? definition.pellets : 1;
+    if (!Number.isInteger(pellets) || pellets < 1) {
+      throw new Error(`Weapon "${type}" needs a whole number of pellets (1 or more)`);
+    }
+    
+    const falloff = definition.falloff || DEFAULT_FALLOFF;
+    const badPoint = falloff.find((point, i) => !Array.isArray(point) || point.length !== 2 ||
+      typeof point[0] !== 'number' || typeof point[1] !== 'number' || point[1] < 0 ||
+      (i > 0 && point[0] <= falloff[i - 1][0]));
+    if (falloff.length === 0 || badPoint) {
+      throw new Error(`Weapon "${type}" falloff needs [distance, multiplier] points in increasing distance`);
+    }
+    
+    if (typeof definition.buildModel !== 'function') {
+      throw new Error(`Weapon "${type}" needs a buildModel function`);
+    }
+    
+    if (this.definitions.has(type)) {
+      console.warn(`Weapon "${type}" replaced`);
+    }
+    
+    const weapon = {
+      type,
+      name: definition.name || type,
+      slot,
+      // Reloading with a round still chambered skips racking the slide
+      stats: { tacticalReloadTime: stats.reloadTime * 0.75, ...stats },
+      fireModes: [...fireModes],
+      burst,
+      pellets, // Rays per shot - damage is per pellet
+      spread: { ...DEFAULT_SPREAD, ...definition.spread },
+      falloff: falloff.map(point => [...point]),
+      buildModel: definition.buildModel,
+      muzzle: definition.muzzle || [0, 0.02, -0.35], // Barrel tip in model space
+      recoil: { ...DEFAULT_RECOIL, ...definition.recoil },
+      viewPosition: definition.viewPosition || [0.25, -0.2, -0.4],
+      holsterTime: typeof definition.holsterTime === 'number' ? definition.holsterTime : 0.2,
+      drawTime: typeof definition.drawTime === 'number' ? definition.drawTime : 0.3
+    };
+    
+    this.definitions.set(type, weapon);
+    return weapon;
+  }
+  
+  /**
+   * Look up a weapon definition
+   * @param {string} type - Type name
+   * @returns {object}
+   */
+  get(type) {
+    const definition = this.definitions.get(type);
+    if (!definition) {
+      throw new Error(`Unknown weapon "${type}" - register it with weapons.register()`);
+    }
+    return definition;
+  }
+  
+  has(type) {
+    return this.definitions.has(type);
+  }
+  
+  getTypes() {
+    return [...this.definitions.keys()];
+  }
+}
+
+// Shared registry with the built-in weapons
+export const weapons = new WeaponRegistry();
+
+weapons.register('pistol', {
+  name: 'Pistol',
+  slot: 1,
+  stats: { damage: 25, range: 100, fireRate: 0.2, magazineSize: 12, reserveAmmo: 60, maxReserveAmmo: 120, reloadTime: 1.5, tacticalReloadTime: 1.1 },
+  spread: { base: 0.3, max: 5, perShot: 1.2, recovery: 6, sprint: 2.5 },
+  falloff: [[25, 1], [80, 0.6]],
+  buildModel: buildPistol,
+  muzzle: [0, 0.02, -0.33],
+  holsterTime: 0.15,
+  drawTime: 0.25
+});
+
+weapons.register('shotgun', {
+  name: 'Shotgun',
+  slot: 2,
+  stats: { damage: 12, range: 30, fireRate: 0.8, magazineSize: 6, reserveAmmo: 18, maxReserveAmmo: 36, reloadTime: 2.5, tacticalReloadTime: 1.9 },
+  pellets: 8,
+  spread: { base: 4, max: 9, perShot: 2, recovery: 4, sprint: 2, air: 3 },
+  falloff: [[6, 1], [25, 0.25]], // Devastating up close, peppering at range
+  buildModel: buildShotgun,
+  muzzle: [0, 0.03, -0.7],
+  recoil: { kick: 1, push: 0.2, rise: 0.45, recovery: 3 },
+  viewPosition: [0.25, -0.22, -0.35],
+  holsterTime: 0.25,
+  drawTime: 0.4
+});
+
+weapons.register('rifle', {
+  name: 'Rifle',
+  slot: 3,
+  stats: { damage: 20, range: 150, fireRate: 0.1, magazineSize: 30, reserveAmmo: 90, maxReserveAmmo: 180, reloadTime: 2, tacticalReloadTime: 1.5 },
+  fireModes: [FireMode.AUTO, FireMode.BURST, FireMode.SEMI],
+  spread: { base: 0.4, max: 6, perShot: 0.5, recovery: 5, air: 5 }, // Accurate first shots, climbs when held
+  falloff: [[40, 1], [150, 0.5]],
+  buildModel: buildRifle,
+  muzzle: [0, 0.01, -0.63],
+  recoil: { kick: 0.5, push: 0.06, rise: 0.1, recovery: 8 },
+  viewPosition: [0.22, -0.2, -0.4],
+  drawTime: 0.35
+});
+
@@ -0,0 +1,250 @@
+import { Weapon } from './Weapon.js';
+import { weapons } from './WeaponDefinitions.js';
+import { GameEvents } from './EventSystem.js';
+
+/**
+ * WeaponInventory - The weapons the player carries, one per slot
+ *
+ * Number keys pick a slot and the mouse wheel cycles through owned ones.
+ * Switching lowers the current gun (holster), then raises the new one
+ * (draw); nothing fires until the draw finishes. Each Weapon keeps its
+ * own magazine, reserve and fire mode, so switching never loses ammo.
+ * Switching or sprinting interrupts a reload.
+ */
+
+const SwitchState = {
+  READY: 'ready',
+  HOLSTERING: 'holstering',
+  DRAWING: 'drawing'
+};
+
+// Weapons the player starts a new game with (first one is drawn) - the rest are bought in the armory
+const STARTING_LOADOUT = ['pistol'];
+
+export class WeaponInventory {
+  /**
+   * @param {object} options
+   * @param {THREE.Scene} options.scene
+   * @param {THREE.Camera} options.camera - Viewmodels are parented to it
+   * @param {Player} options.player
+   * @param {EventSystem} options.events - WEAPON_SWITCHED and FIRE_MODE_CHANGED are emitted here
+   * @param {string[]} [options.loadout] - Starting weapon types
+   */
+  constructor({ scene, camera, player, events, loadout = STARTING_LOADOUT }) {
+    this.scene = scene;
+    this.camera = camera;
+    this.player = player;
+    this.events = events;
+    this.loadout = loadout;
+    
+    this.slots = new Map(); // slot number -> Weapon
+    this.active = null;
+    this.pending = null;    // Weapon being switched to
+    this.switchState = SwitchState.READY;
+    this.switchTimer = 0;
+    
+    this.loadout.forEach(type => this.give(type));
+    this.drawNow(this.slots.get(this.getSlotNumbers()[0]));
+  }
+  
+  /**
+   * Add a weapon to its slot (replacing whatever was there)
+   * @param {string} type - Registered weapon type
+   * @returns {Weapon}
+   */
+  give(type) {
+    const definition = weapons.get(type);
+    const current = this.slots.get(definition.slot);
+    if (current && current.type === type) {
+      return current;
+    }
+    if (current) {
+      if (current === this.active) this.active = null;
+      current.dispose();
+    }
+    
+    const weapon = new Weapon(this.scene, this.camera, this.player, definition);
+    weapon.onReload = (phase) => {
+      this.events.emit(GameEvents.WEAPON_RELOAD, {
+        phase,
+        weapon,
+        tactical: weapon.reloadTactical,
+        duration: weapon.reloadDuration
+      });
+    };
+    this.slots.set(definition.slot, weapon);
+    return weapon;
+  }
+  
+  has(type) {
+    return [...this.slots.values()].some(weapon => weapon.type === type);
+  }
+  
+  getSlotNumbers() {
+    return [...this.slots.keys()].sort((a, b) => a - b);
+  }
+  
+  /**
+   * Start switching to the weapon in a slot (number keys)
+   * @param {number} slot - 1-9
+   */
+  switchTo(slot) {
+    const weapon = this.slots.get(slot);
+    if (!weapon) return;
+    
+    // Already holding it (or drawing it) - nothing to do
+    if (weapon === this.active && this.switchState !== SwitchState.HOLSTERING) return;
+    if (weapon === this.pending) return;
+    
+    // Changed our mind while holstering - just raise it back
+    if (weapon === this.active) {
+      this.pending = null;
+      this.startDraw(weapon);
+      return;
+    }
+    
+    this.pending = weapon;
+    this.active.cancelReload();
+    this.active.releaseTrigger();
+    if (this.switchState !== SwitchState.HOLSTERING) {
+      this.switchState = SwitchState.HOLSTERING;
+      this.switchTimer = this.active.definition.holsterTime * (1 - this.active.holster);
+    }
+  }
+  
+  /**
+   * Switch to the next/previous owned weapon (mouse wheel)
+   * @param {number} direction - 1 = next slot, -1 = previous
+   */
+  cycle(direction) {
+    const slots = this.getSlotNumbers();
+    if (slots.length < 2) return;
+    
+    const from = (this.pending || this.active).slot;
+    const index = slots.indexOf(from);
+    const next = slots[(index + direction + slots.length) % slots.length];
+    this.switchTo(next);
+  }
+  
+  startDraw(weapon) {
+    this.active = weapon;
+    this.switchState = SwitchState.DRAWING;
+    this.switchTimer = weapon.definition.drawTime * weapon.holster;
+    weapon.updateAmmoDisplay();
+    this.events.emit(GameEvents.WEAPON_SWITCHED, { weapon, slot: weapon.slot });
+  }
+  
+  /**
+   * Put a weapon straight in hand with no animation (new game)
+   */
+  drawNow(weapon) {
+    this.slots.forEach(other => { other.holster = 1; });
+    this.pending = null;
+    this.active = weapon;
+    weapon.holster = 0;
+    this.switchState = SwitchState.READY;
+    weapon.updateAmmoDisplay();
+    this.events.emit(GameEvents.WEAPON_SWITCHED, { weapon, slot: weapon.slot });
+  }
+  
+  update(deltaTime) {
+    // Can't run and reload at the same time
+    if (this.active.isReloading && this.player.isSprinting) {
+      this.active.cancelReload();
+    }
+    
+    if (this.switchState === SwitchState.HOLSTERING) {
+      const holsterTime = this.active.definition.holsterTime;
+      this.switchTimer -= deltaTime;
+      this.active.holster = holsterTime > 0 ? 1 - Math.max(0, this.switchTimer) / holsterTime : 1;
+      
+      if (this.switchTimer <= 0) {
+        this.active.holster = 1;
+        const next = this.pending;
+        this.pending = null;
+        this.startDraw(next);
+      }
+    } else if (this.switchState === SwitchState.DRAWING) {
+      const drawTime = this.active.definition.drawTime;
+      this.switchTimer -= deltaTime;
+      this.active.holster = drawTime > 0 ? Math.max(0, this.switchTimer) / drawTime : 0;
+      
+      if (this.switchTimer <= 0) {
+        this.active.holster = 0;
+        this.switchState = SwitchState.READY;
+      }
+    }
+    
+    // Every weapon updates so recoil and bloom settle after a switch
+    this.slots.forEach(weapon => weapon.update(deltaTime));
+  }
+  
+  isReady() {
+    return this.switchState === SwitchState.READY;
+  }
+  
+  /**
+   * Trigger for the weapon in hand - call every frame
+   * @param {boolean} held - Trigger is down
+   * @returns {object|false} Weapon.shoot() result, false while switching
+   */
+  updateTrigger(held) {
+    if (!this.isReady()) return false;
+    return this.active.updateTrigger(held);
+  }
+  
+  /**
+   * Next fire mode for the weapon in hand (fire-mode key)
+   */
+  cycleFireMode() {
+    const weapon = this.active;
+    if (weapon.fireModes.length < 2) return;
+    
+    const mode = weapon.cycleFireMode();
+    this.events.emit(GameEvents.FIRE_MODE_CHANGED, { weapon, mode });
+  }
+  
+  reload() {
+    if (!this.isReady() || this.player.isSprinting) return;
+    this.active.reload();
+  }
+  
+  /**
+   * Whether an ammo pickup would be any use
+   * @returns {boolean}
+   */
+  needsAmmo() {
+    return [...this.slots.values()].some(weapon => weapon.reserveAmmo < weapon.maxReserveAmmo);
+  }
+  
+  /**
+   * Give pickup ammo to the weapon in hand, or the first one with room
+   * @param {number} amount - Rounds
+   * @returns {number} Rounds taken
+   */
+  addAmmo(amount) {
+    const order = [this.active, ...this.getSlotNumbers().map(slot => this.slots.get(slot))];
+    const weapon = order.find(candidate => candidate.reserveAmmo < candidate.maxReserveAmmo);
+    if (!weapon) return 0;
+    
+    const taken = weapon.addAmmo(amount);
+    this.active.updateAmmoDisplay();
+    return taken;
+  }
+  
+  /**
+   * Back to the starting loadout with full ammo (new game)
+   */
+  reset() {
+    this.slots.forEach((weapon, slot) => {
+      if (!this.loadout.includes(weapon.type)) {
+        weapon.dispose();
+        this.slots.delete(slot);
+      }
+    });
+    this.loadout.forEach(type => this.give(type));
+    this.slots.forEach(weapon => weapon.reset());
+    this.drawNow(this.slots.get(this.getSlotNumbers()[0]));
+  }
+}
+
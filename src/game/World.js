@@ -1,13 +1,54 @@
 import * as THREE from 'three';
+import { NavGrid } from './NavGrid.js';
+import { CollisionWorld } from './Collision.js';
+import { ParticleEffect } from './ParticleSystem.js';
+
+// What a mesh is made of (userData.surface) - picks bullet impact effects
+export const Surface = {
+  SAND: 'sand',
+  METAL: 'metal',
+  ROCK: 'rock',
+  WOOD: 'wood',
+  PLANT: 'plant'
+};
+
+// Desert floor: a GROUND_SIZE square split into GROUND_SEGMENTS quads per side
+const GROUND_SIZE = 100;
+const GROUND_SEGMENTS = 50;
+
+/**
+ * Dune height at a point of the (unrotated) ground plane
+ */
+function duneHeight(x, y) {
+  // Perlin-like noise approximation using sin
+  return Math.sin(x * 0.1) * Math.cos(y * 0.1) * 0.5 +
+    Math.sin(x * 0.05 + 1) * Math.sin(y * 0.05 + 2) * 1;
+}
 
 /**
  * World - Desert environment with crashed plane and props
  */
 export class World {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {ParticleSystem} particles - Wreck smoke and explosions
+   */
+  constructor(scene, particles) {
     this.scene = scene;
-    this.objects = []; // For collision detection
+    this.particles = particles;
+    this.objects = []; // Solid meshes - player collision, bullets, line of sight and pathfinding all use these
     this.traps = [];
+    this.hazards = []; // Fire patches and sand pits - areas that cause status effects while inside
+    
+    // Per-level props and traps live here so they can be swapped out
+    this.levelGroup = null;
+    this.staticObjects = [];
+    
+    // Enemy pathfinding, re-baked from `objects` for every level
+    this.navGrid = new NavGrid();
+    
+    // Player collision shapes, rebuilt from `objects` with the nav grid
+    this.collision = new CollisionWorld();
     
     this.init();
   }
@@ -16,11 +57,64 @@ export class World {
     this.createSky();
     this.createGround();
     this.createCrashedPlane();
-    this.createRocks();
-    this.createCacti();
-    this.createTraps();
     this.createLighting();
     this.createDust();
+    this.createExplosionAssets();
+    
+    // Everything collected so far survives level changes
+    this.staticObjects = [...this.objects];
+  }
+  
+  /**
+   * Build the level-specific layout (props, traps, fog, lighting)
+   * @param {object} level - Normalized level from LevelLoader
+   */
+  loadLevel(level) {
+    this.clearLevel();
+    
+    this.levelGroup = new THREE.Group();
+    this.scene.add(this.levelGroup);
+    
+    this.createRocks(level.props.rocks);
+    this.createCacti(level.props.cacti);
+    this.createTraps(level.traps);
+    this.applyEnvironment(level.environment);
+    this.navGrid.bake(this.objects);
+    this.collision.build(this.objects);
+  }
+  
+  clearLevel() {
+    if (this.levelGroup) {
+      this.scene.remove(this.levelGroup);
+      
+      // Free GPU resources of the previous layout
+      this.levelGroup.traverse((child) => {
+        if (child.isMesh) {
+          child.geometry.dispose();
+          child.material.dispose();
+        }
+      });
+      this.levelGroup = null;
+    }
+    
+    this.hazards.forEach(hazard => this.particles.stopEmitter(hazard.emitter));
+    
+    this.objects = [...this.staticObjects];
+    this.traps = [];
+    this.hazards = [];
+  }
+  
+  applyEnvironment(environment) {
+    if (this.scene.fog) {
+      this.scene.fog.color.set(environment.fog.color);
+      this.scene.fog.density = environment.fog.density;
+    }
+    
+    this.ambientLight.color.set(environment.ambient.color);
+    this.ambientLight.intensity = environment.ambient.intensity;
+    
+    this.sunLight.color.set(environment.sun.color);
+    this.sunLight.intensity = environment.sun.intensity;
   }
   
   createSky() {
@@ -61,20 +155,12 @@ export class World {
   
   createGround() {
     // Main desert floor
-    const groundGeom = new THREE.PlaneGeometry(100, 100, 50, 50);
+    const groundGeom = new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE, GROUND_SEGMENTS, GROUND_SEGMENTS);
     
-    // Add some height variation for dunes
+    // Add some height variation for dunes (getHeightAt follows the same triangles)
     const positions = groundGeom.attributes.position;
     for (let i = 0; i < positions.count; i++) {
-      const x = positions.getX(i);
-      const y = positions.getY(i);
-      
-      // Perlin-like noise approximation using sin
-      const noise = 
-        Math.sin(x * 0.1) * Math.cos(y * 0.1) * 0.5 +
-        Math.sin(x * 0.05 + 1) * Math.sin(y * 0.05 + 2) * 1;
-      
-      positions.setZ(i, noise);
+      positions.setZ(i, duneHeight(positions.getX(i), positions.getY(i)));
     }
     
     groundGeom.computeVertexNormals();
@@ -89,10 +175,11 @@ export class World {
     const ground = new THREE.Mesh(groundGeom, groundMat);
     ground.rotation.x = -Math.PI / 2;
     ground.receiveShadow = true;
+    ground.userData.surface = Surface.SAND;
     this.scene.add(ground);
+    this.ground = ground; // Bullets hit it, but it's not an obstacle
     
-    // Add subtle ground details (darker patches)
-    const detailGeom = new THREE.PlaneGeometry(100, 100);
+    // Add subtle ground details (darker patches) - draped over the same dunes
     const detailMat = new THREE.MeshStandardMaterial({
       color: 0xc49464,
       roughness: 1,
@@ -100,7 +187,7 @@ export class World {
       transparent: true,
       opacity: 0.3
     });
-    const detail = new THREE.Mesh(detailGeom, detailMat);
+    const detail = new THREE.Mesh(groundGeom, detailMat);
     detail.rotation.x = -Math.PI / 2;
     detail.position.y = 0.01;
     this.scene.add(detail);
@@ -131,6 +218,8 @@ export class World {
     nose.position.set(9.5, 1.5, 0);
     nose.castShadow = true;
     planeGroup.add(nose);
+    nose.userData.surface = Surface.METAL;
+    this.objects.push(nose);
     
     // Tail section
     const tailGeom = new THREE.ConeGeometry(2.5, 3, 12);
@@ -139,6 +228,8 @@ export class World {
     tail.position.set(-9, 1.5, 0);
     tail.castShadow = true;
     planeGroup.add(tail);
+    tail.userData.surface = Surface.METAL;
+    this.objects.push(tail);
     
     // Broken wing (left) - still attached but damaged
     const wingGeom = new THREE.BoxGeometry(1, 0.3, 8);
@@ -153,6 +244,8 @@ export class World {
     leftWing.rotation.x = -0.2;
     leftWing.castShadow = true;
     planeGroup.add(leftWing);
+    leftWing.userData.surface = Surface.METAL;
+    this.objects.push(leftWing);
     
     // Broken wing (right) - on ground
     const rightWing = new THREE.Mesh(wingGeom, wingMat);
@@ -161,6 +254,7 @@ export class World {
     rightWing.rotation.z = 0.1;
     rightWing.castShadow = true;
     planeGroup.add(rightWing);
+    rightWing.userData.surface = Surface.METAL;
     this.objects.push(rightWing);
     
     // Tail fin
@@ -169,6 +263,8 @@ export class World {
     fin.position.set(-8, 4, 0);
     fin.castShadow = true;
     planeGroup.add(fin);
+    fin.userData.surface = Surface.METAL;
+    this.objects.push(fin);
     
     // Engine (fallen off)
     const engineGeom = new THREE.CylinderGeometry(1, 1.2, 3, 8);
@@ -183,6 +279,7 @@ export class World {
     engine.rotation.z = 0.3;
     engine.castShadow = true;
     planeGroup.add(engine);
+    engine.userData.surface = Surface.METAL;
     this.objects.push(engine);
     
     // Cargo door (starts closed, opens when objective complete)
@@ -208,6 +305,8 @@ export class World {
     const interiorFloor = new THREE.Mesh(interiorFloorGeom, interiorFloorMat);
     interiorFloor.position.set(-5.5, 0.1, -2.5);
     planeGroup.add(interiorFloor);
+    interiorFloor.userData.surface = Surface.METAL;
+    this.objects.push(interiorFloor);
     
     // Interior walls (left/right)
     const wallMat = new THREE.MeshStandardMaterial({
@@ -217,10 +316,14 @@ export class World {
     const leftWall = new THREE.Mesh(new THREE.BoxGeometry(0.1, 3, 8), wallMat);
     leftWall.position.set(-5.5, 1.5, -4);
     planeGroup.add(leftWall);
+    leftWall.userData.surface = Surface.METAL;
+    this.objects.push(leftWall);
     
     const rightWall = new THREE.Mesh(new THREE.BoxGeometry(0.1, 3, 8), wallMat);
     rightWall.position.set(-5.5, 1.5, -1);
     planeGroup.add(rightWall);
+    rightWall.userData.surface = Surface.METAL;
+    this.objects.push(rightWall);
     
     // Secret item (glowing cube) - starts hidden
     const itemGeom = new THREE.BoxGeometry(0.5, 0.5, 0.5);
@@ -260,32 +363,11 @@ export class World {
       );
       box.rotation.y = Math.random() * Math.PI;
       box.castShadow = true;
+      box.userData.surface = Surface.WOOD;
       planeGroup.add(box);
       this.objects.push(box);
     }
     
-    // Smoke particles from wreckage (simplified with mesh)
-    const smokeGeom = new THREE.SphereGeometry(0.5, 6, 6);
-    const smokeMat = new THREE.MeshBasicMaterial({
-      color: 0x444444,
-      transparent: true,
-      opacity: 0.3
-    });
-    
-    for (let i = 0; i < 8; i++) {
-      const smoke = new THREE.Mesh(smokeGeom, smokeMat.clone());
-      smoke.position.set(
-        -2 + Math.random() * 6,
-        2 + Math.random() * 4,
-        Math.random() * 2 - 1
-      );
-      smoke.scale.setScalar(1 + Math.random() * 2);
-      planeGroup.add(smoke);
-      
-      // Animate smoke
-      this.animateSmoke(smoke);
-    }
-    
     // Position the crashed plane in the scene
     planeGroup.position.set(0, 0, -25);
     planeGroup.rotation.y = 0.3;
@@ -293,32 +375,19 @@ export class World {
     this.scene.add(planeGroup);
     this.crashedPlane = planeGroup;
     
+    // Smoke rising from the wreckage
+    planeGroup.updateMatrixWorld();
+    this.wreckSmoke = this.particles.startEmitter(
+      ParticleEffect.SMOKE_PLUME,
+      planeGroup.localToWorld(new THREE.Vector3(1, 2.5, 0))
+    );
+    
     // Add collision box for the main fuselage
+    fuselage.userData.surface = Surface.METAL;
     this.objects.push(fuselage);
   }
   
-  animateSmoke(smoke) {
-    const startY = smoke.position.y;
-    const speed = 0.5 + Math.random() * 0.5;
-    
-    const animate = () => {
-      smoke.position.y += 0.02 * speed;
-      smoke.material.opacity -= 0.001;
-      
-      if (smoke.material.opacity > 0) {
-        requestAnimationFrame(animate);
-      } else {
-        // Reset
-        smoke.position.y = startY;
-        smoke.material.opacity = 0.3;
-        requestAnimationFrame(animate);
-      }
-    };
-    
-    setTimeout(() => animate(), Math.random() * 2000);
-  }
-  
-  createRocks() {
+  createRocks(rockPositions) {
     const rockMat = new THREE.MeshStandardMaterial({
       color: 0x8b7355,
       roughness: 0.9,
@@ -326,17 +395,6 @@ export class World {
     });
     
     // Create various rock formations
-    const rockPositions = [
-      { x: 15, z: 10, scale: 2 },
-      { x: -20, z: 15, scale: 1.5 },
-      { x: 25, z: -20, scale: 3 },
-      { x: -30, z: -10, scale: 2.5 },
-      { x: 10, z: -35, scale: 2 },
-      { x: -15, z: -30, scale: 1.8 },
-      { x: 35, z: 5, scale: 2.2 },
-      { x: -35, z: 25, scale: 1.7 },
-    ];
-    
     rockPositions.forEach(pos => {
       const rockGroup = new THREE.Group();
       
@@ -347,6 +405,7 @@ export class World {
       main.rotation.set(Math.random(), Math.random(), Math.random());
       main.castShadow = true;
       main.receiveShadow = true;
+      main.userData.surface = Surface.ROCK;
       rockGroup.add(main);
       
       // Smaller rocks around
@@ -364,27 +423,18 @@ export class World {
         rockGroup.add(small);
       }
       
-      rockGroup.position.set(pos.x, 0, pos.z);
-      this.scene.add(rockGroup);
+      rockGroup.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z);
+      this.levelGroup.add(rockGroup);
       this.objects.push(main);
     });
   }
   
-  createCacti() {
+  createCacti(cactusPositions) {
     const cactusMat = new THREE.MeshStandardMaterial({
       color: 0x2d5a27,
       roughness: 0.8
     });
     
-    const cactusPositions = [
-      { x: 8, z: 20 },
-      { x: -12, z: 8 },
-      { x: 20, z: -5 },
-      { x: -25, z: -20 },
-      { x: 30, z: 15 },
-      { x: -8, z: 25 },
-    ];
-    
     cactusPositions.forEach(pos => {
       const cactusGroup = new THREE.Group();
       
@@ -394,6 +444,7 @@ export class World {
       const stem = new THREE.Mesh(stemGeom, cactusMat);
       stem.position.y = height / 2;
       stem.castShadow = true;
+      stem.userData.surface = Surface.PLANT;
       cactusGroup.add(stem);
       
       // Arms
@@ -416,23 +467,16 @@ export class World {
         }
       }
       
-      cactusGroup.position.set(pos.x, 0, pos.z);
-      this.scene.add(cactusGroup);
+      cactusGroup.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z);
+      this.levelGroup.add(cactusGroup);
       this.objects.push(stem);
     });
   }
   
-  createTraps() {
+  createTraps(traps) {
     // Landmines (hidden in sand)
-    const minePositions = [
-      { x: 5, z: 5 },
-      { x: -8, z: 12 },
-      { x: 12, z: -8 },
-      { x: -15, z: -5 },
-      { x: 0, z: 15 },
-    ];
-    
-    minePositions.forEach(pos => {
+    traps.filter(trap => trap.type === 'mine').forEach(pos => {
+      const ground = this.getHeightAt(pos.x, pos.z);
       const mineGeom = new THREE.CylinderGeometry(0.4, 0.5, 0.15, 12);
       const mineMat = new THREE.MeshStandardMaterial({
         color: 0x4a4a3a,
@@ -440,9 +484,9 @@ export class World {
         metalness: 0.3
       });
       const mine = new THREE.Mesh(mineGeom, mineMat);
-      mine.position.set(pos.x, 0.05, pos.z);
+      mine.position.set(pos.x, ground + 0.05, pos.z);
       mine.receiveShadow = true;
-      this.scene.add(mine);
+      this.levelGroup.add(mine);
       
       // Slightly visible trigger plate
       const triggerGeom = new THREE.CylinderGeometry(0.15, 0.15, 0.05, 8);
@@ -451,24 +495,83 @@ export class World {
         roughness: 0.6
       });
       const trigger = new THREE.Mesh(triggerGeom, triggerMat);
-      trigger.position.set(pos.x, 0.12, pos.z);
-      this.scene.add(trigger);
+      trigger.position.set(pos.x, ground + 0.12, pos.z);
+      this.levelGroup.add(trigger);
       
       this.traps.push({
         type: 'mine',
-        position: new THREE.Vector3(pos.x, 0, pos.z),
-        radius: 1.5,
-        damage: 50,
+        position: new THREE.Vector3(pos.x, ground, pos.z),
+        radius: pos.radius,
+        damage: pos.damage,
         triggered: false,
-        mesh: mine
+        mesh: mine,
+        trigger: trigger
       });
     });
+    
+    traps.filter(trap => trap.type === 'fire' || trap.type === 'sandpit').forEach(hazard => this.createHazard(hazard));
+  }
+  
+  /**
+   * A burning fuel patch or a soft sand pit - a patch draped over the dunes
+   * @param {object} hazard - Level trap entry ({ type, x, z, radius })
+   */
+  createHazard(hazard) {
+    const isFire = hazard.type === 'fire';
+    const ground = this.getHeightAt(hazard.x, hazard.z);
+    
+    const geometry = new THREE.CircleGeometry(hazard.radius, 24);
+    geometry.rotateX(-Math.PI / 2);
+    const vertices = geometry.attributes.position;
+    for (let i = 0; i < vertices.count; i++) {
+      const x = hazard.x + vertices.getX(i);
+      const z = hazard.z + vertices.getZ(i);
+      vertices.setY(i, this.getHeightAt(x, z) - ground + 0.03);
+    }
+    geometry.computeVertexNormals();
+    
+    const patch = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+      color: isFire ? 0x2a1a10 : 0xb8885a,
+      emissive: isFire ? 0x551800 : 0x000000,
+      roughness: 1,
+      metalness: 0
+    }));
+    patch.position.set(hazard.x, ground, hazard.z);
+    patch.receiveShadow = true;
+    this.levelGroup.add(patch);
+    
+    this.hazards.push({
+      type: hazard.type,
+      position: new THREE.Vector3(hazard.x, ground, hazard.z),
+      radius: hazard.radius,
+      mesh: patch,
+      emitter: isFire
+        ? this.particles.startEmitter(ParticleEffect.FIRE, new THREE.Vector3(hazard.x, ground + 0.2, hazard.z), {
+          rate: 15 * hazard.radius,
+          scale: hazard.radius / 2
+        })
+        : null
+    });
+  }
+  
+  /**
+   * Hazards covering a point (flat distance - height doesn't matter)
+   * @param {THREE.Vector3} position
+   * @returns {object[]} Hazards from `hazards`
+   */
+  getHazardsAt(position) {
+    return this.hazards.filter(hazard => {
+      const dx = position.x - hazard.position.x;
+      const dz = position.z - hazard.position.z;
+      return dx * dx + dz * dz < hazard.radius * hazard.radius;
+    });
   }
   
   createLighting() {
     // Ambient light (desert sun bouncing)
     const ambient = new THREE.AmbientLight(0xffeedd, 0.6);
     this.scene.add(ambient);
+    this.ambientLight = ambient;
     
     // Main sun (directional)
     const sun = new THREE.DirectionalLight(0xffffee, 1.2);
@@ -487,6 +590,7 @@ export class World {
     sun.shadow.bias = -0.001;
     
     this.scene.add(sun);
+    this.sunLight = sun;
     
     // Secondary fill light (sky)
     const fill = new THREE.DirectionalLight(0x88ccff, 0.3);
@@ -525,7 +629,40 @@ export class World {
     this.scene.add(this.dust);
   }
   
+  /**
+   * One reusable flash light for explosions
+   * (adding lights at runtime would recompile every material)
+   */
+  createExplosionAssets() {
+    this.explosionLight = new THREE.PointLight(0xff8833, 0, 20);
+    this.scene.add(this.explosionLight);
+  }
+  
+  /**
+   * Fireball, ground shockwave, smoke and a light flash
+   * @param {THREE.Vector3} position - Center on the ground
+   * @param {number} [size] - Rough radius of the fireball
+   */
+  createExplosion(position, size = 2) {
+    const scale = size / 2;
+    const ground = this.getHeightAt(position.x, position.z);
+    const center = position.clone();
+    center.y = Math.max(position.y, ground + size * 0.4);
+    
+    this.particles.burst(ParticleEffect.FIRE, center, { scale });
+    this.particles.burst(ParticleEffect.SMOKE, center, { scale });
+    this.particles.burst(ParticleEffect.DUST, new THREE.Vector3(position.x, ground + 0.2, position.z), { scale });
+    
+    this.explosionLight.position.copy(center);
+    this.explosionLight.intensity = 30;
+  }
+  
   update(deltaTime) {
+    // Light flash decays quickly
+    if (this.explosionLight.intensity > 0) {
+      this.explosionLight.intensity = Math.max(0, this.explosionLight.intensity - deltaTime * 150);
+    }
+    
     // Animate dust particles
     if (this.dust) {
       this.dust.rotation.y += deltaTime * 0.02;
@@ -538,6 +675,105 @@ export class World {
     }
   }
   
+  /**
+   * Whether nothing in `objects` blocks the straight line between two points
+   * @param {THREE.Vector3} from - Eye position
+   * @param {THREE.Vector3} to - Target position
+   * @returns {boolean}
+   */
+  hasLineOfSight(from, to) {
+    const direction = new THREE.Vector3().subVectors(to, from);
+    const distance = direction.length();
+    if (distance === 0) return true;
+    
+    const raycaster = new THREE.Raycaster(from, direction.divideScalar(distance), 0, distance);
+    return raycaster.intersectObjects(this.objects, false).length === 0;
+  }
+  
+  /**
+   * Nearest solid thing (World.objects or the ground) along a ray
+   * @param {THREE.Raycaster} raycaster - Ray and range to test
+   * @returns {object|null} three.js intersection
+   */
+  raycast(raycaster) {
+    const hits = raycaster.intersectObjects([...this.objects, this.ground], false);
+    return hits.length > 0 ? hits[0] : null;
+  }
+  
+  /**
+   * Height of the rendered ground - interpolated over the same triangles as
+   * the ground mesh, so feet land exactly on the sand
+   * @param {number} x
+   * @param {number} z
+   * @returns {number}
+   */
+  getHeightAt(x, z) {
+    return this.sampleGround(x, z, null);
+  }
+  
+  /**
+   * Up-facing normal of the ground triangle under a point
+   * @param {number} x
+   * @param {number} z
+   * @param {THREE.Vector3} [target] - Receives the normal
+   * @returns {THREE.Vector3}
+   */
+  getNormalAt(x, z, target = new THREE.Vector3()) {
+    this.sampleGround(x, z, target);
+    return target;
+  }
+  
+  /**
+   * Layout of the ground mesh, for physics heightfields
+   * @returns {object} { size, segments } - A size x size square with `segments` quads per side
+   */
+  getGroundGrid() {
+    return { size: GROUND_SIZE, segments: GROUND_SEGMENTS };
+  }
+  
+  sampleGround(x, z, normal) {
+    const half = GROUND_SIZE / 2;
+    const cell = GROUND_SIZE / GROUND_SEGMENTS;
+    
+    // The plane is rotated -90 degrees about X, so its y axis points along world -Z
+    const px = Math.max(-half, Math.min(half, x));
+    const py = Math.max(-half, Math.min(half, -z));
+    const col = Math.min(Math.floor((px + half) / cell), GROUND_SEGMENTS - 1);
+    const row = Math.min(Math.floor((half - py) / cell), GROUND_SEGMENTS - 1);
+    const x0 = -half + col * cell;
+    const y0 = half - row * cell;
+    const u = (px - x0) / cell;
+    const v = (y0 - py) / cell;
+    
+    // Quad corners in PlaneGeometry order, split along the b-d diagonal
+    const a = duneHeight(x0, y0);
+    const b = duneHeight(x0, y0 - cell);
+    const c = duneHeight(x0 + cell, y0 - cell);
+    const d = duneHeight(x0 + cell, y0);
+    
+    let height, slopeU, slopeV;
+    if (u + v <= 1) {
+      slopeU = d - a;
+      slopeV = b - a;
+      height = a + slopeU * u + slopeV * v;
+    } else {
+      slopeU = c - b;
+      slopeV = c - d;
+      height = c - slopeU * (1 - u) - slopeV * (1 - v);
+    }
+    
+    if (normal) {
+      // u runs along world X and v along world Z, one cell per unit
+      normal.set(-slopeU / cell, 1, -slopeV / cell).normalize();
+    }
+    return height;
+  }
+  
+  /**
+   * Set off the first mine the player stepped on
+   * @param {THREE.Vector3} playerPosition
+   * @returns {object|null} The trap that went off
+   */
   checkTrapCollision(playerPosition) {
     for (const trap of this.traps) {
       if (trap.triggered) continue;
@@ -546,57 +782,33 @@ export class World {
       if (distance < trap.radius) {
         trap.triggered = true;
         this.triggerTrap(trap);
-        return trap.damage;
+        return trap;
       }
     }
-    return 0;
+    return null;
   }
   
   triggerTrap(trap) {
     if (trap.type === 'mine') {
-      // Explosion effect
-      const explosionGeom = new THREE.SphereGeometry(2, 16, 16);
-      const explosionMat = new THREE.MeshBasicMaterial({
-        color: 0xff6600,
-        transparent: true,
-        opacity: 0.8
-      });
-      const explosion = new THREE.Mesh(explosionGeom, explosionMat);
-      explosion.position.copy(trap.position);
-      explosion.position.y = 1;
-      this.scene.add(explosion);
+      this.createExplosion(trap.position, 2);
       
       // Remove mine mesh
-      this.scene.remove(trap.mesh);
-      
-      // Animate explosion
-      let scale = 0.1;
-      const animate = () => {
-        scale += 0.2;
-        explosion.scale.setScalar(scale);
-        explosion.material.opacity -= 0.05;
-        
-        if (explosion.material.opacity > 0) {
-          requestAnimationFrame(animate);
-        } else {
-          this.scene.remove(explosion);
-        }
-      };
-      animate();
+      trap.mesh.removeFromParent();
+      trap.trigger.removeFromParent();
     }
   }
   
   getSpawnPoints() {
-    // Returns positions where enemies can spawn (around the crashed plane)
+    // Returns positions where enemies can spawn (around the crashed plane), on the sand
     return [
-      new THREE.Vector3(-5, 0, -30),
-      new THREE.Vector3(5, 0, -30),
-      new THREE.Vector3(-10, 0, -25),
-      new THREE.Vector3(10, 0, -25),
-      new THREE.Vector3(0, 0, -35),
-      new THREE.Vector3(-15, 0, -20),
-      new THREE.Vector3(15, 0, -20),
-    ];
+      [-5, -30],
+      [5, -30],
+      [-10, -25],
+      [10, -25],
+      [0, -35],
+      [-15, -20],
+      [15, -20]
+    ].map(([x, z]) => new THREE.Vector3(x, this.getHeightAt(x, z), z));
   }
   
   openShipDoor() {
@@ -661,6 +873,12 @@ export class World {
     return new THREE.Vector3(-3, 0, -27.5);
   }
   
+  getBossSpawnPosition() {
+    // Inside the wreck behind the cargo door, so the boss climbs out of the plane
+    this.crashedPlane.updateMatrixWorld();
+    return this.crashedPlane.localToWorld(new THREE.Vector3(-3, 0, -4.5));
+  }
+  
   getSecretItemPosition() {
     // Position of the secret item (in world space)
     // Plane is at (0, 0, -25), item is at (-7, 0.75, -2.5) relative to plane
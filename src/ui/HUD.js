@@ -5,11 +5,30 @@ export class HUD {
   constructor() {
     this.elements = {
       healthBar: document.getElementById('health-bar'),
+      hitMarker: document.getElementById('hit-marker'),
+      crosshair: document.getElementById('crosshair'),
+      reloadRing: document.getElementById('reload-ring'),
+      reloadRingProgress: document.getElementById('reload-ring-progress'),
       healthText: document.getElementById('health-text'),
+      statusEffects: document.getElementById('status-effects'),
+      armorContainer: document.getElementById('armor-container'),
+      armorBar: document.getElementById('armor-bar'),
+      armorText: document.getElementById('armor-text'),
+      staminaContainer: document.getElementById('stamina-container'),
+      staminaBar: document.getElementById('stamina-bar'),
       ammoText: document.getElementById('ammo-text'),
+      weaponName: document.getElementById('weapon-name'),
+      fireMode: document.getElementById('fire-mode'),
+      grenadeText: document.getElementById('grenade-text'),
       timerValue: document.getElementById('timer-value'),
       killsValue: document.getElementById('kills-value'),
+      waveValue: document.getElementById('wave-value'),
+      bossContainer: document.getElementById('boss-container'),
+      bossName: document.getElementById('boss-name'),
+      bossBar: document.getElementById('boss-bar'),
+      bossPhase: document.getElementById('boss-phase'),
       scoreValue: document.getElementById('score-value'),
+      moneyValue: document.getElementById('money-value'),
       potentialWin: document.getElementById('potential-win'),
       startScreen: document.getElementById('start-screen'),
       startBtn: document.getElementById('start-btn'),
@@ -19,6 +38,12 @@ export class HUD {
       finalScore: document.getElementById('final-score'),
       finalMoney: document.getElementById('final-money'),
       restartBtn: document.getElementById('restart-btn'),
+      armoryScreen: document.getElementById('armory-screen'),
+      armoryPayout: document.getElementById('armory-payout'),
+      armoryCash: document.getElementById('armory-cash'),
+      armoryItems: document.getElementById('armory-items'),
+      armoryContinueBtn: document.getElementById('armory-continue-btn'),
+      gameContainer: document.getElementById('game-container'),
       hud: document.getElementById('hud')
     };
     
@@ -47,12 +72,110 @@ export class HUD {
     }
   }
   
+  /**
+   * Armor bar - called every frame, so it only touches the DOM on change
+   * @param {number} armor
+   * @param {number} maxArmor
+   */
+  updateArmor(armor, maxArmor) {
+    const value = Math.ceil(armor);
+    if (value === this.armorValue) return;
+    this.armorValue = value;
+    
+    if (this.elements.armorBar) {
+      this.elements.armorBar.style.width = `${armor / maxArmor * 100}%`;
+    }
+    if (this.elements.armorText) {
+      this.elements.armorText.textContent = value;
+    }
+    if (this.elements.armorContainer) {
+      this.elements.armorContainer.style.opacity = value > 0 ? '1' : '0.4';
+    }
+  }
+  
+  /**
+   * Status effect icons with seconds left - called every frame, rebuilt only on change
+   * @param {object[]} effects - StatusEffects.getList()
+   */
+  updateStatusEffects(effects) {
+    const key = effects.map(({ effect, stacks, remaining }) => `${effect}${stacks}:${Math.ceil(remaining)}`).join(',');
+    if (!this.elements.statusEffects || key === this.statusEffectsKey) return;
+    this.statusEffectsKey = key;
+    
+    this.elements.statusEffects.innerHTML = effects.map(({ name, icon, stacks, remaining }) => `
+      <div class="status-effect" title="${name}">
+        ${icon}
+        ${stacks > 1 ? `<span class="status-stacks">x${stacks}</span>` : ''}
+        <span class="status-time">${Math.ceil(remaining)}</span>
+      </div>
+    `).join('');
+  }
+  
+  /**
+   * Blur the view while stunned
+   * @param {number} amount - 0 (clear) to 1 (fully dazed)
+   */
+  updateStun(amount) {
+    const blur = Math.round(amount * 4);
+    if (this.elements.gameContainer && blur !== this.stunBlur) {
+      this.stunBlur = blur;
+      this.elements.gameContainer.style.filter = blur > 0 ? `blur(${blur}px)` : '';
+    }
+  }
+  
+  /**
+   * Stamina bar - called every frame, so it only touches the DOM on change
+   * @param {number} stamina
+   * @param {number} maxStamina
+   * @param {boolean} exhausted - Ran dry and can't sprint yet
+   */
+  updateStamina(stamina, maxStamina, exhausted) {
+    const percent = Math.round(stamina / maxStamina * 100);
+    if (percent === this.staminaPercent && exhausted === this.staminaExhausted) return;
+    this.staminaPercent = percent;
+    this.staminaExhausted = exhausted;
+    
+    if (this.elements.staminaBar) {
+      this.elements.staminaBar.style.width = `${percent}%`;
+    }
+    if (this.elements.staminaContainer) {
+      this.elements.staminaContainer.style.opacity = percent >= 100 ? '0.4' : '1';
+      this.elements.staminaContainer.classList.toggle('exhausted', exhausted);
+    }
+  }
+  
   updateAmmo(current, max) {
     if (this.elements.ammoText) {
       this.elements.ammoText.innerHTML = `${current} <span>/ ${max}</span>`;
     }
   }
   
+  updateWeapon(name) {
+    if (this.elements.weaponName) {
+      this.elements.weaponName.textContent = name;
+    }
+  }
+  
+  /**
+   * Fire mode of the weapon in hand - hidden for single-mode weapons
+   * @param {string} mode - FireMode value
+   * @param {boolean} switchable - Weapon has more than one mode
+   */
+  updateFireMode(mode, switchable) {
+    if (this.elements.fireMode) {
+      this.elements.fireMode.textContent = mode;
+      this.elements.fireMode.style.display = switchable ? 'inline' : 'none';
+    }
+  }
+  
+  updateGrenades(count) {
+    // Called every frame - only touch the DOM on change
+    if (this.elements.grenadeText && count !== this.grenadeCount) {
+      this.grenadeCount = count;
+      this.elements.grenadeText.textContent = `💣 ${count}`;
+    }
+  }
+  
   updateTimer(seconds) {
     if (this.elements.timerValue) {
       this.elements.timerValue.textContent = Math.ceil(seconds);
@@ -76,12 +199,57 @@ export class HUD {
     }
   }
   
+  /**
+   * Show wave progress (0 = no wave started yet)
+   * @param {number} number - Current wave number
+   * @param {number} total - Waves in the level
+   */
+  updateWave(number, total) {
+    if (this.elements.waveValue) {
+      this.elements.waveValue.textContent = number > 0 ? `${number}/${total}` : '-';
+    }
+  }
+  
+  showBossBar(name) {
+    if (this.elements.bossName) {
+      this.elements.bossName.textContent = name;
+    }
+    if (this.elements.bossContainer) {
+      this.elements.bossContainer.style.display = 'block';
+    }
+  }
+  
+  updateBossHealth(health, maxHealth) {
+    if (this.elements.bossBar) {
+      const percent = Math.max(0, health / maxHealth * 100);
+      this.elements.bossBar.style.width = `${percent}%`;
+    }
+  }
+  
+  updateBossPhase(phase) {
+    if (this.elements.bossPhase) {
+      this.elements.bossPhase.textContent = phase;
+    }
+  }
+  
+  hideBossBar() {
+    if (this.elements.bossContainer) {
+      this.elements.bossContainer.style.display = 'none';
+    }
+  }
+  
   updateScore(score) {
     if (this.elements.scoreValue) {
       this.elements.scoreValue.textContent = score.toLocaleString();
     }
   }
   
+  updateCash(cash) {
+    if (this.elements.moneyValue) {
+      this.elements.moneyValue.textContent = `$${cash.toLocaleString()}`;
+    }
+  }
+  
   showStartScreen() {
     if (this.elements.startScreen) {
       this.elements.startScreen.style.display = 'flex';
@@ -130,6 +298,80 @@ export class HUD {
     }
   }
   
+  /**
+   * Open the shop between levels
+   * @param {number} level - Level about to start
+   * @param {number} payout - Cash paid for the level just cleared
+   */
+  showArmory(level, payout) {
+    if (this.elements.armoryScreen) {
+      this.elements.armoryScreen.style.display = 'flex';
+      this.elements.armoryPayout.textContent = `Level payout: $${payout}`;
+      this.elements.armoryContinueBtn.textContent = `START LEVEL ${level}`;
+    }
+  }
+  
+  /**
+   * Redraw the shop rows (after opening and after every purchase)
+   * @param {object[]} offers - Armory.getOffers()
+   * @param {number} cash
+   */
+  updateArmory(offers, cash) {
+    if (!this.elements.armoryItems) return;
+    
+    this.elements.armoryCash.textContent = `$${cash}`;
+    this.elements.armoryItems.innerHTML = '';
+    offers.forEach(offer => {
+      const row = document.createElement('div');
+      row.className = 'armory-item';
+      
+      const text = document.createElement('div');
+      text.className = 'armory-item-text';
+      text.textContent = offer.name;
+      const description = document.createElement('small');
+      description.textContent = offer.description;
+      text.appendChild(description);
+      
+      const status = document.createElement('span');
+      status.className = 'armory-item-status';
+      status.textContent = offer.status;
+      
+      const button = document.createElement('button');
+      button.dataset.offer = offer.id;
+      button.textContent = offer.price === null ? '-' : `$${offer.price}`;
+      button.disabled = !offer.canBuy;
+      
+      row.append(text, status, button);
+      this.elements.armoryItems.appendChild(row);
+    });
+  }
+  
+  hideArmory() {
+    if (this.elements.armoryScreen) {
+      this.elements.armoryScreen.style.display = 'none';
+    }
+  }
+  
+  /**
+   * @param {Function} callback - (offerId) when a buy button is clicked
+   */
+  onArmoryBuy(callback) {
+    if (this.elements.armoryItems) {
+      this.elements.armoryItems.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-offer]');
+        if (button && !button.disabled) {
+          callback(button.dataset.offer);
+        }
+      });
+    }
+  }
+  
+  onArmoryContinue(callback) {
+    if (this.elements.armoryContinueBtn) {
+      this.elements.armoryContinueBtn.addEventListener('click', callback);
+    }
+  }
+  
   onStartClick(callback) {
     if (this.elements.startBtn) {
       this.elements.startBtn.addEventListener('click', callback);
@@ -146,6 +388,58 @@ export class HUD {
     this.updateHealth(100, 100);
     this.updateKills(0);
     this.updateScore(0);
+    this.updateCash(0);
+    this.updateStatusEffects([]);
+    this.updateStun(0);
+    this.resetObjective();
+  }
+  
+  /**
+   * Restore the timer box after showObjectiveComplete() took it over
+   */
+  resetObjective() {
+    const timerLabel = document.querySelector('#top-hud .stat-box:first-child .stat-label');
+    if (timerLabel) {
+      timerLabel.textContent = 'Time';
+    }
+    if (this.elements.timerValue) {
+      this.elements.timerValue.style.fontSize = '';
+    }
+  }
+  
+  /**
+   * List level file validation errors on the start screen
+   * @param {string[]} errors - Messages from LevelLoader
+   */
+  showLevelErrors(errors) {
+    if (!this.elements.startScreen) return;
+    
+    let errorsEl = document.getElementById('level-errors');
+    if (!errorsEl) {
+      errorsEl = document.createElement('div');
+      errorsEl.id = 'level-errors';
+      errorsEl.style.cssText = `
+        max-width: 700px;
+        max-height: 200px;
+        overflow-y: auto;
+        margin-top: 30px;
+        padding: 15px 20px;
+        background: rgba(80, 0, 0, 0.6);
+        border: 1px solid #ff4444;
+        border-radius: 8px;
+        color: #ff8888;
+        font-family: monospace;
+        font-size: 13px;
+      `;
+      this.elements.startScreen.appendChild(errorsEl);
+    }
+    
+    errorsEl.innerHTML = '<strong>Level file errors:</strong>';
+    errors.forEach(error => {
+      const line = document.createElement('div');
+      line.textContent = error;
+      errorsEl.appendChild(line);
+    });
   }
   
   showObjectiveComplete() {
@@ -164,6 +458,146 @@ export class HUD {
     this.showMessage('Ship door opening! Enter to find the secret item!', 5000);
   }
   
+  /**
+   * Red arc around the crosshair pointing toward the damage source
+   * @param {number} angle - Radians relative to the view, 0 = ahead, positive = right
+   */
+  showDamageDirection(angle) {
+    const indicator = document.createElement('div');
+    indicator.className = 'damage-indicator';
+    indicator.style.transform = `translate(-50%, -50%) rotate(${angle}rad)`;
+    document.body.appendChild(indicator);
+    
+    // Fade out, then remove
+    requestAnimationFrame(() => {
+      indicator.style.opacity = '0';
+    });
+    setTimeout(() => indicator.remove(), 1200);
+  }
+  
+  /**
+   * Open the crosshair to cover the weapon's spread cone
+   * @param {number} spread - Cone half-angle in degrees
+   * @param {number} fov - Camera vertical field of view in degrees
+   */
+  updateCrosshair(spread, fov) {
+    if (!this.elements.crosshair) return;
+    
+    const toRad = Math.PI / 180;
+    const pixels = Math.tan(spread * toRad) / Math.tan(fov * toRad / 2) * (window.innerHeight / 2);
+    const gap = Math.max(3, Math.round(pixels));
+    
+    // Only touch the DOM when it changes (called every frame)
+    if (gap !== this.crosshairGap) {
+      this.crosshairGap = gap;
+      this.elements.crosshair.style.setProperty('--gap', `${gap}px`);
+    }
+  }
+  
+  /**
+   * Show or hide the reload ring around the crosshair
+   * @param {boolean} visible
+   */
+  showReload(visible) {
+    if (this.elements.reloadRing) {
+      this.elements.reloadRing.style.display = visible ? 'block' : 'none';
+    }
+    this.updateReloadProgress(0);
+  }
+  
+  /**
+   * Fill the reload ring
+   * @param {number} progress - 0-1
+   */
+  updateReloadProgress(progress) {
+    if (this.elements.reloadRingProgress) {
+      const circumference = 2 * Math.PI * 20; // Ring radius in index.html
+      this.elements.reloadRingProgress.style.strokeDashoffset = `${circumference * (1 - progress)}`;
+    }
+  }
+  
+  /**
+   * Flash the hit marker around the crosshair
+   * @param {boolean} isHeadshot - Red and larger for headshots
+   * @param {boolean} [isKill] - Lingers a little longer on a kill
+   */
+  showHitMarker(isHeadshot, isKill = false) {
+    const marker = this.elements.hitMarker;
+    if (!marker) return;
+    
+    marker.classList.toggle('headshot', isHeadshot);
+    marker.style.opacity = '1';
+    
+    clearTimeout(this.hitMarkerTimeout);
+    this.hitMarkerTimeout = setTimeout(() => {
+      marker.style.opacity = '0';
+    }, isKill ? 300 : 150);
+  }
+  
+  /**
+   * Brief "!" over the crosshair when an enemy spots the player
+   */
+  showAlert() {
+    let alertEl = document.getElementById('alert-indicator');
+    if (!alertEl) {
+      alertEl = document.createElement('div');
+      alertEl.id = 'alert-indicator';
+      alertEl.textContent = '!';
+      alertEl.style.cssText = `
+        position: fixed;
+        top: calc(50% - 70px);
+        left: 50%;
+        transform: translateX(-50%);
+        color: #ff4444;
+        font-size: 36px;
+        font-weight: bold;
+        text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8);
+        transition: opacity 0.3s;
+        pointer-events: none;
+      `;
+      document.body.appendChild(alertEl);
+    }
+    
+    alertEl.style.opacity = '1';
+    
+    clearTimeout(this.alertTimeout);
+    this.alertTimeout = setTimeout(() => {
+      alertEl.style.opacity = '0';
+    }, 1000);
+  }
+  
+  /**
+   * Short "+12 Ammo" line above the ammo counter
+   * @param {string} text - What was picked up
+   */
+  showPickup(text) {
+    let pickupEl = document.getElementById('pickup-notice');
+    if (!pickupEl) {
+      pickupEl = document.createElement('div');
+      pickupEl.id = 'pickup-notice';
+      pickupEl.style.cssText = `
+        position: fixed;
+        bottom: 90px;
+        right: 40px;
+        color: #44ff44;
+        font-size: 20px;
+        font-weight: bold;
+        text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8);
+        transition: opacity 0.3s;
+        pointer-events: none;
+      `;
+      document.body.appendChild(pickupEl);
+    }
+    
+    pickupEl.textContent = text;
+    pickupEl.style.opacity = '1';
+    
+    clearTimeout(this.pickupTimeout);
+    this.pickupTimeout = setTimeout(() => {
+      pickupEl.style.opacity = '0';
+    }, 1500);
+  }
+  
   showMessage(text, duration = 3000) {
     // Create or update message element
     let messageEl = document.getElementById('objective-message');
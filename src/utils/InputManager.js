@@ -15,8 +15,11 @@ export class InputManager {
     };
     
     this.sensitivity = 0.002;
-    this.onShoot = null;
     this.onReload = null;
+    this.onFireModeToggle = null;
+    this.onWeaponSlot = null;  // (slot) from number keys 1-9
+    this.onWeaponCycle = null; // (direction) from the mouse wheel
+    this.onDebugToggle = null;
     
     this.init();
   }
@@ -26,9 +29,8 @@ export class InputManager {
     document.addEventListener('keydown', (e) => {
       this.keys[e.code] = true;
       
-      // Space = Shoot
-      if (e.code === 'Space' && this.onShoot) {
-        this.onShoot();
+      // Space = Trigger (polled by the game loop - see isTriggerHeld)
+      if (e.code === 'Space') {
         e.preventDefault(); // Prevent page scroll
       }
       
@@ -36,6 +38,23 @@ export class InputManager {
       if ((e.code === 'ShiftLeft' || e.code === 'ShiftRight') && this.onReload) {
         this.onReload();
       }
+      
+      // B = Fire mode (semi / burst / auto)
+      if (e.code === 'KeyB' && !e.repeat && this.onFireModeToggle) {
+        this.onFireModeToggle();
+      }
+      
+      // 1-9 = Weapon slots
+      const slot = e.code.startsWith('Digit') ? parseInt(e.code.slice(5), 10) : 0;
+      if (slot >= 1 && this.onWeaponSlot) {
+        this.onWeaponSlot(slot);
+      }
+      
+      // F3 = Nav debug overlay
+      if (e.code === 'F3' && this.onDebugToggle) {
+        this.onDebugToggle();
+        e.preventDefault();
+      }
     });
     
     document.addEventListener('keyup', (e) => {
@@ -50,7 +69,7 @@ export class InputManager {
       }
     });
     
-    // Mouse buttons (kept for future use, but not shooting)
+    // Mouse buttons - left is the trigger (right kept for future use)
     document.addEventListener('mousedown', (e) => {
       if (e.button === 0) {
         this.mouse.leftButton = true;
@@ -65,6 +84,13 @@ export class InputManager {
       if (e.button === 2) this.mouse.rightButton = false;
     });
     
+    // Mouse wheel = Cycle weapons
+    document.addEventListener('wheel', (e) => {
+      if (this.mouse.locked && e.deltaY !== 0 && this.onWeaponCycle) {
+        this.onWeaponCycle(e.deltaY > 0 ? 1 : -1);
+      }
+    });
+    
     // Pointer lock change
     document.addEventListener('pointerlockchange', () => {
       this.mouse.locked = document.pointerLockElement !== null;
@@ -109,9 +135,24 @@ export class InputManager {
     return this.isKeyDown('ControlLeft') || this.isKeyDown('ControlRight');
   }
   
-  // Jump disabled for now
+  // Trigger is down: Space, or left click while playing (pointer locked)
+  isTriggerHeld() {
+    return this.isKeyDown('Space') || (this.mouse.leftButton && this.mouse.locked);
+  }
+  
+  // Hold G to aim a grenade, release to throw
+  isThrowingGrenade() {
+    return this.isKeyDown('KeyG');
+  }
+  
+  // Jump on X (Space is the trigger)
   isJumping() {
-    return false;
+    return this.isKeyDown('KeyX');
+  }
+  
+  // Hold C to crouch (slides when pressed at a sprint)
+  isCrouching() {
+    return this.isKeyDown('KeyC');
   }
   
   // Get mouse delta and reset it